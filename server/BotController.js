@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+import { PlayerPhysics } from '../src/game/systems/player/PlayerPhysics.js';
+import { SPELL_TYPES } from '../src/shared/spells.js';
+
+// How well bots fly and fight. Reaction time is how often they re-think,
+// aim error is radians of spread, fire cone is how closely they must face
+// a target before casting and fire delay is seconds between casts.
+export const BOT_DIFFICULTIES = {
+  easy: { reactionTime: 0.8, turnRate: 1.5, aimError: 0.3, fireCone: 0.3, fireDelay: 3.0, engageRange: 80, fleeHealth: 20, throttle: 0.7 },
+  normal: { reactionTime: 0.4, turnRate: 2.5, aimError: 0.12, fireCone: 0.2, fireDelay: 1.8, engageRange: 120, fleeHealth: 30, throttle: 0.85 },
+  hard: { reactionTime: 0.15, turnRate: 3.5, aimError: 0.04, fireCone: 0.12, fireDelay: 1.0, engageRange: 160, fleeHealth: 40, throttle: 1.0 }
+};
+
+const FIREBALL = SPELL_TYPES.findIndex(spell => spell.name === 'Fireball');
+const LIGHTNING = SPELL_TYPES.findIndex(spell => spell.name === 'Lightning');
+
+// Flies a bot carpet with the same physics rules as human players. The
+// controller only produces input commands; PlayerPhysics does the rest.
+export class BotController {
+  constructor(bot, world, options = {}) {
+    this.bot = bot;
+    this.world = world;
+    this.difficulty = BOT_DIFFICULTIES[options.difficulty] || BOT_DIFFICULTIES.normal;
+    this.random = options.random || Math.random;
+    
+    // PlayerPhysics only needs the world for terrain heights
+    this.physics = new PlayerPhysics({ engine: { systems: { world } } });
+    this.physics.debugPhysics = false;
+    
+    // Humans simulate at frame rate, so bots sub-step at a similar rate
+    this.stepSize = 1 / 60;
+    this.accumulator = 0;
+    
+    this.body = {
+      position: new THREE.Vector3(bot.x, bot.y, bot.z),
+      rotation: new THREE.Euler(0, bot.rotationY, 0),
+      velocity: new THREE.Vector3(),
+      acceleration: new THREE.Vector3(),
+      bankAngle: 0,
+      altitudeVelocity: 0
+    };
+    
+    this.state = 'wander';
+    this.target = null;         // Player being engaged or fled from
+    this.targetNode = null;     // Mana node being collected
+    this.castle = null;         // Our castle, once founded
+    this.foundMana = 20;        // Carried mana before founding a castle where we are
+    this.deliverMana = 40 + this.random() * 40; // Carried mana before taking it home
+    this.foundTimer = 0;
+    this.destination = new THREE.Vector3();
+    this.aimOffset = 0;
+    this.thinkTimer = 0;
+    this.fireTimer = this.difficulty.fireDelay;
+    this.nextCastId = 1;
+    this.cruiseAltitude = 60 + this.random() * 40;
+    this.pickWanderDestination();
+  }
+  
+  // Advance the bot and return any actions it took this tick
+  update(delta, players, castle = null) {
+    const actions = [];
+    this.castle = castle;
+    
+    this.thinkTimer -= delta;
+    if (this.thinkTimer <= 0) {
+      this.thinkTimer = this.difficulty.reactionTime;
+      this.think(players);
+    }
+    
+    this.accumulator += delta;
+    while (this.accumulator >= this.stepSize) {
+      this.accumulator -= this.stepSize;
+      this.physics.applyInputCommand(this.body, this.steer(this.stepSize));
+      this.physics.step(this.body, this.stepSize);
+    }
+    
+    this.fireTimer -= delta;
+    const cast = this.tryCast();
+    if (cast) actions.push(cast);
+    
+    const collect = this.tryCollect();
+    if (collect) actions.push(collect);
+    
+    this.foundTimer -= delta;
+    const found = this.tryFoundCastle();
+    if (found) actions.push(found);
+    
+    this.writeState();
+    return actions;
+  }
+  
+  // Pick what to do next
+  think(players) {
+    const nearest = this.findNearestPlayer(players);
+    
+    if (this.bot.health <= this.difficulty.fleeHealth && nearest) {
+      this.state = 'flee';
+      this.target = nearest.player;
+    } else if (nearest && nearest.distance < this.difficulty.engageRange) {
+      this.state = 'engage';
+      this.target = nearest.player;
+    } else if (this.castle && (this.bot.mana >= this.deliverMana || (this.state === 'deliver' && this.bot.mana > 0))) {
+      // Once heading home, stay until everything is delivered
+      this.state = 'deliver';
+      this.target = null;
+    } else {
+      this.target = null;
+      this.targetNode = this.findNearestManaNode();
+      this.state = this.targetNode ? 'collect' : 'wander';
+    }
+    
+    // Aim is re-rolled each time the bot thinks, so worse bots miss more
+    this.aimOffset = (this.random() - 0.5) * 2 * this.difficulty.aimError;
+    this.updateDestination();
+  }
+  
+  updateDestination() {
+    const position = this.body.position;
+    
+    switch (this.state) {
+      case 'flee': {
+        // Head directly away from the threat, low and fast
+        const away = new THREE.Vector3(position.x - this.target.x, 0, position.z - this.target.z).normalize();
+        this.destination.copy(position).addScaledVector(away, 200);
+        this.destination.y = this.world.getTerrainHeight(this.destination.x, this.destination.z) + 15;
+        break;
+      }
+      case 'engage':
+        this.destination.set(this.target.x, this.target.y, this.target.z);
+        break;
+      case 'collect':
+        this.destination.set(this.targetNode.x, this.targetNode.y, this.targetNode.z);
+        break;
+      case 'deliver':
+        this.destination.set(this.castle.x, this.castle.y + 30, this.castle.z);
+        break;
+      default:
+        if (position.distanceTo(this.destination) < 30) {
+          this.pickWanderDestination();
+        }
+    }
+    
+    this.clampDestination();
+  }
+  
+  pickWanderDestination() {
+    const range = this.world.homeRadius * 0.7;
+    const x = (this.random() - 0.5) * 2 * range;
+    const z = (this.random() - 0.5) * 2 * range;
+    this.destination.set(x, this.world.getTerrainHeight(x, z) + this.cruiseAltitude, z);
+  }
+  
+  // Bots patrol the middle of the world, where pilots spawn; the world goes
+  // on forever but they don't chase anyone out of it
+  clampDestination() {
+    const limit = this.world.homeRadius - 100;
+    this.destination.x = THREE.MathUtils.clamp(this.destination.x, -limit, limit);
+    this.destination.z = THREE.MathUtils.clamp(this.destination.z, -limit, limit);
+  }
+  
+  // Turn the current destination into an input command
+  steer(delta) {
+    const body = this.body;
+    const toDestination = this.destination.clone().sub(body.position);
+    const distance = Math.hypot(toDestination.x, toDestination.z);
+    
+    // Forward is +Z rotated by the carpet's yaw
+    let desiredYaw = Math.atan2(toDestination.x, toDestination.z);
+    if (this.state === 'engage') desiredYaw += this.aimOffset;
+    
+    const yawError = this.wrapAngle(desiredYaw - body.rotation.y);
+    const maxTurn = this.difficulty.turnRate * delta;
+    const rotationY = body.rotation.y + THREE.MathUtils.clamp(yawError, -maxTurn, maxTurn);
+    
+    // Circle at a distance instead of ramming the target
+    let forward = this.difficulty.throttle;
+    if (this.state === 'engage' && distance < 25) forward = 0;
+    if (this.state === 'deliver' && distance < 30) forward = 0.3;
+    
+    return {
+      delta,
+      forward,
+      right: THREE.MathUtils.clamp(yawError, -1, 1) * 0.3,
+      up: THREE.MathUtils.clamp(toDestination.y / 20, -1, 1),
+      boost: this.state === 'flee' || (this.state === 'collect' && distance > 150),
+      rotationX: 0,
+      rotationY: this.wrapAngle(rotationY)
+    };
+  }
+  
+  tryCast() {
+    if (this.state !== 'engage' || !this.target || this.fireTimer > 0) return null;
+    
+    const position = this.body.position;
+    const toTarget = new THREE.Vector3(this.target.x, this.target.y, this.target.z).sub(position);
+    const distance = toTarget.length();
+    if (distance > this.difficulty.engageRange) return null;
+    
+    const facing = this.wrapAngle(Math.atan2(toTarget.x, toTarget.z) - this.body.rotation.y);
+    if (Math.abs(facing) > this.difficulty.fireCone) return null;
+    
+    // Lightning is faster, so use it at range
+    const spell = distance > 60 ? LIGHTNING : FIREBALL;
+    this.fireTimer = Math.max(SPELL_TYPES[spell].cooldown, this.difficulty.fireDelay);
+    
+    const direction = toTarget.normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), this.aimOffset);
+    const origin = position.clone().addScaledVector(direction, 2);
+    
+    return {
+      action: 'cast_spell',
+      spell,
+      castId: this.nextCastId++,
+      x: origin.x,
+      y: origin.y,
+      z: origin.z,
+      dx: direction.x,
+      dy: direction.y,
+      dz: direction.z
+    };
+  }
+  
+  tryCollect() {
+    const radius = 5 + 2; // Same reach as a human player plus the node radius
+    const position = this.body.position;
+    
+    const node = this.world.getUncollectedManaNodes().find(node =>
+      position.distanceTo(new THREE.Vector3(node.x, node.y, node.z)) < radius
+    );
+    
+    return node ? { action: 'collect_mana', nodeId: node.id } : null;
+  }
+  
+  // Settle down once there is mana to store; the room says no over water
+  // or too near another castle, so try again a little later
+  tryFoundCastle() {
+    if (this.castle || this.bot.mana < this.foundMana || this.foundTimer > 0 || this.state === 'engage') return null;
+    
+    this.foundTimer = 5;
+    return { action: 'found_castle' };
+  }
+  
+  findNearestPlayer(players) {
+    let nearest = null;
+    
+    players.forEach(player => {
+      if (player === this.bot || player.isBot || player.health <= 0) return;
+      
+      const distance = this.body.position.distanceTo(new THREE.Vector3(player.x, player.y, player.z));
+      if (!nearest || distance < nearest.distance) {
+        nearest = { player, distance };
+      }
+    });
+    
+    return nearest;
+  }
+  
+  findNearestManaNode() {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    this.world.getUncollectedManaNodes().forEach(node => {
+      const distance = Math.hypot(node.x - this.body.position.x, node.z - this.body.position.z);
+      if (distance < nearestDistance) {
+        nearest = node;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  // Someone hit us; fight back (or run) straight away
+  onDamaged(attacker) {
+    if (attacker && !attacker.isBot) {
+      this.target = attacker;
+      this.state = this.bot.health <= this.difficulty.fleeHealth ? 'flee' : 'engage';
+      this.updateDestination();
+    }
+  }
+  
+  // Put the bot somewhere new with fresh state
+  respawn(x, z) {
+    this.body.position.set(x, this.world.getTerrainHeight(x, z) + this.cruiseAltitude, z);
+    this.body.velocity.set(0, 0, 0);
+    this.body.altitudeVelocity = 0;
+    this.body.bankAngle = 0;
+    this.state = 'wander';
+    this.target = null;
+    this.thinkTimer = 0;
+    this.pickWanderDestination();
+    this.writeState();
+  }
+  
+  // Copy the simulated body back onto the room's player record
+  writeState() {
+    const { position, velocity, rotation, bankAngle } = this.body;
+    Object.assign(this.bot, {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      vx: velocity.x,
+      vy: velocity.y,
+      vz: velocity.z,
+      rotationY: rotation.y,
+      bankAngle
+    });
+  }
+  
+  wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+}
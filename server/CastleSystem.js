@@ -0,0 +1,216 @@
+import {
+  CASTLE_DELIVERY_RANGE,
+  CASTLE_KEEP_HEIGHT,
+  CASTLE_SPACING,
+  CASTLE_TIERS,
+  getCastleTier
+} from '../src/shared/castles.js';
+import { SPELL_TYPES } from '../src/shared/spells.js';
+
+// The castles of a room's pilots. Each pilot may found one on dry land;
+// mana they carry near it flows into its store, and the castle grows
+// through the tiers (see CASTLE_TIERS) as the store fills. Rivals' spells
+// wear its walls down, and a castle whose walls fall is razed: whoever
+// razed it carries off a share of its mana.
+//
+// Castles are few, so everyone in the room hears about all of them.
+export class CastleSystem {
+  constructor(room) {
+    this.room = room;
+    this.castles = new Map();     // owner id -> castle
+    
+    this.deliveryInterval = 500;  // ms between deliveries from a pilot
+    this.deliveryAmount = 10;     // Most mana moved per delivery
+    this.deliveryHeight = 80;     // Pilots must fly this low over their castle to deliver
+    this.repairDelay = 10000;     // ms after the last hit before walls start repairing
+    this.repairRate = 5;          // Health per second
+    this.lootShare = 0.5;         // Share of a razed castle's mana its attacker takes
+    this.clearing = CASTLE_TIERS[CASTLE_TIERS.length - 1].radius + 10; // Land smoothed for a new castle
+  }
+  
+  get(ownerId) {
+    return this.castles.get(ownerId) || null;
+  }
+  
+  getStoredMana(ownerId) {
+    const castle = this.castles.get(ownerId);
+    return castle ? castle.mana : 0;
+  }
+  
+  // Found a castle where the player is flying. Returns why it couldn't be
+  // founded, or null. Warmup castles would only be cleared when the round
+  // starts, so founding waits for it.
+  found(player) {
+    if (this.room.match.phase === 'warmup') return 'warmup';
+    if (player.dead || !this.room.match.isScoring()) return 'not_playing';
+    if (this.castles.has(player.id)) return 'already_founded';
+    
+    const { x, z } = player;
+    const world = this.room.world;
+    if (world.getTerrainHeight(x, z) < 1 || world.getAverageHeight(x, z, this.clearing) < 1) return 'water';
+    
+    for (const castle of this.castles.values()) {
+      if (Math.hypot(castle.x - x, castle.z - z) < CASTLE_SPACING) return 'too_close';
+    }
+    
+    // Castles stand on level ground
+    this.room.modifyTerrain('smooth', x, z, this.clearing, 0);
+    
+    const tier = CASTLE_TIERS[0];
+    const castle = {
+      ownerId: player.id,
+      name: player.name,
+      x,
+      y: world.getTerrainHeight(x, z),
+      z,
+      mana: 0,
+      tier: 0,
+      health: tier.maxHealth,
+      maxHealth: tier.maxHealth,
+      nextDeliveryTime: 0,
+      lastHitTime: 0,
+      nextRepairTime: 0
+    };
+    this.castles.set(player.id, castle);
+    this.broadcastCastle(castle);
+    
+    console.log(`[${this.room.code}] ${player.name} founded a castle`);
+    return null;
+  }
+  
+  // The owner left the room
+  remove(ownerId) {
+    if (!this.castles.delete(ownerId)) return;
+    
+    this.room.broadcast('castle_removed', { ownerId, razedBy: null, loot: 0 });
+  }
+  
+  // A new round or a new world: everyone starts without a castle
+  clear() {
+    this.castles.clear();
+    this.room.broadcast('castles', { castles: [], reset: true });
+  }
+  
+  update(now) {
+    if (!this.room.match.isScoring()) return;
+    
+    this.castles.forEach(castle => {
+      this.deliverMana(castle, now);
+      this.repair(castle, now);
+    });
+  }
+  
+  // Mana the owner carries flows in while they fly over the castle
+  deliverMana(castle, now) {
+    const owner = this.room.players.get(castle.ownerId);
+    if (!owner || owner.dead || owner.mana <= 0 || now < castle.nextDeliveryTime) return;
+    if (!this.room.isWithin(owner, castle, CASTLE_DELIVERY_RANGE) || owner.y - castle.y > this.deliveryHeight) return;
+    
+    const amount = Math.min(this.deliveryAmount, owner.mana);
+    owner.mana -= amount;
+    castle.mana += amount;
+    castle.nextDeliveryTime = now + this.deliveryInterval;
+    
+    // A bigger castle comes with longer walls, already built
+    const tier = getCastleTier(castle.mana);
+    if (tier > castle.tier) {
+      const { maxHealth } = CASTLE_TIERS[tier];
+      castle.health += maxHealth - castle.maxHealth;
+      castle.maxHealth = maxHealth;
+      castle.tier = tier;
+    }
+    
+    this.room.match.scoreChanged();
+    this.room.broadcastNear('castle_delivery', { ownerId: castle.ownerId, amount }, castle, this.room.interestRadius);
+    this.broadcastCastle(castle);
+  }
+  
+  // Walls left alone for a while are patched up, a little each second
+  repair(castle, now) {
+    if (castle.health >= castle.maxHealth || now < castle.lastHitTime + this.repairDelay || now < castle.nextRepairTime) {
+      return;
+    }
+    
+    castle.health = Math.min(castle.maxHealth, castle.health + this.repairRate);
+    castle.nextRepairTime = now + 1000;
+    this.broadcastCastle(castle);
+  }
+  
+  // Whose castle, if any, a projectile is inside. Pilots' spells pass
+  // through their own castle.
+  findHit(projectile) {
+    const { x, y, z } = projectile.position;
+    
+    for (const castle of this.castles.values()) {
+      if (castle.ownerId === projectile.ownerId) continue;
+      
+      const tier = CASTLE_TIERS[castle.tier];
+      if (y < castle.y - 2 || y > castle.y + tier.height * CASTLE_KEEP_HEIGHT) continue;
+      if (Math.hypot(x - castle.x, z - castle.z) < tier.radius) return castle;
+    }
+    return null;
+  }
+  
+  // Called by the spell system when a projectile strikes a castle
+  applySpellHit(projectile, castle, point) {
+    const attacker = this.room.players.get(projectile.ownerId);
+    const damage = SPELL_TYPES[projectile.spell].damage;
+    castle.health = Math.max(0, castle.health - damage);
+    castle.lastHitTime = this.room.server.getTime();
+    
+    this.room.broadcastNear('spell_hit', {
+      ownerId: projectile.ownerId,
+      castId: projectile.castId,
+      castleId: castle.ownerId,
+      damage,
+      blocked: false,
+      health: castle.health,
+      x: point.x,
+      y: point.y,
+      z: point.z
+    }, point, this.room.interestRadius, { include: [projectile.ownerId, castle.ownerId] });
+    
+    if (castle.health === 0) {
+      this.raze(castle, attacker);
+      return;
+    }
+    
+    this.broadcastCastle(castle);
+    if (this.room.bots.has(castle.ownerId)) {
+      this.room.bots.get(castle.ownerId).onDamaged(attacker);
+    }
+  }
+  
+  raze(castle, attacker) {
+    this.castles.delete(castle.ownerId);
+    
+    const loot = attacker ? Math.floor(castle.mana * this.lootShare) : 0;
+    if (attacker) attacker.mana += loot;
+    this.room.match.scoreChanged();
+    
+    this.room.broadcast('castle_removed', { ownerId: castle.ownerId, razedBy: attacker ? attacker.id : null, loot });
+    console.log(`[${this.room.code}] ${castle.name}'s castle was razed by ${attacker ? attacker.name : 'nobody'}`);
+  }
+  
+  // Castles stay on the ground when spells reshape it
+  terrainChanged(x, z, radius) {
+    this.castles.forEach(castle => {
+      if (Math.hypot(castle.x - x, castle.z - z) >= radius) return;
+      
+      castle.y = this.room.world.getTerrainHeight(castle.x, castle.z);
+      this.broadcastCastle(castle);
+    });
+  }
+  
+  broadcastCastle(castle) {
+    this.room.broadcast('castles', { castles: [this.getCastleState(castle)], reset: false });
+  }
+  
+  getCastleStates() {
+    return Array.from(this.castles.values(), castle => this.getCastleState(castle));
+  }
+  
+  getCastleState({ ownerId, name, x, y, z, mana, tier, health, maxHealth }) {
+    return { ownerId, name, x, y, z, mana, tier, health, maxHealth };
+  }
+}
@@ -0,0 +1,23 @@
+// Masks unwanted words in chat. Words match whole words, ignoring case,
+// and are replaced with asterisks of the same length. Any letter or digit,
+// not just ASCII ones, continues a word.
+export class ChatFilter {
+  constructor(words = []) {
+    this.setWords(words);
+  }
+  
+  setWords(words) {
+    const escaped = words
+      .map(word => word.trim())
+      .filter(word => word.length > 0)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    
+    this.pattern = escaped.length > 0 ?
+      new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu') :
+      null;
+  }
+  
+  clean(text) {
+    return this.pattern ? text.replace(this.pattern, match => '*'.repeat([...match].length)) : text;
+  }
+}
@@ -0,0 +1,264 @@
+import { BOT_DIFFICULTIES } from './BotController.js';
+import { ChatFilter } from './ChatFilter.js';
+import { Room } from './Room.js';
+
+// Room codes avoid letters that are easy to confuse when read aloud (I, O)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+
+export class GameServer {
+  constructor(options = {}) {
+    this.tickRate = options.tickRate || 20; // State broadcasts per second
+    this.roomCapacity = options.roomCapacity || 8;
+    this.botFill = options.botFill !== undefined ? options.botFill : 4;
+    this.botDifficulty = options.botDifficulty || 'normal';
+    this.resumeGrace = options.resumeGrace !== undefined ? options.resumeGrace : 30000; // ms a dropped player's seat is kept
+    this.chatFilter = new ChatFilter(options.chatFilter || []);
+    this.matchOptions = options.match || {}; // Phase durations, see Match
+    this.dayStart = options.dayStart;        // Default time of day for new rooms, see Room
+    this.dayLength = options.dayLength;
+    
+    // The clock (ms), random numbers and first world seed can be supplied
+    // so tests can replay a session exactly
+    this.now = options.now || (() => performance.now());
+    this.random = options.random || Math.random;
+    this.seed = options.seed;                // New rooms' first world; random if unset
+    
+    this.rooms = new Map();
+    this.sessions = new Map(); // resume token -> { roomCode, playerId }
+    this.nextPlayerId = 1;
+    this.tickInterval = null;
+  }
+  
+  start() {
+    if (this.tickInterval) return;
+    
+    this.tickInterval = setInterval(() => this.tick(), 1000 / this.tickRate);
+    console.log(`Game server started at ${this.tickRate} ticks per second`);
+  }
+  
+  stop() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+  }
+  
+  getTime() {
+    return this.now();
+  }
+  
+  handleConnection(socket) {
+    // Players are only created once the client picks a room.
+    // Joining without a code creates a fresh room.
+    socket.on('join_room', (data = {}) => {
+      this.joinRoom(socket, data);
+    });
+    
+    socket.on('leave_room', () => {
+      this.leaveRoom(socket);
+    });
+    
+    socket.on('player_update', (data) => {
+      const room = this.getSocketRoom(socket);
+      if (room) room.handlePlayerUpdate(socket.playerId, data);
+    });
+    
+    socket.on('spectator_update', (data) => {
+      const room = this.getSocketRoom(socket);
+      if (room) room.handleSpectatorUpdate(socket.playerId, data);
+    });
+    
+    socket.on('player_action', (data) => {
+      const room = this.getSocketRoom(socket);
+      if (room) room.handlePlayerAction(socket.playerId, data);
+    });
+    
+    socket.on('chat', (data) => {
+      const room = this.getSocketRoom(socket);
+      if (room) room.handleChat(socket.playerId, data);
+    });
+    
+    socket.on('emote', (data) => {
+      const room = this.getSocketRoom(socket);
+      if (room) room.handleEmote(socket.playerId, data);
+    });
+    
+    socket.on('ping', (data) => {
+      socket.emit('pong', { ...data, serverTime: this.getTime() });
+    });
+    
+    socket.on('disconnect', () => {
+      this.dropConnection(socket);
+    });
+  }
+  
+  joinRoom(socket, data) {
+    const code = data.code ? this.normalizeRoomCode(data.code) : this.generateRoomCode();
+    if (!code) {
+      socket.emit('room_error', { reason: 'invalid_code', code: data.code });
+      return;
+    }
+    
+    // Spectators watch without a carpet and don't take a seat
+    const spectate = !!data.spectate;
+    
+    // Already here in the same role; nothing to do
+    if (socket.roomCode === code && !!socket.spectating === spectate) return;
+    
+    // Coming back after a dropped connection
+    if (!spectate && data.resumeToken && this.resumeSession(socket, data.resumeToken, code)) return;
+    
+    let room = this.rooms.get(code);
+    if (room && !spectate && room.isFull()) {
+      socket.emit('room_error', { reason: 'full', code, capacity: room.capacity });
+      return;
+    }
+    if (room && spectate && room.isFullOfSpectators()) {
+      socket.emit('room_error', { reason: 'spectators_full', code, capacity: room.spectatorCapacity });
+      return;
+    }
+    
+    // Switching between flying and watching keeps the room open
+    this.leaveRoom(socket, { keepOpen: socket.roomCode === code });
+    
+    // Shared links keep working after a room empties: unknown codes are recreated
+    if (!room) {
+      room = new Room(this, code, {
+        capacity: this.roomCapacity,
+        match: this.matchOptions,
+        ...this.getBotOptions(data.bots),
+        ...this.getDayOptions(data)
+      });
+      this.rooms.set(code, room);
+      console.log(`Room ${code} created (${this.rooms.size} active)`);
+    }
+    
+    if (spectate) {
+      room.addSpectator(socket, data);
+    } else {
+      room.addPlayer(socket, data);
+    }
+  }
+  
+  // Whoever creates a room may pick the bot difficulty, or 'off' for none
+  getBotOptions(bots) {
+    if (bots === 'off') {
+      return { botFill: 0 };
+    }
+    
+    return {
+      botFill: this.botFill,
+      botDifficulty: BOT_DIFFICULTIES[bots] ? bots : this.botDifficulty
+    };
+  }
+  
+  // Whoever creates a room may also pick the starting hour and day length
+  getDayOptions({ dayStart, dayLength }) {
+    const hour = parseFloat(dayStart);
+    const seconds = parseFloat(dayLength);
+    
+    return {
+      dayStart: hour >= 0 && hour <= 24 ? hour % 24 : this.dayStart,
+      dayLength: seconds >= 0 && seconds <= 86400 ? seconds : this.dayLength
+    };
+  }
+  
+  leaveRoom(socket, { keepOpen = false } = {}) {
+    const room = this.getSocketRoom(socket);
+    if (!room) return;
+    
+    if (socket.spectating) {
+      room.removeSpectator(socket.playerId);
+    } else {
+      room.removePlayer(socket.playerId);
+    }
+    if (!keepOpen) this.closeRoomIfEmpty(room);
+  }
+  
+  // A dropped connection keeps the player's carpet, mana and health in the
+  // room for resumeGrace ms so they can pick up where they left off
+  dropConnection(socket) {
+    const room = this.getSocketRoom(socket);
+    if (!room) return;
+    
+    // Spectators have no carpet to hold on to
+    if (this.resumeGrace > 0 && !socket.spectating) {
+      room.suspendPlayer(socket.playerId);
+    } else {
+      this.leaveRoom(socket);
+    }
+  }
+  
+  resumeSession(socket, token, code) {
+    const session = this.sessions.get(token);
+    if (!session || session.roomCode !== code) return false;
+    
+    const room = this.rooms.get(session.roomCode);
+    if (!room || !room.players.has(session.playerId)) return false;
+    
+    this.leaveRoom(socket);
+    room.resumePlayer(socket, session.playerId);
+    return true;
+  }
+  
+  // The global Web Crypto works both in Node (19+) and in a hosting browser
+  createSession(roomCode, playerId) {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    const token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    
+    this.sessions.set(token, { roomCode, playerId });
+    return token;
+  }
+  
+  endSession(token) {
+    this.sessions.delete(token);
+  }
+  
+  closeRoomIfEmpty(room) {
+    if (!room.isEmpty()) return;
+    
+    this.rooms.delete(room.code);
+    console.log(`Room ${room.code} closed (${this.rooms.size} active)`);
+  }
+  
+  getSocketRoom(socket) {
+    return socket.roomCode ? this.rooms.get(socket.roomCode) : null;
+  }
+  
+  createPlayerId() {
+    return `player_${this.nextPlayerId++}`;
+  }
+  
+  generateRoomCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(this.random() * ROOM_CODE_ALPHABET.length)];
+      }
+    } while (this.rooms.has(code));
+    return code;
+  }
+  
+  normalizeRoomCode(code) {
+    if (typeof code !== 'string') return null;
+    
+    const normalized = code.trim().toUpperCase();
+    const pattern = new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`);
+    return pattern.test(normalized) ? normalized : null;
+  }
+  
+  tick() {
+    this.rooms.forEach(room => {
+      room.tick();
+      
+      // The last player's grace period may have run out
+      this.closeRoomIfEmpty(room);
+    });
+  }
+  
+  sanitizeName(name) {
+    if (typeof name !== 'string') return '';
+    return name.replace(/[^\w \-]/g, '').trim().slice(0, 16);
+  }
+}
@@ -0,0 +1,79 @@
+// Uniform grid over the ground plane for finding what is near a point
+// without checking every entity in the room.
+export class InterestGrid {
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this.cells = new Map();   // "cx,cz" -> Set of entries
+    this.entries = new Map(); // id -> { id, x, z, key }
+  }
+  
+  cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+  
+  // Add an entity or move it to a new position
+  update(id, x, z) {
+    const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    let entry = this.entries.get(id);
+    
+    if (entry && entry.key !== key) {
+      this.removeFromCell(entry);
+    }
+    
+    if (!entry) {
+      entry = { id, x, z, key: null };
+      this.entries.set(id, entry);
+    }
+    
+    entry.x = x;
+    entry.z = z;
+    
+    if (entry.key !== key) {
+      entry.key = key;
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(entry);
+    }
+  }
+  
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    
+    this.removeFromCell(entry);
+    this.entries.delete(id);
+  }
+  
+  removeFromCell(entry) {
+    const cell = this.cells.get(entry.key);
+    if (!cell) return;
+    
+    cell.delete(entry);
+    if (cell.size === 0) this.cells.delete(entry.key);
+  }
+  
+  // Ids of everything within radius of (x, z)
+  query(x, z, radius) {
+    const found = new Set();
+    const radiusSq = radius * radius;
+    
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minZ = Math.floor((z - radius) / this.cellSize);
+    const maxZ = Math.floor((z + radius) / this.cellSize);
+    
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.cellKey(cx, cz));
+        if (!cell) continue;
+        
+        cell.forEach(entry => {
+          const dx = entry.x - x;
+          const dz = entry.z - z;
+          if (dx * dx + dz * dz <= radiusSq) found.add(entry.id);
+        });
+      }
+    }
+    
+    return found;
+  }
+}
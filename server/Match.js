@@ -0,0 +1,143 @@
+// Points for shooting down another pilot; mana scores its value, carried
+// or stored in the pilot's castle
+const ELIMINATION_SCORE = 25;
+
+// Runs a room's rounds:
+//   warmup   - practice while players gather: spells and mana work, but
+//              everything is reset when the round starts
+//   active   - the timed round
+//   overtime - the lead was tied when time ran out; the first to break the
+//              tie wins, or it ends in a draw
+//   results  - standings are shown, then the next round starts on a fresh world
+// Clients follow along through the game_state event, which also carries the
+// world seed and time of day.
+export class Match {
+  constructor(room, options = {}) {
+    this.room = room;
+    this.warmupDuration = options.warmupDuration !== undefined ? options.warmupDuration : 15000;
+    this.roundDuration = options.roundDuration || 240000;
+    this.overtimeDuration = options.overtimeDuration || 60000;
+    this.resultsDuration = options.resultsDuration || 10000;
+    this.scoreBroadcastInterval = 1000; // ms between score updates mid-round
+    
+    this.round = 1;
+    this.phase = null;
+    this.endsAt = 0;
+    this.results = null;
+    this.scoresChanged = false;
+    this.lastScoreBroadcast = 0;
+    
+    this.startPhase('warmup', this.warmupDuration);
+  }
+  
+  // Mana and spells do nothing while the results are up
+  isPlaying() {
+    return this.phase !== 'results';
+  }
+  
+  // Whether what pilots do now lasts into the standings
+  isScoring() {
+    return this.phase === 'active' || this.phase === 'overtime';
+  }
+  
+  startPhase(phase, duration) {
+    this.phase = phase;
+    this.endsAt = this.room.server.getTime() + duration;
+    this.broadcastState();
+  }
+  
+  update(now) {
+    // Sudden death: the first to break the tie wins
+    if (this.phase === 'overtime' && !this.isTied()) {
+      this.finishRound();
+      return;
+    }
+    
+    if (now < this.endsAt) {
+      if (this.scoresChanged && now - this.lastScoreBroadcast >= this.scoreBroadcastInterval) {
+        this.broadcastState();
+      }
+      return;
+    }
+    
+    switch (this.phase) {
+      case 'warmup':
+        this.room.resetForRound();
+        this.startPhase('active', this.roundDuration);
+        break;
+      case 'active':
+        if (this.isTied()) {
+          this.startPhase('overtime', this.overtimeDuration);
+        } else {
+          this.finishRound();
+        }
+        break;
+      case 'overtime':
+        this.finishRound();
+        break;
+      case 'results':
+        this.round++;
+        this.results = null;
+        this.room.regenerateWorld();
+        this.startPhase('warmup', this.warmupDuration);
+        break;
+    }
+  }
+  
+  finishRound() {
+    this.results = this.getStandings();
+    this.startPhase('results', this.resultsDuration);
+    
+    const winner = this.results[0];
+    const outcome = !winner ? 'nobody played' : this.isTied() ? 'draw' : `${winner.name} won with ${winner.score}`;
+    console.log(`[${this.room.code}] Round ${this.round} over, ${outcome}`);
+  }
+  
+  scoreChanged() {
+    this.scoresChanged = true;
+  }
+  
+  getScore(player) {
+    return player.mana + this.room.castles.getStoredMana(player.id) + player.eliminations * ELIMINATION_SCORE;
+  }
+  
+  getStandings() {
+    return Array.from(this.room.players.values())
+      .map(player => ({
+        id: player.id,
+        name: player.name,
+        isBot: !!player.isBot,
+        score: this.getScore(player),
+        mana: player.mana,
+        castle: this.room.castles.getStoredMana(player.id),
+        eliminations: player.eliminations
+      }))
+      .sort((a, b) => b.score - a.score || b.eliminations - a.eliminations);
+  }
+  
+  isTied() {
+    const standings = this.getStandings();
+    return standings.length >= 2 && standings[0].score === standings[1].score;
+  }
+  
+  getState() {
+    return {
+      round: this.round,
+      phase: this.phase,
+      endsAt: this.endsAt,
+      scores: this.getStandings(),
+      results: this.results
+    };
+  }
+  
+  broadcastState() {
+    this.scoresChanged = false;
+    this.lastScoreBroadcast = this.room.server.getTime();
+    this.room.broadcast('game_state', {
+      serverTime: this.room.server.getTime(),
+      seed: this.room.world.seed,
+      day: this.room.day,
+      match: this.getState()
+    });
+  }
+}
@@ -0,0 +1,137 @@
+import { PlayerPhysics } from '../src/game/systems/player/PlayerPhysics.js';
+
+// Checks the movement clients report against what PlayerPhysics allows and
+// clamps anything impossible. Returns the state the server should accept
+// plus the reason it had to step in, if any.
+//
+// Distance is budgeted rather than checked per update: updates arrive in
+// bursts, so a client may catch up on movement it didn't spend while its
+// packets were delayed, but never more than burstWindow seconds' worth.
+// Climbing and diving have a budget of their own: the altitude controls
+// plus what flying at top speed can add (see PlayerPhysics.step).
+export class MovementValidator {
+  constructor(world, options = {}) {
+    const physics = new PlayerPhysics({ engine: { systems: { world } } });
+    
+    this.world = world;
+    this.maxSpeed = physics.carpetMaxSpeed * 1.25; // Slack for frame timing on the client
+    this.maxClimb = (physics.maxAltitudeVelocity + physics.carpetMaxSpeed) * 1.25; // Units per second up or down
+    this.maxAltitude = physics.maxAltitude;
+    this.minAltitude = physics.minAltitude;
+    this.terrainClearance = 5;   // PlayerPhysics keeps carpets this far above the ground
+    this.tolerance = 2;          // Units of slack for quantization
+    this.burstWindow = 2;        // Seconds of unused movement a client may catch up on
+    this.teleportTimeout = 2000; // ms to wait for a client to follow a server-side move
+    this.teleportReach = 20;     // How close it must come to count as caught up
+    
+    this.checkTerrain = options.checkTerrain !== undefined ? options.checkTerrain : true;
+    this.terrainTolerance = 4;   // Clients sample the ground from a coarser height map
+    this.terrainGraceUntil = 0;
+  }
+  
+  // A new world was generated or a spell reshaped the land; clients fly
+  // over the old ground until they hear about it
+  worldChanged(now) {
+    this.terrainGraceUntil = now + this.teleportTimeout;
+  }
+  
+  // Start tracking a player from its current server position
+  reset(player, now) {
+    player.lastMoveTime = now;
+    player.moveBudget = 0;
+    player.climbBudget = 0;
+    player.teleportDeadline = 0;
+  }
+  
+  // The server moved the player (respawn, world edge). Updates from before
+  // the client heard about it are ignored until it catches up.
+  teleport(player, now) {
+    this.reset(player, now);
+    player.teleportDeadline = now + this.teleportTimeout;
+  }
+  
+  // The client kept flying while disconnected; let it pick up from there
+  allowCatchUp(player, now) {
+    player.moveBudget = this.maxSpeed * (now - player.lastMoveTime) / 1000;
+    player.climbBudget = this.maxClimb * (now - player.lastMoveTime) / 1000;
+    player.lastMoveTime = now;
+  }
+  
+  validate(player, update, now) {
+    const elapsed = Math.max(0, now - player.lastMoveTime) / 1000;
+    player.lastMoveTime = now;
+    
+    // Unused budget accumulates up to the burst window, but a larger
+    // catch-up allowance is never cut short
+    const cap = Math.max(this.maxSpeed * this.burstWindow, player.moveBudget);
+    player.moveBudget = Math.min(player.moveBudget + this.maxSpeed * elapsed, cap);
+    const climbCap = Math.max(this.maxClimb * this.burstWindow, player.climbBudget);
+    player.climbBudget = Math.min(player.climbBudget + this.maxClimb * elapsed, climbCap);
+    
+    let { x, y, z, vx, vy, vz } = update;
+    let violation = null;
+    
+    const dx = x - player.x;
+    const dz = z - player.z;
+    let distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (player.teleportDeadline) {
+      if (distance <= this.teleportReach) {
+        player.teleportDeadline = 0;
+      } else if (now < player.teleportDeadline) {
+        return null;
+      } else {
+        player.teleportDeadline = 0;
+      }
+    }
+    
+    // Carpets can't outrun their own top speed
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (speed > this.maxSpeed) {
+      const scale = this.maxSpeed / speed;
+      vx *= scale;
+      vy *= scale;
+      vz *= scale;
+      violation = 'speed';
+    }
+    
+    // Or cover more ground than their speed allows
+    if (distance > player.moveBudget + this.tolerance) {
+      const scale = player.moveBudget / distance;
+      x = player.x + dx * scale;
+      z = player.z + dz * scale;
+      distance = player.moveBudget;
+      violation = 'teleport';
+    }
+    player.moveBudget = Math.max(0, player.moveBudget - distance);
+    
+    // Nor climb or dive faster than the altitude controls allow
+    let climb = Math.abs(y - player.y);
+    if (climb > player.climbBudget + this.tolerance) {
+      y = player.y + Math.sign(y - player.y) * player.climbBudget;
+      climb = player.climbBudget;
+      violation = 'altitude';
+    }
+    player.climbBudget = Math.max(0, player.climbBudget - climb);
+    
+    if (y > this.maxAltitude + this.tolerance) {
+      y = this.maxAltitude;
+      violation = 'altitude';
+    }
+    
+    if (y < this.minAltitude - this.tolerance) {
+      y = this.minAltitude;
+      violation = 'altitude';
+    }
+    
+    if (this.checkTerrain && now >= this.terrainGraceUntil) {
+      const ground = this.world.getTerrainHeight(x, z) + this.terrainClearance;
+      if (y < ground - this.terrainTolerance) {
+        y = ground;
+        violation = 'terrain';
+      }
+    }
+    
+    return { x, y, z, vx, vy, vz, violation };
+  }
+}
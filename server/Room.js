@@ -0,0 +1,917 @@
+import { decodeClientUpdate, encodeSnapshot, quantizePlayer } from '../src/shared/StateCodec.js';
+import { CHAT_MAX_LENGTH, EMOTES } from '../src/shared/emotes.js';
+import { SPELL_LIFETIME, SPELL_TYPES } from '../src/shared/spells.js';
+import { BotController } from './BotController.js';
+import { CastleSystem } from './CastleSystem.js';
+import { InterestGrid } from './InterestGrid.js';
+import { Match } from './Match.js';
+import { MovementValidator } from './MovementValidator.js';
+import { ServerWorld } from './ServerWorld.js';
+import { SpellSystem } from './SpellSystem.js';
+
+export class Room {
+  constructor(server, code, options = {}) {
+    this.server = server;
+    this.code = code;
+    this.capacity = options.capacity || 8;
+    this.players = new Map();
+    this.spectators = new Map(); // Watchers without a carpet
+    this.sockets = new Map();    // Players and spectators alike
+    this.spectatorCapacity = options.spectatorCapacity || 16;
+    this.nextNetId = 1;
+    this.createdAt = server.getTime();
+    this.world = new ServerWorld({ seed: server.seed, random: server.random });
+    this.spells = new SpellSystem(this);
+    this.castles = new CastleSystem(this);
+    this.respawnDelay = 3000; // ms a shot-down pilot waits before flying again
+    
+    // Anti-cheat: clients report their own movement, the server checks it
+    this.movement = new MovementValidator(this.world);
+    this.manaReach = 30;      // Units from a node a collect request may come from
+    this.kickScore = 15;      // Violations (decaying one per second) before a kick
+    
+    // Chat and emotes share a rate limit: a burst of chatBurst messages,
+    // then one every chatInterval ms
+    this.chatBurst = 5;
+    this.chatInterval = 2000;
+    
+    // Bots top the room up to botFill pilots so a solo player still has company
+    this.botFill = options.botFill !== undefined ? options.botFill : 4;
+    this.botDifficulty = options.botDifficulty || 'normal';
+    this.bots = new Map();
+    this.nextBotId = 1;
+    
+    // Area of interest: each client only hears about players, spells and
+    // mana nodes near its own carpet
+    this.interestRadius = options.interestRadius || 250;
+    this.interestMargin = 1.2; // Players are dropped this much further out than they appear
+    this.playerGrid = new InterestGrid(this.interestRadius / 2);
+    this.nodeGrid = new InterestGrid(this.interestRadius / 2);
+    
+    // Snapshot bookkeeping for delta compression
+    this.currentTick = 0;
+    this.snapshotHistorySize = 32; // Ticks a client may lag behind before getting a full snapshot
+    
+    // Timed rounds with scoring
+    this.match = new Match(this, options.match);
+    
+    // Time of day: the hour (0-24) the room opened at and real seconds per
+    // day, 0 to stop the clock. Clients light the world from it, and the
+    // weather runs on the same clock.
+    this.day = {
+      start: options.dayStart !== undefined ? options.dayStart : 10,
+      length: options.dayLength !== undefined ? options.dayLength : 600,
+      epoch: this.createdAt
+    };
+  }
+  
+  // Capacity and emptiness only count humans; bots make room for them.
+  // Players waiting to reconnect keep their seat.
+  getHumanCount() {
+    return this.players.size - this.bots.size;
+  }
+  
+  isFull() {
+    return this.getHumanCount() >= this.capacity;
+  }
+  
+  isFullOfSpectators() {
+    return this.spectators.size >= this.spectatorCapacity;
+  }
+  
+  // Spectators keep a room open, but bots only fly for humans
+  isEmpty() {
+    return this.getHumanCount() === 0 && this.spectators.size === 0;
+  }
+  
+  // Whoever is connected under this id, flying or watching
+  getMember(id) {
+    return this.players.get(id) || this.spectators.get(id);
+  }
+  
+  createPlayerRecord(id, name, x = 0, y = 50, z = 0) {
+    return {
+      id,
+      netId: this.allocateNetId(),
+      name,
+      x,
+      y,
+      z,
+      vx: 0,
+      vy: 0,
+      vz: 0,
+      rotationY: 0,
+      bankAngle: 0,
+      mana: 0,
+      eliminations: 0,
+      health: 100,
+      dead: false,
+      respawnAt: 0,
+      shieldUntil: 0,
+      nextCastTime: 0,
+      seq: 0,
+      joinedAt: this.server.getTime(),
+      
+      // Movement validation (see MovementValidator)
+      lastMoveTime: this.server.getTime(),
+      moveBudget: 0,
+      climbBudget: 0,
+      teleportDeadline: 0,
+      violationScore: 0,
+      lastViolationTime: 0,
+      
+      // Chat rate limiting
+      chatAllowance: this.chatBurst,
+      lastChatTime: 0,
+      
+      // Dropped players keep their carpet until resumeBy
+      resumeToken: null,
+      away: false,
+      resumeBy: 0,
+      
+      // Last snapshot the client confirmed, and what we sent it recently
+      ackTick: 0,
+      sentSnapshots: new Map(),
+      
+      // What this client has been told about: player ids, and node id -> collected
+      visible: new Set(),
+      knownNodes: new Map()
+    };
+  }
+  
+  // Spectators see the room from a free camera or over someone's shoulder
+  // and are never part of the simulation
+  createSpectatorRecord(id, name) {
+    return {
+      id,
+      name,
+      isSpectator: true,
+      x: 0,
+      y: 50,
+      z: 0,
+      followId: null,
+      seq: 0,
+      joinedAt: this.server.getTime(),
+      chatAllowance: this.chatBurst,
+      lastChatTime: 0,
+      ackTick: 0,
+      sentSnapshots: new Map(),
+      visible: new Set(),
+      knownNodes: new Map()
+    };
+  }
+  
+  addPlayer(socket, data) {
+    const id = this.server.createPlayerId();
+    const player = this.createPlayerRecord(id, this.server.sanitizeName(data.name) || `Pilot ${id.split('_')[1]}`);
+    player.resumeToken = this.server.createSession(this.code, id);
+    
+    socket.playerId = id;
+    socket.roomCode = this.code;
+    socket.spectating = false;
+    this.players.set(id, player);
+    this.sockets.set(id, socket);
+    
+    this.sendWelcome(socket, player, false);
+    console.log(`[${this.code}] ${player.name} joined as ${id} (${this.getHumanCount()}/${this.capacity})`);
+    
+    this.fillBots();
+    this.match.scoreChanged();
+    this.broadcastRoomInfo();
+    return player;
+  }
+  
+  addSpectator(socket, data) {
+    const id = this.server.createPlayerId();
+    const spectator = this.createSpectatorRecord(id, this.server.sanitizeName(data.name) || `Spectator ${id.split('_')[1]}`);
+    
+    socket.playerId = id;
+    socket.roomCode = this.code;
+    socket.spectating = true;
+    this.spectators.set(id, spectator);
+    this.sockets.set(id, socket);
+    
+    this.sendWelcome(socket, spectator, false);
+    console.log(`[${this.code}] ${spectator.name} is watching as ${id} (${this.spectators.size} spectators)`);
+    
+    this.broadcastRoomInfo();
+    return spectator;
+  }
+  
+  removeSpectator(id) {
+    const spectator = this.spectators.get(id);
+    if (!spectator) return;
+    
+    const socket = this.sockets.get(id);
+    if (socket) {
+      socket.playerId = null;
+      socket.roomCode = null;
+      socket.spectating = false;
+    }
+    
+    this.spectators.delete(id);
+    this.sockets.delete(id);
+    console.log(`[${this.code}] ${spectator.name} stopped watching`);
+    
+    this.broadcastRoomInfo();
+  }
+  
+  // Tell a (re)joining client where it is, who it is and who is already here
+  sendWelcome(socket, player, resumed) {
+    socket.emit('room_joined', this.getRoomInfo());
+    socket.emit('welcome', {
+      id: player.id,
+      netId: player.netId,
+      name: player.name,
+      serverTime: this.server.getTime(),
+      resumeToken: player.resumeToken || null,
+      resumed,
+      spectator: !!player.isSpectator,
+      mana: player.mana,
+      health: player.health
+    });
+    
+    // The client starts from nothing: everyone nearby, and the nodes around it
+    if (player.isSpectator) this.updateSpectatorView(player);
+    player.visible = this.findNearbyPlayers(player, this.interestRadius);
+    
+    socket.emit('game_state', {
+      serverTime: this.server.getTime(),
+      players: Array.from(player.visible, id => this.getPlayerState(this.players.get(id))),
+      seed: this.world.seed,
+      day: this.day,
+      match: this.match.getState()
+    });
+    socket.emit('terrain_edits', { edits: this.world.getTerrainEdits(), reset: true });
+    socket.emit('castles', { castles: this.castles.getCastleStates(), reset: true });
+    this.updateWorldChunks();
+    this.syncManaNodes(player, socket, true);
+  }
+  
+  removePlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return;
+    
+    const socket = this.sockets.get(id);
+    if (socket) {
+      socket.playerId = null;
+      socket.roomCode = null;
+    }
+    this.server.endSession(player.resumeToken);
+    
+    this.players.delete(id);
+    this.sockets.delete(id);
+    this.spells.clearHistory(id);
+    this.castles.remove(id);
+    this.forgetPlayer(id);
+    console.log(`[${this.code}] ${player.name} left (${this.getHumanCount()}/${this.capacity})`);
+    
+    this.fillBots();
+    this.match.scoreChanged();
+    this.broadcastRoomInfo();
+  }
+  
+  // The connection dropped: everyone else keeps seeing the carpet where it
+  // was until the player resumes or the grace period ends
+  suspendPlayer(id) {
+    const player = this.players.get(id);
+    const socket = this.sockets.get(id);
+    if (!player || !socket) return;
+    
+    socket.playerId = null;
+    socket.roomCode = null;
+    this.sockets.delete(id);
+    
+    player.away = true;
+    player.resumeBy = this.server.getTime() + this.server.resumeGrace;
+    console.log(`[${this.code}] ${player.name} lost connection, holding their seat`);
+    
+    this.broadcastRoomInfo();
+  }
+  
+  resumePlayer(socket, id) {
+    const player = this.players.get(id);
+    
+    // The server may not have noticed the old connection dying yet
+    const oldSocket = this.sockets.get(id);
+    if (oldSocket && oldSocket !== socket) {
+      oldSocket.playerId = null;
+      oldSocket.roomCode = null;
+      oldSocket.disconnect();
+    }
+    
+    socket.playerId = id;
+    socket.roomCode = this.code;
+    this.sockets.set(id, socket);
+    player.away = false;
+    this.movement.allowCatchUp(player, this.server.getTime());
+    
+    // Our delta baselines died with the old connection
+    player.ackTick = 0;
+    player.sentSnapshots.clear();
+    
+    this.sendWelcome(socket, player, true);
+    console.log(`[${this.code}] ${player.name} reconnected as ${id}`);
+    
+    this.broadcastRoomInfo();
+  }
+  
+  removeExpiredPlayers(now) {
+    const expired = Array.from(this.players.values()).filter(player => player.away && now >= player.resumeBy);
+    expired.forEach(player => this.removePlayer(player.id));
+  }
+  
+  // Add or remove bots so humans plus bots make botFill pilots
+  fillBots() {
+    const wanted = this.getHumanCount() === 0 ? 0 : Math.max(0, this.botFill - this.getHumanCount());
+    
+    while (this.bots.size < wanted) {
+      this.addBot();
+    }
+    
+    while (this.bots.size > wanted) {
+      this.removeBot(Array.from(this.bots.keys()).pop());
+    }
+  }
+  
+  addBot() {
+    const number = this.nextBotId++;
+    const { x, z } = this.getSpawnPoint();
+    const bot = this.createPlayerRecord(`bot_${number}`, `Magic Bot ${number}`, x, 0, z);
+    bot.isBot = true;
+    
+    const controller = new BotController(bot, this.world, {
+      difficulty: this.botDifficulty,
+      random: this.server.random
+    });
+    controller.respawn(x, z);
+    
+    this.players.set(bot.id, bot);
+    this.bots.set(bot.id, controller);
+  }
+  
+  removeBot(id) {
+    this.players.delete(id);
+    this.bots.delete(id);
+    this.spells.clearHistory(id);
+    this.castles.remove(id);
+    this.forgetPlayer(id);
+  }
+  
+  getSpawnPoint() {
+    const range = this.world.homeRadius * 0.6;
+    return {
+      x: (this.server.random() - 0.5) * 2 * range,
+      z: (this.server.random() - 0.5) * 2 * range
+    };
+  }
+  
+  allocateNetId() {
+    // Net IDs are small integers so they stay cheap on the wire
+    const inUse = new Set(Array.from(this.players.values()).map(player => player.netId));
+    while (inUse.has(this.nextNetId)) {
+      this.nextNetId = (this.nextNetId % 65535) + 1;
+    }
+    const netId = this.nextNetId;
+    this.nextNetId = (this.nextNetId % 65535) + 1;
+    return netId;
+  }
+  
+  handlePlayerUpdate(id, buffer) {
+    const player = this.players.get(id);
+    if (!player || !buffer) return;
+    
+    let data;
+    try {
+      data = decodeClientUpdate(buffer);
+    } catch (error) {
+      console.warn(`[${this.code}] Dropping malformed update from ${id}: ${error.message}`);
+      return;
+    }
+    
+    this.acknowledgeSnapshot(player, data.ackTick);
+    
+    // Out-of-order updates would move the player backwards
+    if (data.seq <= player.seq) return;
+    player.seq = data.seq;
+    
+    // Only movement is taken from the client, and only what physics allows.
+    // Mana and health are decided by the server.
+    const movement = this.movement.validate(player, data, this.server.getTime());
+    if (!movement) return;
+    
+    for (const key of ['x', 'y', 'z', 'vx', 'vy', 'vz']) {
+      player[key] = movement[key];
+    }
+    player.rotationY = data.rotationY;
+    player.bankAngle = data.bankAngle;
+    
+    if (movement.violation) {
+      this.recordViolation(player, movement.violation);
+    }
+  }
+  
+  // Spectators report where their camera is, or whom they follow, so the
+  // server knows what they need to hear about
+  handleSpectatorUpdate(id, data) {
+    const spectator = this.spectators.get(id);
+    if (!spectator || !data) return;
+    
+    this.acknowledgeSnapshot(spectator, data.ackTick);
+    
+    if (typeof data.follow === 'string' && this.players.has(data.follow)) {
+      spectator.followId = data.follow;
+    } else {
+      spectator.followId = null;
+      
+      ['x', 'y', 'z'].forEach(key => {
+        if (Number.isFinite(data[key])) spectator[key] = data[key];
+      });
+    }
+    
+    this.updateSpectatorView(spectator);
+  }
+  
+  // A following spectator sees what the followed player sees
+  updateSpectatorView(spectator) {
+    const target = spectator.followId && this.players.get(spectator.followId);
+    if (!target) {
+      spectator.followId = null;
+      return;
+    }
+    
+    spectator.x = target.x;
+    spectator.y = target.y;
+    spectator.z = target.z;
+  }
+  
+  acknowledgeSnapshot(viewer, ackTick) {
+    if (ackTick > viewer.ackTick && viewer.sentSnapshots.has(ackTick)) {
+      viewer.ackTick = ackTick;
+    }
+  }
+  
+  // Clamped or rejected input counts against a player; a few slips from a
+  // bad connection fade away, a modified client gets kicked
+  recordViolation(player, reason) {
+    const now = this.server.getTime();
+    const elapsed = (now - player.lastViolationTime) / 1000;
+    player.violationScore = Math.max(0, player.violationScore - elapsed) + 1;
+    player.lastViolationTime = now;
+    
+    if (player.violationScore >= this.kickScore) {
+      this.kickPlayer(player.id, 'cheating');
+    } else if (player.violationScore >= this.kickScore / 2) {
+      console.warn(`[${this.code}] ${player.name} (${player.id}) rejected: ${reason}, score ${player.violationScore.toFixed(1)}`);
+    }
+  }
+  
+  kickPlayer(id, reason) {
+    const player = this.players.get(id);
+    const socket = this.sockets.get(id);
+    if (!player || !socket) return;
+    
+    console.warn(`[${this.code}] Kicked ${player.name} (${id}) for ${reason}`);
+    socket.emit('kicked', { reason });
+    
+    // Removing the player ends its session, so it can't be resumed
+    this.removePlayer(id);
+    socket.disconnect();
+  }
+  
+  handlePlayerAction(id, data) {
+    const player = this.players.get(id);
+    if (!player || !data || typeof data.action !== 'string') return;
+    
+    switch (data.action) {
+      case 'collect_mana':
+        this.handleManaCollection(id, data.nodeId);
+        break;
+      case 'found_castle':
+        this.handleFoundCastle(id);
+        break;
+      case 'cast_spell':
+        // Others only see casts the server accepted and is simulating,
+        // and only if the projectile could reach them
+        if (this.match.isPlaying() && this.spells.cast(player, data)) {
+          this.broadcastNear('player_action', { ...data, playerId: id }, player, this.getSpellReach(data.spell), {
+            exceptId: id
+          });
+        }
+        break;
+      default:
+        // Relay everything else to everyone nearby
+        this.broadcastNear('player_action', { ...data, playerId: id }, player, this.interestRadius, { exceptId: id });
+    }
+  }
+  
+  // Chat goes to the whole room, whoever is nearby, spectators included
+  handleChat(id, data) {
+    const player = this.getMember(id);
+    if (!player || !data || typeof data.text !== 'string') return;
+    
+    const text = data.text.replace(/\s+/g, ' ').trim().slice(0, CHAT_MAX_LENGTH);
+    if (!text || !this.allowChat(player)) return;
+    
+    this.broadcast('chat', { playerId: id, name: player.name, text: this.server.chatFilter.clean(text) });
+  }
+  
+  handleEmote(id, data) {
+    const player = this.getMember(id);
+    if (!player || !data || !EMOTES.some(emote => emote.id === data.emote)) return;
+    if (!this.allowChat(player)) return;
+    
+    this.broadcast('emote', { playerId: id, name: player.name, emote: data.emote });
+  }
+  
+  allowChat(player) {
+    const now = this.server.getTime();
+    const refilled = (now - player.lastChatTime) / this.chatInterval;
+    player.chatAllowance = Math.min(this.chatBurst, player.chatAllowance + refilled);
+    player.lastChatTime = now;
+    
+    if (player.chatAllowance < 1) {
+      const socket = this.sockets.get(player.id);
+      if (socket) socket.emit('chat_error', { reason: 'rate_limited' });
+      return false;
+    }
+    
+    player.chatAllowance--;
+    return true;
+  }
+  
+  handleManaCollection(id, nodeId) {
+    const player = this.players.get(id);
+    const target = this.world.getManaNode(nodeId);
+    if (!target) return;
+    if (player.dead || !this.match.isPlaying()) {
+      this.rejectManaCollection(id, target);
+      return;
+    }
+    
+    // Collect requests must come from near the node
+    if (!this.isWithin(player, target, this.manaReach) || Math.abs(player.y - target.y) > this.manaReach) {
+      this.rejectManaCollection(id, target);
+      this.recordViolation(player, 'mana_reach');
+      return;
+    }
+    
+    // Someone else got there first; everyone hears on the next tick
+    const node = this.world.collectManaNode(nodeId);
+    if (!node) return;
+    node.collectedBy = id;
+    player.mana += node.value;
+    this.match.scoreChanged();
+    
+    // The collector already knows; everyone nearby hears on the next tick
+    player.knownNodes.set(node.id, true);
+  }
+  
+  // The client hid the node when it claimed it, so it has to be told the
+  // node is still there
+  rejectManaCollection(id, node) {
+    const socket = this.sockets.get(id);
+    if (socket && !node.collected) socket.emit('mana_respawned', { id: node.id });
+  }
+  
+  handleFoundCastle(id) {
+    const reason = this.castles.found(this.players.get(id));
+    const socket = this.sockets.get(id);
+    if (reason && socket) socket.emit('castle_error', { reason });
+  }
+  
+  // Called by the spell system when a projectile reaches a target
+  applySpellHit(projectile, target, point) {
+    const attacker = this.players.get(projectile.ownerId);
+    const blocked = target.shieldUntil > this.server.getTime();
+    const damage = blocked ? 0 : SPELL_TYPES[projectile.spell].damage;
+    
+    target.health = Math.max(0, target.health - damage);
+    
+    this.broadcastNear('spell_hit', {
+      ownerId: projectile.ownerId,
+      castId: projectile.castId,
+      targetId: target.id,
+      damage,
+      blocked,
+      health: target.health,
+      x: point.x,
+      y: point.y,
+      z: point.z
+    }, point, this.interestRadius, { include: [projectile.ownerId, target.id] });
+    
+    if (target.health === 0) {
+      this.killPlayer(target, attacker);
+    } else if (this.bots.has(target.id)) {
+      this.bots.get(target.id).onDamaged(attacker);
+    }
+  }
+  
+  killPlayer(player, killer) {
+    player.dead = true;
+    player.respawnAt = this.server.getTime() + this.respawnDelay;
+    
+    if (killer && killer !== player) {
+      killer.eliminations++;
+      this.match.scoreChanged();
+    }
+    
+    this.broadcastNear('player_died', { id: player.id, killerId: killer ? killer.id : null }, player, this.interestRadius, {
+      include: [player.id, killer ? killer.id : null]
+    });
+    console.log(`[${this.code}] ${player.name} was shot down by ${killer ? killer.name : 'nobody'}`);
+  }
+  
+  respawnPlayer(player) {
+    const { x, z } = this.getSpawnPoint();
+    
+    player.dead = false;
+    player.health = 100;
+    
+    if (player.isBot) {
+      player.mana = 0;
+      this.bots.get(player.id).respawn(x, z);
+    } else {
+      // Human clients move themselves there when they hear about it
+      Object.assign(player, { x, y: this.world.getTerrainHeight(x, z) + 50, z, vx: 0, vy: 0, vz: 0 });
+      this.movement.teleport(player, this.server.getTime());
+    }
+    
+    this.spells.clearHistory(player.id);
+    this.broadcastNear('player_respawn', {
+      id: player.id,
+      x: player.x,
+      y: player.y,
+      z: player.z,
+      health: player.health
+    }, player, this.interestRadius, { include: [player.id] });
+  }
+  
+  // Everyone starts the round from scratch at a fresh spawn point, without
+  // a castle, and the mana nodes collected and land reshaped during warmup
+  // come back
+  resetForRound() {
+    this.spells.projectiles = [];
+    this.world.restoreManaNodes();
+    this.resetTerrain();
+    this.castles.clear();
+    this.players.forEach(player => {
+      player.mana = 0;
+      player.eliminations = 0;
+      this.respawnPlayer(player);
+    });
+  }
+  
+  // A new round gets new terrain and a new mana layout
+  regenerateWorld() {
+    this.world.regenerate();
+    this.castles.clear();
+    this.movement.worldChanged(this.server.getTime());
+    
+    this.nodeGrid = new InterestGrid(this.interestRadius / 2);
+    this.updateWorldChunks();
+    
+    this.sockets.forEach((socket, id) => {
+      this.syncManaNodes(this.getMember(id), socket, true);
+    });
+  }
+  
+  // Spells reshape the land for everyone in the room; newcomers get every
+  // edit so far with their welcome
+  modifyTerrain(type, x, z, radius, amount) {
+    const { edit, moved } = this.world.modifyTerrain(type, x, z, radius, amount);
+    
+    // The ground may rise under someone before their client knows
+    this.movement.worldChanged(this.server.getTime());
+    this.broadcast('terrain_edits', { edits: [edit], reset: false });
+    this.castles.terrainChanged(x, z, radius);
+    this.sendMovedNodes(moved);
+  }
+  
+  resetTerrain() {
+    if (this.world.getTerrainEdits().length === 0) return;
+    
+    const moved = this.world.clearTerrainEdits();
+    this.movement.worldChanged(this.server.getTime());
+    this.broadcast('terrain_edits', { edits: [], reset: true });
+    this.sendMovedNodes(moved);
+  }
+  
+  // Nodes that moved are sent again to whoever knows them
+  sendMovedNodes(moved) {
+    this.sockets.forEach((socket, id) => {
+      const member = this.getMember(id);
+      const nodes = moved
+        .filter(node => member.knownNodes.has(node.id))
+        .map(node => this.world.getManaNodeState(node));
+      if (nodes.length > 0) socket.emit('mana_nodes', { nodes, reset: false });
+    });
+  }
+  
+  // Mana nodes exist around everyone flying or watching; the rest of the
+  // endless world is generated when someone gets there
+  updateWorldChunks() {
+    const positions = [...this.players.values(), ...this.spectators.values()];
+    const { added, removed } = this.world.updateChunks(positions, this.interestRadius * this.interestMargin);
+    
+    added.forEach(node => this.nodeGrid.update(node.id, node.x, node.z));
+    removed.forEach(id => {
+      this.nodeGrid.remove(id);
+      this.sockets.forEach((socket, memberId) => this.getMember(memberId).knownNodes.delete(id));
+    });
+  }
+  
+  updateBots(delta) {
+    const players = Array.from(this.players.values());
+    
+    this.bots.forEach((controller, id) => {
+      if (controller.bot.dead) return;
+      
+      controller.update(delta, players, this.castles.get(id)).forEach(action => {
+        this.handlePlayerAction(id, action);
+      });
+    });
+  }
+  
+  tick() {
+    this.currentTick++;
+    
+    const delta = 1 / this.server.tickRate;
+    this.world.time = (this.server.getTime() - this.day.epoch) / 1000;
+    this.world.update(delta);
+    this.updateBots(delta);
+    this.spells.update(delta);
+    
+    const now = this.server.getTime();
+    this.castles.update(now);
+    this.removeExpiredPlayers(now);
+    this.players.forEach(player => {
+      if (player.dead && now >= player.respawnAt) {
+        this.respawnPlayer(player);
+      }
+    });
+    this.match.update(now);
+    this.updateWorldChunks();
+    
+    // Quantize every player once; clients share the same entity states
+    const entities = new Map();
+    this.players.forEach(player => {
+      entities.set(player.netId, quantizePlayer(player));
+      this.playerGrid.update(player.id, player.x, player.z);
+    });
+    
+    this.sockets.forEach((socket, id) => {
+      const viewer = this.getMember(id);
+      if (viewer.isSpectator) this.updateSpectatorView(viewer);
+      
+      this.updateInterest(viewer, socket);
+      this.syncManaNodes(viewer, socket);
+      this.sendSnapshot(viewer, socket, entities);
+    });
+  }
+  
+  findNearbyPlayers(player, radius) {
+    const nearby = this.playerGrid.query(player.x, player.z, radius);
+    nearby.delete(player.id);
+    return nearby;
+  }
+  
+  // Announce players entering this client's area and drop those that left it
+  updateInterest(player, socket) {
+    const inRange = this.findNearbyPlayers(player, this.interestRadius * this.interestMargin);
+    
+    player.visible.forEach(id => {
+      if (!inRange.has(id)) {
+        player.visible.delete(id);
+        socket.emit('player_exit', { id });
+      }
+    });
+    
+    inRange.forEach(id => {
+      const other = this.players.get(id);
+      if (player.visible.has(id) || !this.isWithin(player, other, this.interestRadius)) return;
+      
+      player.visible.add(id);
+      socket.emit('player_enter', this.getPlayerState(other));
+    });
+  }
+  
+  // Tell everyone who could see a departing player that it is gone
+  forgetPlayer(id) {
+    this.playerGrid.remove(id);
+    this.sockets.forEach((socket, viewerId) => {
+      if (this.getMember(viewerId).visible.delete(id)) {
+        socket.emit('player_exit', { id });
+      }
+    });
+  }
+  
+  // Send nearby mana nodes this client hasn't heard about, and changes to
+  // the ones it has. A reset starts the client's list over (new world).
+  syncManaNodes(player, socket, reset = false) {
+    if (reset) player.knownNodes = new Map();
+    const added = [];
+    
+    this.nodeGrid.query(player.x, player.z, this.interestRadius).forEach(nodeId => {
+      const node = this.world.getManaNode(nodeId);
+      const known = player.knownNodes.get(nodeId);
+      if (known === node.collected) return;
+      
+      player.knownNodes.set(nodeId, node.collected);
+      if (known === undefined) {
+        added.push(this.world.getManaNodeState(node));
+      } else if (node.collected) {
+        socket.emit('mana_collected', { id: node.id, playerId: node.collectedBy, value: node.value });
+      } else {
+        socket.emit('mana_respawned', { id: node.id });
+      }
+    });
+    
+    if (added.length > 0 || reset) {
+      socket.emit('mana_nodes', { nodes: added, reset });
+    }
+  }
+  
+  sendSnapshot(player, socket, entities) {
+    // Our own carpet plus whoever is in our area
+    const visibleEntities = new Map();
+    if (!player.isSpectator) visibleEntities.set(player.netId, entities.get(player.netId));
+    player.visible.forEach(id => {
+      const netId = this.players.get(id).netId;
+      visibleEntities.set(netId, entities.get(netId));
+    });
+    
+    const baseline = player.sentSnapshots.get(player.ackTick) || null;
+    const snapshot = {
+      tick: this.currentTick,
+      baselineTick: player.ackTick,
+      serverTime: this.server.getTime(),
+      ackSeq: player.seq,
+      entities: visibleEntities
+    };
+    
+    socket.emit('snapshot', encodeSnapshot(snapshot, baseline));
+    
+    // Remember what we sent so the next snapshot can be a delta against it
+    player.sentSnapshots.set(this.currentTick, visibleEntities);
+    player.sentSnapshots.delete(this.currentTick - this.snapshotHistorySize);
+    if (!player.sentSnapshots.has(player.ackTick)) {
+      player.ackTick = 0;
+    }
+  }
+  
+  broadcast(event, data, exceptId = null) {
+    this.sockets.forEach((socket, id) => {
+      if (id !== exceptId) {
+        socket.emit(event, data);
+      }
+    });
+  }
+  
+  // Send to clients within range of a point, plus anyone listed in include
+  broadcastNear(event, data, point, range, { exceptId = null, include = [] } = {}) {
+    this.sockets.forEach((socket, id) => {
+      if (id === exceptId) return;
+      
+      if (include.includes(id) || this.isWithin(this.getMember(id), point, range)) {
+        socket.emit(event, data);
+      }
+    });
+  }
+  
+  isWithin(a, b, range) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz <= range * range;
+  }
+  
+  // How far away a cast can matter: the projectile's flight plus our interest radius
+  getSpellReach(spellIndex) {
+    const spell = SPELL_TYPES[spellIndex];
+    return this.interestRadius + (spell ? spell.speed * SPELL_LIFETIME : 0);
+  }
+  
+  broadcastRoomInfo() {
+    this.broadcast('room_update', this.getRoomInfo());
+  }
+  
+  getRoomInfo() {
+    return {
+      code: this.code,
+      capacity: this.capacity,
+      players: Array.from(this.players.values()).map(({ id, name, joinedAt, isBot, away }) => ({
+        id,
+        name,
+        joinedAt,
+        isBot: !!isBot,
+        away
+      })),
+      spectators: Array.from(this.spectators.values()).map(({ id, name }) => ({ id, name }))
+    };
+  }
+  
+  getPlayerState(player) {
+    const { id, netId, name, x, y, z, vx, vy, vz, rotationY, bankAngle, mana, health, dead } = player;
+    return { id, netId, name, x, y, z, vx, vy, vz, rotationY, bankAngle, mana, health, dead };
+  }
+}
@@ -0,0 +1,199 @@
+import { TerrainGenerator } from '../src/shared/TerrainGenerator.js';
+import { WeatherForecast } from '../src/shared/WeatherForecast.js';
+import { chunkSeed, createRandom, randomSeed } from '../src/shared/random.js';
+
+// The server's view of a room's world: terrain heights for bot physics and
+// the mana nodes players compete for. The world has no edge; mana nodes are
+// generated chunk by chunk around whoever is flying there, from the seed
+// clients receive in game_state to build the same terrain.
+export class ServerWorld {
+  constructor(options = {}) {
+    this.random = options.random || Math.random; // Picks the seeds of new worlds
+    this.seed = options.seed !== undefined ? options.seed : randomSeed(this.random);
+    this.terrainGenerator = new TerrainGenerator({ seed: this.seed });
+    
+    // Wind pushes bots just as it pushes players; time is seconds on the
+    // room's clock, kept up to date by the room
+    this.weather = new WeatherForecast({ seed: this.seed });
+    this.time = 0;
+    
+    // Players spawn and bots patrol within this distance of the origin
+    this.homeRadius = options.homeRadius || 500;
+    
+    this.chunkSize = options.chunkSize || 200;
+    this.maxNodesPerChunk = options.maxNodesPerChunk || 2;
+    this.manaRespawnTime = options.manaRespawnTime || 30; // Seconds until a collected node returns
+    this.chunks = new Map();    // "cx,cz" -> ids of the chunk's mana nodes
+    this.manaNodes = new Map(); // id -> node
+  }
+  
+  // Start over with new terrain and mana nodes
+  regenerate(seed = randomSeed(this.random)) {
+    this.seed = seed;
+    this.terrainGenerator.setSeed(seed);
+    this.weather.setSeed(seed);
+    this.chunks.clear();
+    this.manaNodes.clear();
+  }
+  
+  getTerrainHeight(x, z) {
+    return this.terrainGenerator.getHeight(x, z);
+  }
+  
+  getAverageHeight(x, z, radius) {
+    return this.terrainGenerator.getAverageHeight(x, z, radius);
+  }
+  
+  // Reshape the land (see TERRAIN_EDIT_TYPES). Mana nodes on it keep
+  // floating at the same height over the ground; returns the edit and the
+  // nodes that moved.
+  modifyTerrain(type, x, z, radius, amount) {
+    const edit = { type, x, z, radius, amount };
+    if (type === 'smooth') {
+      edit.level = this.terrainGenerator.getAverageHeight(x, z, radius);
+    }
+    this.terrainGenerator.addEdit(edit);
+    
+    const moved = [];
+    this.manaNodes.forEach(node => {
+      if (Math.hypot(node.x - x, node.z - z) >= radius) return;
+      
+      node.y = this.getTerrainHeight(node.x, node.z) + 10;
+      moved.push(node);
+    });
+    return { edit, moved };
+  }
+  
+  // Undo every edit; returns the mana nodes that moved back
+  clearTerrainEdits() {
+    this.terrainGenerator.clearEdits();
+    const moved = [];
+    this.manaNodes.forEach(node => {
+      const y = this.getTerrainHeight(node.x, node.z) + 10;
+      if (y === node.y) return;
+      
+      node.y = y;
+      moved.push(node);
+    });
+    return moved;
+  }
+  
+  getTerrainEdits() {
+    return this.terrainGenerator.edits;
+  }
+  
+  getWind(x, z, out) {
+    return this.weather.getWind(x, z, this.time, out);
+  }
+  
+  // Keep the chunks within radius of each position generated. Chunks nobody
+  // is near are dropped once all their nodes are back, since they come out
+  // the same when generated again. Returns what changed.
+  updateChunks(positions, radius) {
+    const wanted = new Set();
+    const added = [];
+    const removed = [];
+    
+    positions.forEach(({ x, z }) => {
+      const minX = Math.floor((x - radius) / this.chunkSize);
+      const maxX = Math.floor((x + radius) / this.chunkSize);
+      const minZ = Math.floor((z - radius) / this.chunkSize);
+      const maxZ = Math.floor((z + radius) / this.chunkSize);
+      
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const key = `${cx},${cz}`;
+          wanted.add(key);
+          if (!this.chunks.has(key)) {
+            added.push(...this.generateChunk(cx, cz));
+          }
+        }
+      }
+    });
+    
+    this.chunks.forEach((ids, key) => {
+      if (wanted.has(key) || ids.some(id => this.manaNodes.get(id).collected)) return;
+      
+      ids.forEach(id => this.manaNodes.delete(id));
+      removed.push(...ids);
+      this.chunks.delete(key);
+    });
+    
+    return { added, removed };
+  }
+  
+  generateChunk(cx, cz) {
+    // Some biomes are richer in mana than others
+    const biome = this.terrainGenerator.getBiome((cx + 0.5) * this.chunkSize, (cz + 0.5) * this.chunkSize);
+    const maxNodes = Math.round(this.maxNodesPerChunk * biome.manaDensity);
+    const random = createRandom(chunkSeed(this.seed, cx, cz));
+    const count = Math.floor(random() * (maxNodes + 1));
+    const nodes = [];
+    
+    for (let i = 0; i < count; i++) {
+      const x = (cx + random()) * this.chunkSize;
+      const z = (cz + random()) * this.chunkSize;
+      
+      nodes.push({
+        id: `${cx},${cz}:${i}`,
+        x,
+        y: this.getTerrainHeight(x, z) + 10, // Floating above terrain
+        z,
+        value: 10 + Math.floor(random() * 20),
+        collected: false,
+        respawnTimer: 0
+      });
+    }
+    
+    nodes.forEach(node => this.manaNodes.set(node.id, node));
+    this.chunks.set(`${cx},${cz}`, nodes.map(node => node.id));
+    return nodes;
+  }
+  
+  getManaNode(id) {
+    return this.manaNodes.get(id) || null;
+  }
+  
+  // First claim wins; returns the node if it was still available
+  collectManaNode(id) {
+    const node = this.manaNodes.get(id);
+    if (!node || node.collected) return null;
+    
+    node.collected = true;
+    node.respawnTimer = this.manaRespawnTime;
+    return node;
+  }
+  
+  // Bring back every collected node at once
+  restoreManaNodes() {
+    this.manaNodes.forEach(node => {
+      node.collected = false;
+      node.respawnTimer = 0;
+    });
+  }
+  
+  getUncollectedManaNodes() {
+    return Array.from(this.manaNodes.values()).filter(node => !node.collected);
+  }
+  
+  // Returns the nodes that came back this frame
+  update(delta) {
+    const respawned = [];
+    
+    this.manaNodes.forEach(node => {
+      if (!node.collected) return;
+      
+      node.respawnTimer -= delta;
+      if (node.respawnTimer <= 0) {
+        node.collected = false;
+        respawned.push(node);
+      }
+    });
+    
+    return respawned;
+  }
+  
+  getManaNodeState({ id, x, y, z, value, collected }) {
+    return { id, x, y, z, value, collected };
+  }
+}
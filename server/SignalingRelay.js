@@ -0,0 +1,47 @@
+// Relays WebRTC offers, answers and ICE candidates between a player hosting
+// a game in their browser and the peers joining it. Game traffic itself
+// never passes through here.
+export class SignalingRelay {
+  constructor() {
+    this.hosts = new Map();   // host code -> socket
+    this.sockets = new Map(); // socket id -> socket
+  }
+  
+  handleConnection(socket) {
+    this.sockets.set(socket.id, socket);
+    
+    socket.on('rtc_host', (data = {}) => {
+      if (typeof data.code !== 'string' || !data.code) return;
+      
+      // A code belongs to its host until they disconnect
+      const host = this.hosts.get(data.code);
+      if (host && host !== socket) {
+        socket.emit('rtc_error', { reason: 'code_taken', code: data.code });
+        return;
+      }
+      this.hosts.set(data.code, socket);
+    });
+    
+    // Peers address the host by its code; the host answers peers by socket id
+    socket.on('rtc_signal', (data = {}) => {
+      const target = this.hosts.get(data.to) || this.sockets.get(data.to);
+      if (!target) {
+        socket.emit('rtc_error', { reason: 'not_found', to: data.to });
+        return;
+      }
+      
+      target.emit('rtc_signal', {
+        from: socket.id,
+        description: data.description,
+        candidate: data.candidate
+      });
+    });
+    
+    socket.on('disconnect', () => {
+      this.sockets.delete(socket.id);
+      this.hosts.forEach((host, code) => {
+        if (host === socket) this.hosts.delete(code);
+      });
+    });
+  }
+}
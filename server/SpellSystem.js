@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+import { SPELL_TYPES, SPELL_LIFETIME, SPELL_HIT_RADIUS, SHIELD_DURATION } from '../src/shared/spells.js';
+
+// Simulates spell projectiles for a room and decides who they hit.
+//
+// Shooters aim at remote carpets drawn slightly in the past (interpolation
+// delay plus latency), so each projectile is tested against where targets
+// were at the time the shooter saw them rather than where they are now.
+export class SpellSystem {
+  constructor(room) {
+    this.room = room;
+    this.projectiles = [];
+    
+    // Lag compensation
+    this.history = new Map();       // player id -> [{ time, x, y, z }]
+    this.historyDuration = 1000;    // ms of positions kept per player
+    this.maxRewind = 400;           // ms; slower connections get less help
+    this.maxCastDistance = 15;      // How far from the server's position a cast may start
+    this.cooldownTolerance = 50;    // ms of slack for jittery cast timing
+    
+    // Reusable vectors
+    this.previousPosition = new THREE.Vector3();
+    this.targetPosition = new THREE.Vector3();
+    this.closestPoint = new THREE.Vector3();
+    this.segment = new THREE.Line3();
+  }
+  
+  // Validate a cast request and start simulating it. Returns false if rejected.
+  cast(player, data) {
+    const spell = SPELL_TYPES[data.spell];
+    if (!spell || player.dead) return false;
+    
+    const now = this.room.server.getTime();
+    if (player.nextCastTime && now < player.nextCastTime - this.cooldownTolerance) return false;
+    player.nextCastTime = now + spell.cooldown * 1000;
+    
+    if (spell.name === 'Shield') {
+      player.shieldUntil = now + SHIELD_DURATION * 1000;
+      return true;
+    }
+    
+    const direction = new THREE.Vector3(data.dx, data.dy, data.dz);
+    if (!Number.isFinite(direction.lengthSq()) || direction.lengthSq() === 0) return false;
+    direction.normalize();
+    
+    // Casts must start near the caster
+    const origin = new THREE.Vector3(data.x, data.y, data.z);
+    const casterPosition = new THREE.Vector3(player.x, player.y, player.z);
+    if (!Number.isFinite(origin.lengthSq()) || origin.distanceTo(casterPosition) > this.maxCastDistance) {
+      origin.copy(casterPosition);
+    }
+    
+    // How far back the shooter was seeing the world
+    const rewind = Number.isFinite(data.viewTime) ?
+      THREE.MathUtils.clamp(now - data.viewTime, 0, this.maxRewind) :
+      0;
+    
+    this.projectiles.push({
+      ownerId: player.id,
+      castId: data.castId,
+      spell: data.spell,
+      position: origin,
+      velocity: direction.multiplyScalar(spell.speed),
+      life: SPELL_LIFETIME,
+      rewind
+    });
+    
+    return true;
+  }
+  
+  update(delta) {
+    const now = this.room.server.getTime();
+    this.recordPositions(now);
+    
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      
+      this.previousPosition.copy(projectile.position);
+      projectile.position.addScaledVector(projectile.velocity, delta);
+      projectile.life -= delta;
+      
+      const terrainHeight = this.room.world.getTerrainHeight(projectile.position.x, projectile.position.z);
+      if (projectile.life <= 0 || projectile.position.y < terrainHeight) {
+        this.projectiles.splice(i, 1);
+        
+        // Some spells leave their mark where they strike the ground
+        const terrain = SPELL_TYPES[projectile.spell].terrain;
+        if (terrain && projectile.life > 0) {
+          const { x, z } = projectile.position;
+          this.room.modifyTerrain(terrain.type, x, z, terrain.radius, terrain.amount);
+        }
+        continue;
+      }
+      
+      const hit = this.findHit(projectile, now - projectile.rewind);
+      if (hit) {
+        this.projectiles.splice(i, 1);
+        this.room.applySpellHit(projectile, hit.target, hit.point);
+        continue;
+      }
+      
+      // Castles stand still, so they need no rewinding
+      const castle = this.room.castles.findHit(projectile);
+      if (castle) {
+        this.projectiles.splice(i, 1);
+        this.room.castles.applySpellHit(projectile, castle, projectile.position);
+      }
+    }
+  }
+  
+  // Projectiles move several units per tick, so test the whole segment
+  findHit(projectile, time) {
+    this.segment.set(this.previousPosition, projectile.position);
+    
+    let closest = null;
+    this.room.players.forEach(target => {
+      if (target.id === projectile.ownerId || target.dead) return;
+      
+      this.getPositionAt(target, time, this.targetPosition);
+      this.segment.closestPointToPoint(this.targetPosition, true, this.closestPoint);
+      
+      const distance = this.closestPoint.distanceTo(this.targetPosition);
+      if (distance < SPELL_HIT_RADIUS && (!closest || distance < closest.distance)) {
+        closest = { target, distance, point: this.closestPoint.clone() };
+      }
+    });
+    
+    return closest;
+  }
+  
+  recordPositions(time) {
+    const cutoff = time - this.historyDuration;
+    
+    this.room.players.forEach(player => {
+      if (!this.history.has(player.id)) {
+        this.history.set(player.id, []);
+      }
+      
+      const history = this.history.get(player.id);
+      history.push({ time, x: player.x, y: player.y, z: player.z });
+      while (history.length > 2 && history[0].time < cutoff) {
+        history.shift();
+      }
+    });
+  }
+  
+  // Where a player was at a given server time, interpolated between ticks
+  getPositionAt(player, time, target) {
+    const history = this.history.get(player.id);
+    if (!history || history.length === 0 || time >= history[history.length - 1].time) {
+      return target.set(player.x, player.y, player.z);
+    }
+    
+    for (let i = history.length - 1; i > 0; i--) {
+      const from = history[i - 1];
+      const to = history[i];
+      if (from.time <= time) {
+        const t = (time - from.time) / (to.time - from.time);
+        return target.set(
+          THREE.MathUtils.lerp(from.x, to.x, t),
+          THREE.MathUtils.lerp(from.y, to.y, t),
+          THREE.MathUtils.lerp(from.z, to.z, t)
+        );
+      }
+    }
+    
+    return target.set(history[0].x, history[0].y, history[0].z);
+  }
+  
+  // Forget history when a player leaves or teleports
+  clearHistory(id) {
+    this.history.delete(id);
+  }
+}
@@ -0,0 +1,68 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Server } from 'socket.io';
+import { GameServer } from './GameServer.js';
+import { SignalingRelay } from './SignalingRelay.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const DIST_DIR = fileURLToPath(new URL('../dist', import.meta.url));
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.glb': 'model/gltf-binary',
+  '.mp3': 'audio/mpeg'
+};
+
+// Serve the production build so the client can connect to window.location.origin
+async function serveStatic(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const path = normalize(url.pathname === '/' ? '/index.html' : url.pathname);
+  
+  try {
+    const body = await readFile(join(DIST_DIR, path));
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream' });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404);
+    res.end('Not found');
+  }
+}
+
+const httpServer = createServer(serveStatic);
+const io = new Server(httpServer, {
+  // The Vite dev server runs on another port
+  cors: { origin: '*' }
+});
+
+const gameServer = new GameServer({
+  roomCapacity: Number(process.env.ROOM_CAPACITY) || undefined,
+  botFill: process.env.BOT_COUNT !== undefined ? Number(process.env.BOT_COUNT) : undefined,
+  botDifficulty: process.env.BOT_DIFFICULTY,
+  resumeGrace: process.env.RESUME_GRACE !== undefined ? Number(process.env.RESUME_GRACE) * 1000 : undefined,
+  chatFilter: process.env.CHAT_FILTER ? process.env.CHAT_FILTER.split(',') : undefined,
+  dayStart: process.env.DAY_START !== undefined ? Number(process.env.DAY_START) : undefined,
+  dayLength: process.env.DAY_LENGTH !== undefined ? Number(process.env.DAY_LENGTH) : undefined,
+  match: {
+    roundDuration: Number(process.env.ROUND_LENGTH) * 1000 || undefined,
+    warmupDuration: process.env.WARMUP_LENGTH !== undefined ? Number(process.env.WARMUP_LENGTH) * 1000 : undefined
+  }
+});
+const signalingRelay = new SignalingRelay();
+
+io.on('connection', (socket) => {
+  gameServer.handleConnection(socket);
+  signalingRelay.handleConnection(socket);
+});
+gameServer.start();
+
+httpServer.listen(PORT, () => {
+  console.log(`Magical Vibe Carpet server listening on http://localhost:${PORT}`);
+});
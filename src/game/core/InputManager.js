@@ -106,6 +106,13 @@ export class InputManager {
     this.emit('keyup', event);
   }
   
+  // Let go of every held key, e.g. when focus moves to a text field
+  releaseKeys() {
+    Object.keys(this.keys).forEach(code => {
+      if (this.keys[code]) this.onKeyUp({ code });
+    });
+  }
+  
   onMouseDown(event) {
     this.mouse.buttons = event.buttons;
     this.emit('mousedown', event);
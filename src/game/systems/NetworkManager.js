@@ -1,102 +1,476 @@
-import { io } from 'socket.io-client';
 import { EventEmitter } from '../../utils/EventEmitter';
+import { decodeSnapshot, dequantizePlayer, encodeClientUpdate } from '../../shared/StateCodec';
+import { ClockSync } from './network/ClockSync';
+import { LoopbackTransport } from './network/LoopbackTransport';
+import { NetworkConditioner } from './network/NetworkConditioner';
+import { SocketIOTransport } from './network/SocketIOTransport';
+import { WebRTCHost } from './network/WebRTCHost';
+import { WebRTCTransport } from './network/WebRTCTransport';
+import { ReplayPlayer } from './replay/ReplayPlayer';
+import { ReplayRecorder } from './replay/ReplayRecorder';
 
 export class NetworkManager extends EventEmitter {
   constructor(engine) {
     super();
     this.engine = engine;
-    this.socket = null;
+    this.transport = null;
     this.players = new Map();
     this.localPlayerId = null;
-    this.serverTimeDiff = 0;
-    this.ping = 0;
+    
+    // Lets us reclaim our carpet if the connection drops
+    this.resumeToken = null;
+    this.reconnecting = false;
+    
+    // Latency and server clock estimates from ping/pong
+    this.clock = new ClockSync();
+    this.pingRate = 2000;           // ms between pings once the clock has settled
+    this.initialPings = 5;          // Quick pings sent after joining
+    this.pingTimer = null;
+    
+    // Binary state sync
+    this.localNetId = null;
+    this.netIds = new Map();        // netId -> player id
+    this.snapshotHistory = new Map(); // tick -> entities, kept as delta baselines
+    this.snapshotHistorySize = 32;
+    this.lastSnapshotTick = 0;
+    
+    // Local state is sent at a fixed rate regardless of frame rate
+    this.sendRate = 20;             // Updates per second
+    this.sendAccumulator = 0;
+    this.pendingUpdate = null;
+    
+    // How we reach a game server:
+    //   server - the dedicated server (default)
+    //   local  - a server running in this page (?offline or VITE_OFFLINE=true)
+    //   host   - a server in this page that other players join over WebRTC (?host)
+    //   peer   - another player's hosted game (?peer=ABCD)
+    //   replay - no server; plays back a recorded session (?replay)
+    const params = new URLSearchParams(window.location.search);
+    this.mode = 'server';
+    if (params.has('offline') || import.meta.env.VITE_OFFLINE === 'true') this.mode = 'local';
+    if (params.has('host')) this.mode = 'host';
+    if (params.get('peer')) this.mode = 'peer';
+    if (params.has('replay')) this.mode = 'replay';
+    this.localServer = null;
+    this.webrtcHost = null;
+    this.playerName = params.get('name') || this.getStoredPlayerName();
+    
+    // Rooms are shared by link: ?room=ABCD joins (or recreates) that room.
+    // Peers join the host's room, which shares the host's code.
+    const code = params.get('peer') || params.get('room');
+    this.roomCode = code ? code.trim().toUpperCase() : null;
+    this.roomInfo = null;
+    this.match = null;              // Round, phase and scores, see server/Match.js
+    this.worldSeed = null;          // The room's world, see server/ServerWorld.js
+    
+    // Bot difficulty for rooms we create: easy, normal, hard or off
+    this.botDifficulty = params.get('bots');
+    
+    // Time of day for rooms we create: starting hour and seconds per day
+    // (?time=18&daylength=300), see DayNight
+    this.dayStart = params.get('time');
+    this.dayLength = params.get('daylength');
+    
+    // Watch the room without flying (?spectate)
+    this.spectating = params.has('spectate');
+    
+    // Simulated bad connection for development (?netsim=3g, ?latency=...)
+    this.conditioner = NetworkConditioner.fromParams(params);
+    
+    // Every session is recorded so it can be saved as a replay (?record=off to opt out)
+    this.recorder = this.mode !== 'replay' && params.get('record') !== 'off' ? new ReplayRecorder(this) : null;
+    this.lastRecordedInput = null;
+    this.replay = null;
+  }
+  
+  // Everything we tell the game also goes into the recording
+  emit(event, data) {
+    if (this.recorder) this.recorder.record(event, data);
+    super.emit(event, data);
   }
   
   async initialize() {
-    // In a real implementation, this would connect to your actual server
-    const serverUrl = import.meta.env.DEV ? 'http://localhost:3000' : window.location.origin;
+    // The dedicated server also relays WebRTC signaling for hosted games
+    this.serverUrl = import.meta.env.VITE_SERVER_URL ||
+      (import.meta.env.DEV ? `http://${window.location.hostname}:3000` : window.location.origin);
     
-    this.socket = io(serverUrl, {
-      autoConnect: false,
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionDelayMax: 5000,
-      timeout: 10000
-    });
+    // Replays are fed in by ReplayPlayer once a file is opened
+    if (this.mode === 'replay') {
+      this.replay = new ReplayPlayer(this);
+      return;
+    }
     
+    this.setTransport(await this.createTransport());
+    this.connect();
+  }
+  
+  async createTransport() {
+    switch (this.mode) {
+      case 'local':
+      case 'host':
+        return new LoopbackTransport(await this.startLocalServer());
+      case 'peer':
+        return new WebRTCTransport(this.serverUrl, this.roomCode);
+      default:
+        return new SocketIOTransport(this.serverUrl);
+    }
+  }
+  
+  // Run the game server in this page. Loaded on demand so online players
+  // don't download it.
+  async startLocalServer() {
+    if (!this.localServer) {
+      const { GameServer } = await import('../../../server/GameServer.js');
+      this.localServer = new GameServer();
+      this.localServer.start();
+    }
+    return this.localServer;
+  }
+  
+  setTransport(transport) {
+    this.transport = transport;
     this.setupEventListeners();
+  }
+  
+  getStoredPlayerName() {
+    let name = localStorage.getItem('vibe-carpet-name');
+    if (!name) {
+      name = 'Pilot ' + Math.floor(Math.random() * 10000);
+      localStorage.setItem('vibe-carpet-name', name);
+    }
+    return name;
+  }
+  
+  // Fall back to a server in this page when the dedicated server can't be reached
+  async startOfflineSession() {
+    this.transport.disconnect();
+    this.mode = 'local';
+    this.roomCode = null;
     
-    // For now, we'll simulate connection success locally
-    // In a real implementation, this would be triggered by the server
-    setTimeout(() => {
-      this.localPlayerId = 'player_' + Math.floor(Math.random() * 10000);
-      this.emit('connected', { id: this.localPlayerId });
-      
-      // Simulate other players joining
-      this.handlePlayerJoin({ id: 'player_ai_1', name: 'Magic Bot 1', x: 10, y: 5, z: 20 });
-      this.handlePlayerJoin({ id: 'player_ai_2', name: 'Magic Bot 2', x: -15, y: 7, z: -5 });
-      
-      console.log("Network simulation initialized");
-    }, 500);
+    this.setTransport(new LoopbackTransport(await this.startLocalServer()));
+    this.connect();
   }
   
   setupEventListeners() {
-    this.socket.on('connect', () => {
+    const transport = this.transport;
+    
+    // Incoming messages pass through the network conditioner
+    const onMessage = (type, handler) => {
+      transport.onMessage(type, (data) => {
+        this.conditioner.receive(type, () => handler(data));
+      });
+    };
+    
+    transport.on('connect', () => {
       console.log('Connected to server');
-      this.emit('connected');
+      this.joinRoom(this.roomCode);
     });
     
-    this.socket.on('disconnect', () => {
+    transport.on('connect_error', (error) => {
+      // Fall back to a local session if the server was never reachable
+      if (this.mode === 'server' && !this.localPlayerId && transport === this.transport) {
+        console.warn(`Could not reach game server (${error.message}), starting offline session`);
+        this.startOfflineSession();
+      }
+    });
+    
+    transport.on('disconnect', () => {
       console.log('Disconnected from server');
+      clearTimeout(this.pingTimer);
+      this.resetSnapshots();
+      
+      // Remote players will be re-announced by the server on reconnect
+      this.clearRemotePlayers();
+      
+      // The server holds our seat while the transport tries to get us back
+      if (transport.willReconnect && this.resumeToken) {
+        this.reconnecting = true;
+        this.emit('reconnecting');
+      }
+      
       this.emit('disconnected');
     });
     
-    this.socket.on('player_join', (data) => {
+    onMessage('room_joined', (data) => {
+      // Switching rooms: everyone from the old room is gone
+      if (this.roomInfo && this.roomInfo.code !== data.code) {
+        this.resetSnapshots();
+        this.clearRemotePlayers();
+      }
+      
+      this.roomCode = data.code;
+      this.roomInfo = data;
+      this.updateRoomUrl();
+      
+      // Open our in-page server to peers once we know the room's code
+      if (this.mode === 'host' && !this.webrtcHost) {
+        this.webrtcHost = new WebRTCHost(this.localServer, this.serverUrl, data.code);
+      }
+      
+      console.log(`Joined room ${data.code}`);
+      this.emit('room_joined', data);
+    });
+    
+    onMessage('room_update', (data) => {
+      this.roomInfo = data;
+      this.emit('room_update', data);
+    });
+    
+    onMessage('room_error', (data) => {
+      console.warn(`Could not join room ${data.code || ''}: ${data.reason}`);
+      this.emit('room_error', data);
+    });
+    
+    onMessage('welcome', (data) => {
+      // A new identity in the same room (switching between flying and
+      // watching) sees the room afresh
+      if (!data.resumed && this.localPlayerId) {
+        this.resetSnapshots();
+        this.clearRemotePlayers();
+      }
+      
+      this.localPlayerId = data.id;
+      this.localNetId = data.spectator ? null : data.netId;
+      this.spectating = data.spectator;
+      if (!data.spectator) this.playerName = data.name;
+      this.resumeToken = data.resumeToken;
+      this.reconnecting = false;
+      this.clock.reset(data.serverTime);
+      this.startPing();
+      this.emit('connected', {
+        id: data.id,
+        name: data.name,
+        resumed: data.resumed,
+        spectator: data.spectator,
+        mana: data.mana,
+        health: data.health
+      });
+    });
+    
+    // The server only tells us about players near our carpet
+    onMessage('player_enter', (data) => {
       this.handlePlayerJoin(data);
     });
     
-    this.socket.on('player_leave', (data) => {
+    onMessage('player_exit', (data) => {
       this.handlePlayerLeave(data);
     });
     
-    this.socket.on('player_update', (data) => {
-      this.handlePlayerUpdate(data);
+    onMessage('snapshot', (buffer) => {
+      this.handleSnapshot(buffer);
+    });
+    
+    onMessage('player_action', (data) => {
+      this.emit('player_action', data);
+    });
+    
+    // Mana nodes, terrain edits and castles are shared by everyone in the
+    // room, the server decides who spells hit, and chat is relayed to the
+    // whole room
+    [
+      'mana_nodes', 'mana_collected', 'mana_respawned', 'terrain_edits',
+      'castles', 'castle_removed', 'castle_delivery', 'castle_error',
+      'spell_hit', 'player_died', 'player_respawn',
+      'chat', 'emote', 'chat_error'
+    ].forEach(event => {
+      onMessage(event, (data) => this.emit(event, data));
     });
     
-    this.socket.on('game_state', (data) => {
+    onMessage('game_state', (data) => {
       this.handleGameState(data);
     });
     
-    this.socket.on('pong', (latency) => {
-      this.ping = latency;
+    // Removed by the server, usually by anti-cheat; don't try to come back
+    onMessage('kicked', (data) => {
+      console.warn(`Kicked from the room: ${data.reason}`);
+      this.resumeToken = null;
+      this.emit('kicked', data);
+    });
+    
+    onMessage('pong', (data) => {
+      this.clock.addSample(data.sentAt, data.serverTime);
     });
   }
   
   connect() {
-    // In a real implementation, this would connect to the actual server
-    // this.socket.connect();
+    this.transport.connect();
+  }
+  
+  // Outgoing messages pass through the network conditioner
+  send(type, data) {
+    const transport = this.transport;
+    if (!transport) return;
     
-    // For now we'll just simulate connection locally
-    // This was done in initialize for simplicity
+    this.conditioner.send(type, () => transport.send(type, data));
   }
   
   disconnect() {
-    if (this.socket) {
-      this.socket.disconnect();
+    if (this.transport) {
+      this.transport.disconnect();
     }
   }
   
+  // Join a room by code; without a code the server creates a new room
+  joinRoom(code = null, spectate = this.spectating) {
+    // Rejoining our own room after a drop picks up the same carpet
+    const resumeToken = code && code === this.roomCode ? this.resumeToken : null;
+    this.send('join_room', {
+      code,
+      name: this.playerName,
+      bots: this.botDifficulty,
+      dayStart: this.dayStart,
+      dayLength: this.dayLength,
+      resumeToken,
+      spectate
+    });
+  }
+  
+  // Watch a room without flying, e.g. while it is full
+  spectateRoom(code) {
+    this.joinRoom(code, true);
+  }
+  
+  // A spectator takes a seat in the room it is watching. Fails with
+  // room_error if the room is still full.
+  joinAsPlayer() {
+    if (!this.roomCode) return;
+    
+    this.joinRoom(this.roomCode, false);
+  }
+  
+  isSpectating() {
+    return this.spectating;
+  }
+  
+  createRoom() {
+    this.joinRoom(null);
+  }
+  
+  leaveRoom() {
+    if (!this.roomInfo) return;
+    
+    this.send('leave_room');
+    this.roomInfo = null;
+    this.resumeToken = null;
+    this.resetSnapshots();
+    this.clearRemotePlayers();
+  }
+  
+  updateRoomUrl() {
+    // Local and peer-to-peer codes only mean something to the page hosting them
+    if (this.mode !== 'server') return;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', this.roomCode);
+    window.history.replaceState(null, '', url);
+  }
+  
+  getRoomCode() {
+    return this.roomCode;
+  }
+  
+  getRoomInfo() {
+    return this.roomInfo;
+  }
+  
+  getMatch() {
+    return this.match;
+  }
+  
+  getWorldSeed() {
+    return this.worldSeed;
+  }
+  
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.searchParams.set(this.mode === 'host' || this.mode === 'peer' ? 'peer' : 'room', this.roomCode);
+    return url.toString();
+  }
+  
+  startPing() {
+    clearTimeout(this.pingTimer);
+    
+    let sent = 0;
+    const sendPing = () => {
+      this.send('ping', { sentAt: performance.now() });
+      
+      // A quick burst settles the clock estimate, then we slow down
+      sent++;
+      this.pingTimer = setTimeout(sendPing, sent < this.initialPings ? 250 : this.pingRate);
+    };
+    sendPing();
+  }
+  
   // Player event handlers
   handlePlayerJoin(data) {
     this.players.set(data.id, data);
+    if (data.netId !== undefined) {
+      this.netIds.set(data.netId, data.id);
+    }
     this.emit('player_join', data);
   }
   
   handlePlayerLeave(data) {
+    const player = this.players.get(data.id);
+    if (player && player.netId !== undefined) {
+      this.netIds.delete(player.netId);
+    }
     this.players.delete(data.id);
     this.emit('player_leave', data);
   }
   
+  handleSnapshot(buffer) {
+    let snapshot;
+    try {
+      snapshot = decodeSnapshot(buffer, tick => this.snapshotHistory.get(tick));
+    } catch (error) {
+      // Keep acknowledging our last good snapshot; the server will resend from it
+      console.warn(`Dropping snapshot: ${error.message}`);
+      return;
+    }
+    
+    // Late snapshots are useless once a newer one has been applied
+    if (snapshot.tick <= this.lastSnapshotTick) return;
+    
+    this.lastSnapshotTick = snapshot.tick;
+    this.snapshotHistory.set(snapshot.tick, snapshot.entities);
+    
+    // Lost snapshots leave gaps, so drop everything that has aged out
+    this.snapshotHistory.forEach((entities, tick) => {
+      if (tick <= snapshot.tick - this.snapshotHistorySize) this.snapshotHistory.delete(tick);
+    });
+    
+    snapshot.entities.forEach((quantized, netId) => {
+      const state = dequantizePlayer(quantized);
+      
+      if (netId === this.localNetId) {
+        this.emit('player_ack', { seq: snapshot.ackSeq, ...state });
+        return;
+      }
+      
+      const id = this.netIds.get(netId);
+      if (id) {
+        this.handlePlayerUpdate({ id, serverTime: snapshot.serverTime, ...state });
+      }
+    });
+  }
+  
+  clearRemotePlayers() {
+    this.players.forEach((player, id) => {
+      if (id !== this.localPlayerId) {
+        this.handlePlayerLeave({ id });
+      }
+    });
+  }
+  
+  resetSnapshots() {
+    this.snapshotHistory.clear();
+    this.lastSnapshotTick = 0;
+    this.netIds.clear();
+    this.pendingUpdate = null;
+  }
+  
   handlePlayerUpdate(data) {
     if (this.players.has(data.id)) {
       const player = this.players.get(data.id);
@@ -106,52 +480,125 @@ export class NetworkManager extends EventEmitter {
   }
   
   handleGameState(data) {
+    if (data.match) {
+      this.match = data.match;
+    }
+    if (data.seed !== undefined) {
+      this.worldSeed = data.seed;
+    }
+    
+    // Make sure every player the server knows about exists locally
+    if (data.players) {
+      data.players.forEach(player => {
+        if (!this.players.has(player.id)) {
+          this.handlePlayerJoin(player);
+        }
+      });
+    }
+    
     this.emit('game_state', data);
   }
   
   // Send player updates to server
   sendPlayerUpdate(data) {
-    // In a real implementation, this would send to the server
-    // this.socket.emit('player_update', data);
+    // Sent on the next fixed-rate flush in update()
+    this.pendingUpdate = data;
+  }
+  
+  // Spectators send their camera position, or whom they follow, instead
+  sendSpectatorUpdate(data) {
+    this.pendingUpdate = data;
+  }
+  
+  flushPlayerUpdate() {
+    if (!this.pendingUpdate || !this.transport || !this.transport.connected || !this.localPlayerId) return;
     
-    // For now, we'll simulate local update
-    if (this.localPlayerId) {
-      data.id = this.localPlayerId;
-      this.handlePlayerUpdate(data);
+    if (this.spectating) {
+      this.send('spectator_update', { ...this.pendingUpdate, ackTick: this.lastSnapshotTick });
+      this.pendingUpdate = null;
+      return;
+    }
+    
+    // Our own carpet is drawn like the others in a replay, on the server clock
+    if (this.recorder) {
+      this.recorder.record('local_update', {
+        id: this.localPlayerId,
+        serverTime: this.getServerTime() - this.getPing() / 2,
+        ...this.pendingUpdate
+      });
     }
+    
+    this.send('player_update', encodeClientUpdate({
+      ...this.pendingUpdate,
+      ackTick: this.lastSnapshotTick
+    }));
+    this.pendingUpdate = null;
   }
   
   // Send player actions to server
   sendPlayerAction(action, data) {
-    // In a real implementation, this would send to the server
-    // this.socket.emit('player_action', { action, ...data });
+    if (this.recorder) this.recorder.record('local_action', { action, ...data });
+    this.send('player_action', { action, ...data });
+  }
+  
+  // The controls behind our movement, shown by the replay viewer. Only
+  // changes are kept; commands are sampled every frame.
+  recordInput(command) {
+    if (!this.recorder) return;
     
-    // For now, we'll simulate locally
-    this.emit('player_action', { 
-      playerId: this.localPlayerId,
-      action, 
-      ...data 
-    });
+    const controls = {
+      forward: Math.round(command.forward * 100) / 100,
+      right: Math.round(command.right * 100) / 100,
+      up: command.up,
+      boost: command.boost
+    };
+    const key = JSON.stringify(controls);
+    if (key === this.lastRecordedInput) return;
+    
+    this.lastRecordedInput = key;
+    this.recorder.record('input', controls);
+  }
+  
+  sendChat(text) {
+    this.send('chat', { text });
+  }
+  
+  sendEmote(emote) {
+    this.send('emote', { emote });
   }
   
   update(delta) {
-    // Simulate network updates for AI players
-    if (Math.random() < 0.05) {
-      this.players.forEach((player, id) => {
-        if (id !== this.localPlayerId) {
-          // Simple random movement for AI players
-          const update = {
-            id,
-            x: player.x + (Math.random() - 0.5) * 0.5,
-            y: player.y + (Math.random() - 0.5) * 0.1,
-            z: player.z + (Math.random() - 0.5) * 0.5
-          };
-          this.handlePlayerUpdate(update);
-        }
-      });
+    if (this.replay) {
+      this.replay.update(delta);
+      return;
+    }
+    
+    const sendInterval = 1 / this.sendRate;
+    this.sendAccumulator += delta;
+    
+    if (this.sendAccumulator >= sendInterval) {
+      this.sendAccumulator %= sendInterval;
+      this.flushPlayerUpdate();
     }
   }
   
+  getServerTime() {
+    return this.replay ? this.replay.getServerTime() : this.clock.getServerTime();
+  }
+  
+  // Smoothed round-trip time in ms
+  getPing() {
+    return this.replay ? this.replay.getPing() : Math.round(this.clock.getRtt());
+  }
+  
+  isReplay() {
+    return this.mode === 'replay';
+  }
+  
+  isOffline() {
+    return this.mode === 'local';
+  }
+  
   getPlayers() {
     return Array.from(this.players.values());
   }
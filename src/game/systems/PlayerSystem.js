@@ -3,6 +3,9 @@ import { PlayerPhysics } from './player/PlayerPhysics';
 import { PlayerSpells } from './player/PlayerSpells';
 import { PlayerInput } from './player/PlayerInput';
 import { PlayerModels } from './player/PlayerModels';
+import { PlayerPrediction } from './player/PlayerPrediction';
+import { PlayerInterpolation } from './player/PlayerInterpolation';
+import { SpectatorCamera } from './player/SpectatorCamera';
 
 export class PlayerSystem {
   constructor(engine) {
@@ -11,11 +14,6 @@ export class PlayerSystem {
     this.players = new Map();
     this.localPlayer = null;
     
-    // World transition flag
-    this.isTransitioning = false;
-    this.transitionAlpha = 0;
-    this.worldTransitionComplete = null;
-    
     // Camera settings
     this.cameraSettings = {
       distance: 12,      // Distance behind player
@@ -29,6 +27,9 @@ export class PlayerSystem {
     this.spells = new PlayerSpells(this);
     this.input = new PlayerInput(this);
     this.models = new PlayerModels(this);
+    this.prediction = new PlayerPrediction(this);
+    this.interpolation = new PlayerInterpolation(this);
+    this.spectator = new SpectatorCamera(this);
   }
   
   async initialize() {
@@ -38,7 +39,28 @@ export class PlayerSystem {
     
     // Listen for network events
     this.engine.systems.network.on('connected', (data) => {
-      this.createLocalPlayer(data.id);
+      // Spectators don't get a carpet
+      if (data.spectator) {
+        this.spectator.start();
+        return;
+      }
+      this.spectator.stop();
+      
+      if (this.localPlayer) {
+        // Reconnected: keep flying the same carpet. A resumed session keeps
+        // its ID; otherwise the server has given us a fresh pilot.
+        this.reassignLocalPlayerId(data.id);
+        this.updateLocalMana(data.mana);
+        this.updateLocalHealth(data.health);
+        
+        // A fresh pilot starts where the server put it
+        if (!data.resumed) {
+          this.localPlayer.position.set(0, 50, 0);
+          this.localPlayer.velocity.set(0, 0, 0);
+        }
+      } else {
+        this.createLocalPlayer(data.id);
+      }
     });
     
     this.engine.systems.network.on('player_join', (data) => {
@@ -53,6 +75,26 @@ export class PlayerSystem {
       this.updateNetworkPlayer(data);
     });
     
+    // Authoritative state for our own carpet
+    this.engine.systems.network.on('player_ack', (data) => {
+      this.prediction.reconcile(data);
+      this.updateLocalMana(data.mana);
+      this.updateLocalHealth(data.health);
+    });
+    
+    // Combat results from the server
+    this.engine.systems.network.on('spell_hit', (data) => {
+      this.spells.handleSpellHit(data);
+    });
+    
+    this.engine.systems.network.on('player_died', (data) => {
+      this.handlePlayerDeath(data);
+    });
+    
+    this.engine.systems.network.on('player_respawn', (data) => {
+      this.handlePlayerRespawn(data);
+    });
+    
     console.log("Player system initialized");
   }
   
@@ -102,6 +144,15 @@ export class PlayerSystem {
     console.log(`Local player created with ID: ${id}`);
   }
   
+  reassignLocalPlayerId(id) {
+    this.players.delete(this.localPlayer.id);
+    this.localPlayer.id = id;
+    this.players.set(id, this.localPlayer);
+    this.prediction.reset();
+    
+    console.log(`Local player reassigned to ID: ${id}`);
+  }
+  
   createNetworkPlayer(data) {
     // Don't create duplicate players
     if (this.players.has(data.id)) {
@@ -114,18 +165,23 @@ export class PlayerSystem {
     // Create player object
     const player = {
       id: data.id,
+      name: data.name,
       isLocal: false,
       model: carpetModel,
       position: new THREE.Vector3(data.x || 0, data.y || 20, data.z || 0),
-      rotation: new THREE.Euler(0, 0, 0),
+      rotation: new THREE.Euler(0, data.rotationY || 0, 0),
       velocity: new THREE.Vector3(0, 0, 0),
+      bankAngle: 0,
+      snapshots: [],
       mana: 0,
-      health: 100,
-      maxHealth: 100
+      health: data.health !== undefined ? data.health : 100,
+      maxHealth: 100,
+      dead: !!data.dead
     };
     
     // Add carpet model to scene
     carpetModel.position.copy(player.position);
+    carpetModel.visible = !player.dead;
     this.scene.add(carpetModel);
     
     // Store the player
@@ -150,20 +206,8 @@ export class PlayerSystem {
   updateNetworkPlayer(data) {
     const player = this.players.get(data.id);
     if (player && !player.isLocal) {
-      // Update position with smoothing
-      if (data.x !== undefined && data.y !== undefined && data.z !== undefined) {
-        const targetPos = new THREE.Vector3(data.x, data.y, data.z);
-        player.position.lerp(targetPos, 0.3);
-      }
-      
-      // Update rotation with smoothing
-      if (data.rotationY !== undefined) {
-        player.rotation.y = THREE.MathUtils.lerp(
-          player.rotation.y,
-          data.rotationY,
-          0.3
-        );
-      }
+      // Movement is buffered and rendered slightly in the past
+      this.interpolation.addSnapshot(player, data);
       
       // Update other properties
       if (data.mana !== undefined) player.mana = data.mana;
@@ -171,6 +215,79 @@ export class PlayerSystem {
     }
   }
   
+  updateLocalHealth(health) {
+    if (!this.localPlayer || health === undefined || health === this.localPlayer.health) return;
+    
+    this.localPlayer.health = health;
+    if (this.engine.systems.ui) {
+      this.engine.systems.ui.updateHealthDisplay(health, this.localPlayer.maxHealth);
+    }
+  }
+  
+  updateLocalMana(mana) {
+    if (!this.localPlayer || mana === undefined || mana === this.localPlayer.mana) return;
+    
+    this.localPlayer.mana = mana;
+    if (this.engine.systems.ui) {
+      this.engine.systems.ui.updateManaDisplay(mana);
+    }
+  }
+  
+  handlePlayerDeath(data) {
+    const player = this.players.get(data.id);
+    if (!player) return;
+    
+    player.dead = true;
+    player.health = 0;
+    player.model.visible = false;
+    
+    if (!this.engine.systems.ui) return;
+    
+    const killer = this.players.get(data.killerId);
+    const killerName = killer ? (killer.isLocal ? 'you' : killer.name) : 'magic';
+    
+    if (player.isLocal) {
+      this.engine.systems.ui.updateHealthDisplay(0, player.maxHealth);
+      this.engine.systems.ui.showMessage(`Shot down by ${killerName}. Respawning...`, 3);
+    } else if (killer && killer.isLocal) {
+      this.engine.systems.ui.showMessage(`You shot down ${player.name}!`, 2);
+    }
+  }
+  
+  handlePlayerRespawn(data) {
+    const player = this.players.get(data.id);
+    if (!player) return;
+    
+    player.dead = false;
+    player.health = data.health;
+    player.model.visible = true;
+    player.position.set(data.x, data.y, data.z);
+    player.velocity.set(0, 0, 0);
+    
+    if (player.isLocal) {
+      player.altitudeVelocity = 0;
+      this.prediction.reset();
+      
+      if (this.engine.systems.ui) {
+        this.engine.systems.ui.updateHealthDisplay(player.health, player.maxHealth);
+      }
+    } else {
+      // Don't interpolate across the map from where they died
+      player.snapshots = [];
+    }
+  }
+  
+  updateRemotePlayers(delta) {
+    this.interpolation.update();
+    
+    // Tilt remote carpets the same way as the local one
+    this.players.forEach(player => {
+      if (!player.isLocal) {
+        this.physics.updateCarpetTilt(player, delta);
+      }
+    });
+  }
+  
   updateCamera() {
     if (!this.localPlayer) return;
     
@@ -207,117 +324,54 @@ export class PlayerSystem {
     this.engine.camera.lookAt(this.localPlayer.cameraLookAt);
   }
   
-  updateTransition(delta) {
-    // Update transition effect
-    this.transitionAlpha += delta * 0.5; // Fade speed
-    
-    if (this.transitionAlpha >= 2.0) {
-      // Transition is complete
-      this.isTransitioning = false;
-      this.transitionAlpha = 0;
-      
-      // Execute the world transition callback
-      if (this.worldTransitionComplete) {
-        this.worldTransitionComplete();
-        this.worldTransitionComplete = null;
-      }
-      
-      // Remove transition overlay
-      const overlay = document.getElementById('transition-overlay');
-      if (overlay) {
-        document.body.removeChild(overlay);
-      }
-    } else {
-      // Update transition overlay opacity
-      const overlay = document.getElementById('transition-overlay');
-      if (overlay) {
-        // First half = fade to black, second half = fade from black
-        const opacity = this.transitionAlpha <= 1.0 ? 
-          this.transitionAlpha : 
-          2.0 - this.transitionAlpha;
-          
-        overlay.style.opacity = opacity.toString();
-      }
-    }
-  }
-  
-  checkWorldBoundaries() {
-    if (!this.localPlayer || this.isTransitioning) return;
-    
-    const worldSize = this.engine.systems.world.worldSize;
-    const halfSize = worldSize / 2 - 50; // Buffer from edge
-    const { x, z } = this.localPlayer.position;
-    
-    // Check if player is beyond boundaries
-    if (Math.abs(x) > halfSize || Math.abs(z) > halfSize) {
-      this.startWorldTransition();
-    }
-  }
-  
-  startWorldTransition() {
-    if (this.isTransitioning) return;
-    
-    // Create overlay for transition effect
-    const overlay = document.createElement('div');
-    overlay.id = 'transition-overlay';
-    overlay.style.position = 'absolute';
-    overlay.style.top = '0';
-    overlay.style.left = '0';
-    overlay.style.width = '100%';
-    overlay.style.height = '100%';
-    overlay.style.backgroundColor = 'black';
-    overlay.style.opacity = '0';
-    overlay.style.transition = 'opacity 0.5s';
-    overlay.style.zIndex = '1000';
-    overlay.style.pointerEvents = 'none';
-    document.body.appendChild(overlay);
-    
-    // Set transition state
-    this.isTransitioning = true;
-    this.transitionAlpha = 0;
-    
-    // Set callback for when transition reaches midpoint (full black)
-    this.worldTransitionComplete = () => {
-      // Generate a new random seed for the world
-      this.engine.systems.world.seed = Math.random() * 1000;
-      
-      // Regenerate world
-      this.engine.systems.world.createTerrain();
-      this.engine.systems.world.createTerrainCollision();
-      this.engine.systems.world.createManaNodes();
-      
-      // Move player to center of new world
-      this.localPlayer.position.set(0, 50, 0);
-      this.localPlayer.velocity.set(0, 0, 0);
-    };
-  }
-  
   sendPlayerUpdate() {
     if (!this.localPlayer) return;
     
-    const { position, rotation, mana, health } = this.localPlayer;
+    const { position, rotation, velocity, bankAngle, mana, health } = this.localPlayer;
     
     this.engine.systems.network.sendPlayerUpdate({
+      seq: this.input.inputSequence,
       x: position.x,
       y: position.y,
       z: position.z,
+      vx: velocity.x,
+      vy: velocity.y,
+      vz: velocity.z,
       rotationY: rotation.y,
+      bankAngle,
       mana,
       health
     });
   }
   
+  // The player whose mana and health the HUD shows
+  getViewedPlayer() {
+    return this.localPlayer || this.spectator.getTarget();
+  }
+  
   update(delta) {
-    if (!this.localPlayer) return;
-    
-    if (this.isTransitioning) {
-      this.updateTransition(delta);
+    if (this.spectator.active) {
+      this.updateRemotePlayers(delta);
+      this.models.updateModels();
+      this.spells.updateSpells(delta);
+      this.spectator.update(delta);
       return;
     }
     
-    // Update subsystems
-    this.input.handleInput(delta);
+    if (!this.localPlayer) return;
+    
+    // Update subsystems; shot-down carpets drift until they respawn
+    const command = this.localPlayer.dead ? null : this.input.handleInput(delta);
     this.physics.updatePhysics(delta);
+    
+    // Keep the predicted result until the server acknowledges it
+    if (command) {
+      this.prediction.recordCommand(this.localPlayer, command);
+      this.engine.systems.network.recordInput(command);
+    }
+    this.prediction.update(delta);
+    
+    this.updateRemotePlayers(delta);
     this.models.updateModels();
     this.spells.updateSpells(delta);
     
@@ -327,9 +381,6 @@ export class PlayerSystem {
     // Update camera to follow player
     this.updateCamera();
     
-    // Check world boundaries
-    this.checkWorldBoundaries();
-    
     // Send player updates to network
     this.sendPlayerUpdate();
   }
@@ -348,13 +399,8 @@ export class PlayerSystem {
     
     // Process collected nodes
     collectedNodes.forEach(node => {
-      // Add mana to player
-      this.localPlayer.mana += node.value;
-      
-      // Update UI
-      if (this.engine.systems.ui) {
-        this.engine.systems.ui.updateManaDisplay(this.localPlayer.mana);
-      }
+      // Claim the node; the server credits our mana if we got there first
+      this.engine.systems.network.sendPlayerAction('collect_mana', { nodeId: node.id });
       
       // Create collection effect
       this.models.createManaCollectionEffect(node.position);
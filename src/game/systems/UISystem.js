@@ -1,8 +1,19 @@
+import { SPELL_TYPES } from '../../shared/spells';
+import { NETWORK_PRESETS } from './network/NetworkConditioner';
+import { CastleUI } from './ui/CastleUI';
+import { ChatUI } from './ui/ChatUI';
+import { MatchUI } from './ui/MatchUI';
+import { ReplayUI } from './ui/ReplayUI';
+
 export class UISystem {
   constructor(engine) {
     this.engine = engine;
     this.container = document.getElementById('ui-container');
     this.elements = {};
+    this.castle = new CastleUI(this);
+    this.chat = new ChatUI(this);
+    this.match = new MatchUI(this);
+    this.replay = new ReplayUI(this);
   }
   
   async initialize() {
@@ -11,6 +22,16 @@ export class UISystem {
     this.createHealthDisplay();
     this.createSpellsUI();
     this.createMinimapUI();
+    this.createLobbyUI();
+    this.createMessageDisplay();
+    this.createPingDisplay();
+    this.createNetworkPanel();
+    this.createReconnectOverlay();
+    this.createSpectatorBar();
+    this.castle.initialize();
+    this.chat.initialize();
+    this.match.initialize();
+    this.replay.initialize();
     
     console.log("UI system initialized");
   }
@@ -100,11 +121,11 @@ export class UISystem {
     spellsContainer.style.pointerEvents = 'auto';
     
     // Create spell slots
-    const spells = [
-      { name: 'Fireball', color: '#ff3300', key: '1' },
-      { name: 'Lightning', color: '#33ccff', key: '2' },
-      { name: 'Shield', color: '#ffcc00', key: '3' }
-    ];
+    const spells = SPELL_TYPES.map((spell, index) => ({
+      name: spell.name,
+      color: `#${spell.color.toString(16).padStart(6, '0')}`,
+      key: String(index + 1)
+    }));
     
     this.elements.spellSlots = [];
     
@@ -160,10 +181,11 @@ export class UISystem {
     });
     
     this.container.appendChild(spellsContainer);
+    this.elements.spellsContainer = spellsContainer;
     
     // Listen for key presses to select spells
     window.addEventListener('keydown', (event) => {
-      if (event.key >= '1' && event.key <= '3') {
+      if (event.key >= '1' && event.key <= String(spells.length)) {
         const index = parseInt(event.key) - 1;
         this.selectSpell(index);
       }
@@ -197,6 +219,638 @@ export class UISystem {
     this.elements.minimapContext = minimapCanvas.getContext('2d');
   }
   
+  createLobbyUI() {
+    const network = this.engine.systems.network;
+    
+    // Room badge under the match clock, opens the lobby when clicked
+    const roomBadge = document.createElement('div');
+    roomBadge.style.position = 'absolute';
+    roomBadge.style.top = '80px';
+    roomBadge.style.left = '50%';
+    roomBadge.style.transform = 'translateX(-50%)';
+    roomBadge.style.padding = '6px 12px';
+    roomBadge.style.background = 'rgba(0, 0, 30, 0.7)';
+    roomBadge.style.borderRadius = '5px';
+    roomBadge.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    roomBadge.style.fontSize = '14px';
+    roomBadge.style.cursor = 'pointer';
+    roomBadge.style.pointerEvents = 'auto';
+    roomBadge.style.display = 'none';
+    roomBadge.addEventListener('click', () => this.showLobby());
+    
+    // Lobby panel in the center of the screen
+    const lobby = document.createElement('div');
+    lobby.style.position = 'absolute';
+    lobby.style.top = '50%';
+    lobby.style.left = '50%';
+    lobby.style.transform = 'translate(-50%, -50%)';
+    lobby.style.width = '320px';
+    lobby.style.maxWidth = '90vw';
+    lobby.style.padding = '20px';
+    lobby.style.background = 'rgba(0, 0, 30, 0.85)';
+    lobby.style.borderRadius = '10px';
+    lobby.style.boxShadow = '0 0 20px rgba(224, 170, 255, 0.6)';
+    lobby.style.pointerEvents = 'auto';
+    lobby.style.display = 'none';
+    lobby.style.zIndex = '10';
+    
+    const title = document.createElement('div');
+    title.style.fontSize = '22px';
+    title.style.fontWeight = 'bold';
+    title.style.textAlign = 'center';
+    title.style.marginBottom = '10px';
+    title.style.textShadow = '0 0 5px rgba(224, 170, 255, 0.8)';
+    
+    // Shareable link
+    const shareRow = document.createElement('div');
+    shareRow.style.display = 'flex';
+    shareRow.style.gap = '6px';
+    shareRow.style.marginBottom = '12px';
+    
+    const shareInput = this.createLobbyInput();
+    shareInput.readOnly = true;
+    shareInput.style.flex = '1';
+    
+    const copyButton = this.createLobbyButton('Copy link');
+    copyButton.addEventListener('click', () => this.copyShareLink());
+    
+    shareRow.appendChild(shareInput);
+    shareRow.appendChild(copyButton);
+    
+    // Who is in the room
+    const playerCount = document.createElement('div');
+    playerCount.style.fontSize = '14px';
+    playerCount.style.opacity = '0.8';
+    playerCount.style.marginBottom = '6px';
+    
+    const playerList = document.createElement('ul');
+    playerList.style.listStyle = 'none';
+    playerList.style.margin = '0 0 12px 0';
+    playerList.style.padding = '0';
+    playerList.style.maxHeight = '180px';
+    playerList.style.overflowY = 'auto';
+    
+    const errorText = document.createElement('div');
+    errorText.style.color = '#ff6699';
+    errorText.style.fontSize = '14px';
+    errorText.style.minHeight = '18px';
+    errorText.style.marginBottom = '6px';
+    
+    // Offered when a room is full: watch it until a seat frees up
+    const watchButton = this.createLobbyButton('Watch instead');
+    watchButton.style.width = '100%';
+    watchButton.style.marginBottom = '12px';
+    watchButton.style.display = 'none';
+    
+    // Join another room by code, or start a new one
+    const joinRow = document.createElement('div');
+    joinRow.style.display = 'flex';
+    joinRow.style.gap = '6px';
+    joinRow.style.marginBottom = '12px';
+    
+    const codeInput = this.createLobbyInput();
+    codeInput.placeholder = 'Room code';
+    codeInput.maxLength = 4;
+    codeInput.style.flex = '1';
+    codeInput.style.textTransform = 'uppercase';
+    
+    const joinButton = this.createLobbyButton('Join');
+    joinButton.addEventListener('click', () => {
+      if (codeInput.value.trim()) {
+        network.joinRoom(codeInput.value);
+        codeInput.value = '';
+      }
+    });
+    codeInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') joinButton.click();
+    });
+    
+    const newRoomButton = this.createLobbyButton('New room');
+    newRoomButton.addEventListener('click', () => network.createRoom());
+    
+    joinRow.appendChild(codeInput);
+    joinRow.appendChild(joinButton);
+    joinRow.appendChild(newRoomButton);
+    
+    const startButton = this.createLobbyButton('Start flying');
+    startButton.style.width = '100%';
+    startButton.style.padding = '10px';
+    startButton.style.fontSize = '16px';
+    startButton.style.background = 'linear-gradient(90deg, #7b2cbf, #e0aaff)';
+    startButton.addEventListener('click', () => this.hideLobby());
+    
+    lobby.appendChild(title);
+    lobby.appendChild(shareRow);
+    lobby.appendChild(playerCount);
+    lobby.appendChild(playerList);
+    lobby.appendChild(errorText);
+    lobby.appendChild(watchButton);
+    lobby.appendChild(joinRow);
+    lobby.appendChild(startButton);
+    
+    this.container.appendChild(roomBadge);
+    this.container.appendChild(lobby);
+    
+    this.elements.roomBadge = roomBadge;
+    this.elements.lobby = {
+      panel: lobby,
+      title,
+      shareInput,
+      playerCount,
+      playerList,
+      errorText,
+      watchButton,
+      startButton
+    };
+    
+    // Keep the lobby in sync with the room
+    network.on('room_joined', (info) => {
+      this.elements.lobby.errorText.textContent = '';
+      this.elements.lobby.watchButton.style.display = 'none';
+      this.updateLobby(info);
+      
+      // Show the lobby the first time we land in a room (not while watching a replay)
+      if (!this.lobbyShown && !network.isReplay()) {
+        this.lobbyShown = true;
+        this.showLobby();
+      }
+    });
+    
+    network.on('room_update', (info) => this.updateLobby(info));
+    
+    network.on('room_error', (error) => {
+      const messages = {
+        full: `Room ${error.code} is full (${error.capacity} players).`,
+        spectators_full: `Room ${error.code} has too many spectators.`,
+        invalid_code: 'Room codes are 4 letters.'
+      };
+      this.elements.lobby.errorText.textContent = messages[error.reason] || 'Could not join that room.';
+      
+      // Pilots can't watch another room without giving up their carpet
+      const watchButton = this.elements.lobby.watchButton;
+      const canWatch = error.reason === 'full' && !this.engine.systems.player.localPlayer;
+      watchButton.style.display = canWatch ? 'block' : 'none';
+      watchButton.onclick = () => network.spectateRoom(error.code);
+      
+      this.showLobby();
+    });
+    
+    if (network.getRoomInfo()) {
+      this.updateLobby(network.getRoomInfo());
+    }
+    
+    // Tab toggles the lobby / player list
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'Tab' && !network.isOffline() && !network.isReplay()) {
+        event.preventDefault();
+        this.toggleLobby();
+      }
+    });
+  }
+  
+  createMessageDisplay() {
+    // Short announcements (hits, respawns) above the crosshair
+    const message = document.createElement('div');
+    message.style.position = 'absolute';
+    message.style.top = '30%';
+    message.style.left = '50%';
+    message.style.transform = 'translateX(-50%)';
+    message.style.padding = '8px 16px';
+    message.style.background = 'rgba(0, 0, 30, 0.7)';
+    message.style.borderRadius = '5px';
+    message.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    message.style.fontSize = '18px';
+    message.style.display = 'none';
+    
+    this.container.appendChild(message);
+    this.elements.message = message;
+    this.messageTimeout = null;
+    
+    this.engine.systems.network.on('kicked', () => {
+      this.showMessage('You were removed from the room', 10);
+    });
+  }
+  
+  showMessage(text, duration = 2) {
+    const message = this.elements.message;
+    if (!message) return;
+    
+    message.textContent = text;
+    message.style.display = 'block';
+    
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(() => {
+      message.style.display = 'none';
+    }, duration * 1000);
+  }
+  
+  createReconnectOverlay() {
+    const network = this.engine.systems.network;
+    
+    // Dims the screen while we try to get back to our carpet
+    const overlay = document.createElement('div');
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.background = 'rgba(0, 0, 30, 0.5)';
+    overlay.style.display = 'none';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.zIndex = '20';
+    
+    const text = document.createElement('div');
+    text.textContent = 'Reconnecting…';
+    text.style.fontSize = '28px';
+    text.style.fontWeight = 'bold';
+    text.style.textShadow = '0 0 10px rgba(224, 170, 255, 0.8)';
+    
+    overlay.appendChild(text);
+    this.container.appendChild(overlay);
+    this.elements.reconnectOverlay = overlay;
+    
+    network.on('reconnecting', () => {
+      overlay.style.display = 'flex';
+    });
+    
+    network.on('connected', (data) => {
+      if (overlay.style.display === 'none') return;
+      
+      overlay.style.display = 'none';
+      if (!data.resumed) {
+        this.showMessage('Connection lost for too long, starting fresh', 3);
+      }
+    });
+  }
+  
+  createSpectatorBar() {
+    const network = this.engine.systems.network;
+    const spectator = this.engine.systems.player.spectator;
+    
+    // Who we are watching, with buttons for touch screens; under the room badge
+    const bar = document.createElement('div');
+    bar.style.position = 'absolute';
+    bar.style.top = '125px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.padding = '8px 12px';
+    bar.style.background = 'rgba(0, 0, 30, 0.7)';
+    bar.style.borderRadius = '5px';
+    bar.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    bar.style.textAlign = 'center';
+    bar.style.pointerEvents = 'auto';
+    bar.style.display = 'none';
+    
+    const label = document.createElement('div');
+    label.style.fontSize = '16px';
+    label.style.marginBottom = '6px';
+    
+    const hint = document.createElement('div');
+    hint.textContent = 'Q / E: switch player · F: free camera';
+    hint.style.fontSize = '12px';
+    hint.style.opacity = '0.7';
+    hint.style.marginBottom = '6px';
+    
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '6px';
+    buttons.style.justifyContent = 'center';
+    
+    const previousButton = this.createLobbyButton('◀');
+    previousButton.addEventListener('click', () => spectator.cycleTarget(-1));
+    
+    const modeButton = this.createLobbyButton('Free camera');
+    modeButton.addEventListener('click', () => {
+      spectator.setMode(spectator.mode === 'follow' ? 'free' : 'follow');
+    });
+    
+    const nextButton = this.createLobbyButton('▶');
+    nextButton.addEventListener('click', () => spectator.cycleTarget(1));
+    
+    const joinButton = this.createLobbyButton('Join game');
+    joinButton.style.background = 'linear-gradient(90deg, #7b2cbf, #e0aaff)';
+    joinButton.addEventListener('click', () => network.joinAsPlayer());
+    
+    // Buttons are tapped, not flown with
+    [previousButton, modeButton, nextButton, joinButton].forEach(button => {
+      button.addEventListener('touchstart', (event) => event.stopPropagation());
+      button.addEventListener('touchend', (event) => event.stopPropagation());
+      buttons.appendChild(button);
+    });
+    
+    bar.appendChild(label);
+    bar.appendChild(hint);
+    bar.appendChild(buttons);
+    this.container.appendChild(bar);
+    
+    this.elements.spectatorBar = { bar, label, modeButton, joinButton };
+  }
+  
+  updateSpectatorBar() {
+    const spectator = this.engine.systems.player.spectator;
+    const { bar, label, modeButton, joinButton } = this.elements.spectatorBar;
+    
+    bar.style.display = spectator.active ? 'block' : 'none';
+    this.elements.spellsContainer.style.display = spectator.active ? 'none' : 'flex';
+    if (!spectator.active) return;
+    
+    if (spectator.mode === 'free') {
+      label.textContent = 'Spectating · free camera';
+      modeButton.textContent = 'Follow';
+    } else {
+      label.textContent = `Spectating ${spectator.getTargetName() || 'nobody'}`;
+      modeButton.textContent = 'Free camera';
+    }
+    
+    // Offer a seat once there is one
+    const info = this.engine.systems.network.getRoomInfo();
+    const seats = info ? info.capacity - info.players.filter(player => !player.isBot).length : 0;
+    joinButton.style.display = seats > 0 && !this.engine.systems.network.isReplay() ? 'inline-block' : 'none';
+  }
+  
+  createPingDisplay() {
+    // Round-trip time under the mana display
+    const pingText = document.createElement('div');
+    pingText.style.position = 'absolute';
+    pingText.style.top = '75px';
+    pingText.style.right = '20px';
+    pingText.style.padding = '4px 8px';
+    pingText.style.background = 'rgba(0, 0, 30, 0.7)';
+    pingText.style.borderRadius = '5px';
+    pingText.style.fontSize = '12px';
+    pingText.style.display = 'none';
+    
+    this.container.appendChild(pingText);
+    this.elements.pingText = pingText;
+  }
+  
+  updatePingDisplay() {
+    const network = this.engine.systems.network;
+    const pingText = this.elements.pingText;
+    if (!pingText || !network.clock.isSynced()) return;
+    
+    // A local server only has a ping worth showing when we simulate one
+    if (network.isOffline() && !network.conditioner.isActive()) {
+      pingText.style.display = 'none';
+      this.displayedPing = null;
+      return;
+    }
+    
+    const ping = network.getPing();
+    if (ping === this.displayedPing) return;
+    this.displayedPing = ping;
+    
+    pingText.textContent = `Ping ${ping} ms`;
+    pingText.style.display = 'block';
+    pingText.style.color = ping < 80 ? '#66ff99' : (ping < 150 ? '#ffcc00' : '#ff6666');
+  }
+  
+  createNetworkPanel() {
+    const network = this.engine.systems.network;
+    const conditioner = network.conditioner;
+    
+    // Development only, unless a simulated connection was asked for in the URL
+    if (!import.meta.env.DEV && !conditioner.isActive()) return;
+    
+    // Network condition simulator in the bottom-left corner, toggled with `
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.bottom = '20px';
+    panel.style.left = '20px';
+    panel.style.width = '220px';
+    panel.style.padding = '10px';
+    panel.style.background = 'rgba(0, 0, 30, 0.85)';
+    panel.style.borderRadius = '5px';
+    panel.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.4)';
+    panel.style.fontSize = '12px';
+    panel.style.pointerEvents = 'auto';
+    panel.style.display = conditioner.isActive() ? 'block' : 'none';
+    
+    const title = document.createElement('div');
+    title.textContent = 'Network conditions';
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '6px';
+    
+    const presetSelect = document.createElement('select');
+    presetSelect.style.width = '100%';
+    presetSelect.style.marginBottom = '6px';
+    presetSelect.style.background = 'rgba(255, 255, 255, 0.1)';
+    presetSelect.style.color = 'white';
+    presetSelect.style.border = '1px solid rgba(0, 255, 255, 0.4)';
+    [...Object.keys(NETWORK_PRESETS), 'custom'].forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = NETWORK_PRESETS[name] ? NETWORK_PRESETS[name].label : 'Custom';
+      option.style.color = 'black';
+      presetSelect.appendChild(option);
+    });
+    presetSelect.addEventListener('change', () => {
+      if (presetSelect.value === 'custom') return;
+      conditioner.setPreset(presetSelect.value);
+      this.refreshNetworkPanel();
+    });
+    
+    panel.appendChild(title);
+    panel.appendChild(presetSelect);
+    
+    // Sliders show percentages for loss and duplication
+    const sliders = [
+      { key: 'latency', label: 'Latency', unit: 'ms', max: 500, scale: 1 },
+      { key: 'jitter', label: 'Jitter', unit: 'ms', max: 200, scale: 1 },
+      { key: 'loss', label: 'Loss', unit: '%', max: 50, scale: 100 },
+      { key: 'duplicate', label: 'Duplicates', unit: '%', max: 20, scale: 100 }
+    ];
+    
+    sliders.forEach(slider => {
+      const label = document.createElement('div');
+      label.style.display = 'flex';
+      label.style.justifyContent = 'space-between';
+      
+      const name = document.createElement('span');
+      name.textContent = slider.label;
+      const value = document.createElement('span');
+      label.appendChild(name);
+      label.appendChild(value);
+      
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = String(slider.max);
+      input.step = slider.scale === 1 ? '5' : '0.5';
+      input.style.width = '100%';
+      input.addEventListener('input', () => {
+        conditioner.set({ [slider.key]: parseFloat(input.value) / slider.scale });
+        this.refreshNetworkPanel();
+      });
+      
+      // Arrow keys on a focused slider must not fly the carpet
+      input.addEventListener('keydown', (event) => event.stopPropagation());
+      input.addEventListener('keyup', (event) => event.stopPropagation());
+      
+      slider.input = input;
+      slider.value = value;
+      
+      panel.appendChild(label);
+      panel.appendChild(input);
+    });
+    
+    const stats = document.createElement('div');
+    stats.style.marginTop = '6px';
+    stats.style.opacity = '0.8';
+    panel.appendChild(stats);
+    
+    this.container.appendChild(panel);
+    this.elements.networkPanel = { panel, presetSelect, sliders, stats };
+    this.networkStatsTimer = 0;
+    this.refreshNetworkPanel();
+    
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'Backquote') {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+      }
+    });
+  }
+  
+  refreshNetworkPanel() {
+    const { presetSelect, sliders } = this.elements.networkPanel;
+    const conditioner = this.engine.systems.network.conditioner;
+    
+    presetSelect.value = conditioner.preset;
+    sliders.forEach(slider => {
+      const value = conditioner.settings[slider.key] * slider.scale;
+      slider.input.value = String(value);
+      slider.value.textContent = `${Math.round(value * 10) / 10} ${slider.unit}`;
+    });
+  }
+  
+  updateNetworkPanel(delta) {
+    const networkPanel = this.elements.networkPanel;
+    if (!networkPanel || networkPanel.panel.style.display === 'none') return;
+    
+    // Counters only need refreshing a couple of times a second
+    this.networkStatsTimer -= delta;
+    if (this.networkStatsTimer > 0) return;
+    this.networkStatsTimer = 0.5;
+    
+    const { sent, received, dropped, duplicated, resent } = this.engine.systems.network.conditioner.stats;
+    networkPanel.stats.textContent =
+      `Sent ${sent}, received ${received}. Dropped ${dropped}, duplicated ${duplicated}, resent ${resent}.`;
+  }
+  
+  createLobbyInput() {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.style.padding = '6px';
+    input.style.border = '1px solid rgba(224, 170, 255, 0.5)';
+    input.style.borderRadius = '4px';
+    input.style.background = 'rgba(255, 255, 255, 0.1)';
+    input.style.color = 'white';
+    input.style.fontSize = '13px';
+    input.style.minWidth = '0';
+    
+    // Typing in the lobby must not fly the carpet
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+    input.addEventListener('keyup', (event) => event.stopPropagation());
+    
+    return input;
+  }
+  
+  createLobbyButton(label) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.padding = '6px 10px';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.background = 'rgba(123, 44, 191, 0.9)';
+    button.style.color = 'white';
+    button.style.fontSize = '13px';
+    button.style.cursor = 'pointer';
+    return button;
+  }
+  
+  updateLobby(info) {
+    if (!this.elements.lobby || !info) return;
+    
+    const network = this.engine.systems.network;
+    const lobby = this.elements.lobby;
+    
+    lobby.title.textContent = `Room ${info.code}`;
+    lobby.shareInput.value = network.getShareUrl();
+    const humanCount = info.players.filter(player => !player.isBot).length;
+    const spectators = info.spectators || [];
+    lobby.playerCount.textContent = `Players ${humanCount}/${info.capacity}` +
+      (spectators.length > 0 ? ` · ${spectators.length} watching` : '');
+    lobby.startButton.textContent = network.isSpectating() ? 'Start watching' : 'Start flying';
+    
+    lobby.playerList.innerHTML = '';
+    info.players.forEach(player => {
+      const item = document.createElement('li');
+      item.style.padding = '4px 0';
+      item.style.borderBottom = '1px solid rgba(255, 255, 255, 0.1)';
+      item.textContent = player.name;
+      
+      if (player.id === network.getLocalPlayerId()) {
+        item.textContent += ' (you)';
+        item.style.color = '#e0aaff';
+      } else if (player.isBot) {
+        item.textContent += ' (bot)';
+        item.style.color = 'rgba(255, 255, 255, 0.6)';
+      } else if (player.away) {
+        item.textContent += ' (reconnecting)';
+        item.style.color = 'rgba(255, 255, 255, 0.6)';
+      }
+      
+      lobby.playerList.appendChild(item);
+    });
+    
+    spectators.forEach(spectator => {
+      const item = document.createElement('li');
+      item.style.padding = '4px 0';
+      item.style.borderBottom = '1px solid rgba(255, 255, 255, 0.1)';
+      item.style.color = 'rgba(255, 255, 255, 0.6)';
+      item.textContent = `${spectator.name} (${spectator.id === network.getLocalPlayerId() ? 'you, ' : ''}watching)`;
+      lobby.playerList.appendChild(item);
+    });
+    
+    this.elements.roomBadge.textContent = `Room ${info.code} · ${humanCount}/${info.capacity}`;
+    this.elements.roomBadge.style.display = 'block';
+  }
+  
+  copyShareLink() {
+    const input = this.elements.lobby.shareInput;
+    
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(input.value).catch(() => {
+        input.select();
+      });
+    } else {
+      input.select();
+      document.execCommand('copy');
+    }
+  }
+  
+  showLobby() {
+    if (this.elements.lobby) {
+      this.elements.lobby.panel.style.display = 'block';
+    }
+  }
+  
+  hideLobby() {
+    if (this.elements.lobby) {
+      this.elements.lobby.panel.style.display = 'none';
+      this.engine.canvas.focus();
+    }
+  }
+  
+  toggleLobby() {
+    if (this.elements.lobby.panel.style.display === 'none') {
+      this.showLobby();
+    } else {
+      this.hideLobby();
+    }
+  }
+  
   selectSpell(index) {
     // Highlight selected spell and reset others
     this.elements.spellSlots.forEach((slot, i) => {
@@ -244,11 +898,19 @@ export class UISystem {
   }
   
   updateMinimap() {
-    if (!this.elements.minimapContext || !this.engine.systems.player.localPlayer) return;
+    const viewed = this.engine.systems.player.getViewedPlayer();
+    if (!this.elements.minimapContext || (!viewed && !this.engine.systems.player.spectator.active)) return;
     
     const ctx = this.elements.minimapContext;
     const canvas = this.elements.minimapCanvas;
-    const worldSize = this.engine.systems.world.worldSize;
+    
+    // The map scrolls with the camera; it shows this many units across
+    const range = 1000;
+    const center = this.engine.camera.position;
+    const toMap = (position) => ({
+      x: ((position.x - center.x) / range + 0.5) * canvas.width,
+      z: ((position.z - center.z) / range + 0.5) * canvas.height
+    });
     
     // Clear minimap
     ctx.fillStyle = 'rgba(0, 10, 40, 0.8)';
@@ -283,8 +945,7 @@ export class UISystem {
     manaNodes.forEach(node => {
       if (!node.userData.collected) {
         // Convert world position to minimap position
-        const x = ((node.position.x + worldSize / 2) / worldSize) * canvas.width;
-        const z = ((node.position.z + worldSize / 2) / worldSize) * canvas.height;
+        const { x, z } = toMap(node.position);
         
         ctx.beginPath();
         ctx.arc(x, z, 3, 0, Math.PI * 2);
@@ -292,15 +953,23 @@ export class UISystem {
       }
     });
     
+    // Draw castles in their owners' colors, ours bigger
+    const castles = this.engine.systems.world.castles;
+    castles.castles.forEach(({ data }) => {
+      const { x, z } = toMap(data);
+      const size = viewed && data.ownerId === viewed.id ? 8 : 6;
+      ctx.fillStyle = `#${castles.getOwnerColor(data.ownerId).toString(16).padStart(6, '0')}`;
+      ctx.fillRect(x - size / 2, z - size / 2, size, size);
+    });
+    
     // Draw players
     this.engine.systems.player.players.forEach(player => {
       // Convert world position to minimap position
-      const x = ((player.position.x + worldSize / 2) / worldSize) * canvas.width;
-      const z = ((player.position.z + worldSize / 2) / worldSize) * canvas.height;
+      const { x, z } = toMap(player.position);
       
       // Draw player dot
       ctx.beginPath();
-      if (player.isLocal) {
+      if (player === viewed) {
         ctx.fillStyle = 'rgba(255, 255, 255, 1)';
         ctx.arc(x, z, 4, 0, Math.PI * 2);
       } else {
@@ -309,8 +978,8 @@ export class UISystem {
       }
       ctx.fill();
       
-      // Draw direction indicator for local player
-      if (player.isLocal) {
+      // Draw direction indicator for the player we're flying or watching
+      if (player === viewed) {
         const dirX = Math.sin(player.rotation.y) * 8;
         const dirZ = Math.cos(player.rotation.y) * 8;
         
@@ -327,13 +996,27 @@ export class UISystem {
   update(delta) {
     // Update UI elements that need continuous updates
     
-    // Update health display if local player exists
-    if (this.engine.systems.player && this.engine.systems.player.localPlayer) {
-      const player = this.engine.systems.player.localPlayer;
+    // Update health display for our carpet, or the one we're watching
+    const player = this.engine.systems.player && this.engine.systems.player.getViewedPlayer();
+    if (player) {
       this.updateHealthDisplay(player.health, player.maxHealth);
+      
+      // Our own mana is updated as the server reports it
+      if (!player.isLocal && player.mana !== this.viewedMana) {
+        this.viewedMana = player.mana;
+        this.updateManaDisplay(player.mana);
+      }
     }
+    this.updateSpectatorBar();
     
     // Update minimap
     this.updateMinimap();
+    
+    this.updatePingDisplay();
+    this.updateNetworkPanel(delta);
+    this.castle.update();
+    this.chat.update();
+    this.match.update();
+    this.replay.update();
   }
 }
@@ -1,40 +1,133 @@
 import * as THREE from 'three';
-import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
 import { Water } from 'three/examples/jsm/objects/Water.js';
 import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { TerrainGenerator } from '../../shared/TerrainGenerator';
+import { WeatherForecast } from '../../shared/WeatherForecast';
+import { Castles } from './world/Castles';
+import { DayNight } from './world/DayNight';
+import { TerrainChunks } from './world/TerrainChunks';
+import { WeatherEffects } from './world/WeatherEffects';
 
 export class WorldSystem {
   constructor(engine) {
     this.engine = engine;
     this.scene = engine.scene;
-    this.terrain = null;
     this.water = null;
+    this.waterSize = 2000;          // Follows the camera, so only needs to reach the horizon
     this.sky = null;
-    this.manaNodes = [];
-    this.noise = new SimplexNoise();
-    this.worldSize = 1000;
     this.heightScale = 60;
-    this.seed = Math.random() * 1000;
+    this.seed = 0;                  // Replaced by the room's seed from game_state
+    this.terrainGenerator = new TerrainGenerator({
+      seed: this.seed,
+      heightScale: this.heightScale
+    });
+    
+    // The world has no edge; terrain is loaded around the camera. Detail is
+    // set with ?quality=low, medium or high; touch devices start low.
+    const params = new URLSearchParams(window.location.search);
+    const quality = params.get('quality') || (engine.input.isTouchDevice ? 'low' : 'high');
+    this.chunks = new TerrainChunks(this, quality);
+    
+    // Lighting follows the room's time of day
+    this.dayNight = new DayNight(this);
+    
+    // Weather comes from the seed and the room's clock, so every client and
+    // the server agree on the wind
+    this.weather = new WeatherForecast({ seed: this.seed });
+    this.weatherEffects = new WeatherEffects(this);
+    
+    // Mana nodes the server has told us about, and the ones drawn
+    this.manaNodeData = new Map();  // id -> { id, x, y, z, value, collected }
+    this.manaNodes = new Map();     // id -> mesh
+    
+    // Pilots' castles, which store the mana they bring home
+    this.castles = new Castles(this);
   }
   
   async initialize() {
     this.createLights();
     this.createSky();
-    this.createTerrain();
     this.createWater();
-    this.createManaNodes();
+    this.weatherEffects.initialize(this.chunks.quality);
+    this.castles.initialize();
     
     // Set camera position
     this.engine.camera.position.set(0, 50, 0);
     this.engine.camera.lookAt(50, 0, 50);
+    this.chunks.update(0, 0);
+    
+    // The server owns the mana nodes so everyone competes for the same ones
+    const network = this.engine.systems.network;
+    network.on('mana_nodes', (data) => {
+      this.setManaNodes(data.nodes, data.reset);
+    });
+    
+    network.on('mana_collected', (data) => {
+      this.setManaNodeCollected(data.id, true);
+    });
+    
+    network.on('mana_respawned', (data) => {
+      this.setManaNodeCollected(data.id, false);
+    });
+    
+    // Spells reshape the land; the server keeps the record
+    network.on('terrain_edits', (data) => {
+      this.applyTerrainEdits(data.edits, data.reset);
+    });
+    
+    // Everyone in the room flies over the world the server generated, at
+    // the same time of day; the world changes with each match round
+    network.on('game_state', (data) => {
+      if (data.seed !== undefined && data.seed !== this.seed) {
+        this.regenerate(data.seed);
+      }
+      if (data.day) {
+        this.dayNight.setCycle(data.day);
+      }
+    });
     
     console.log("World system initialized");
   }
   
+  setSeed(seed) {
+    this.seed = seed;
+    this.terrainGenerator.setSeed(seed);
+    this.weather.setSeed(seed);
+  }
+  
+  // Build a new world from a seed; the terrain comes back in as it loads
+  regenerate(seed) {
+    this.setSeed(seed);
+    this.chunks.clear();
+  }
+  
+  // Edits from the server, in the order they were made; a reset replaces
+  // them all, e.g. on joining a room
+  applyTerrainEdits(edits, reset) {
+    if (!reset) {
+      edits.forEach(edit => this.modifyTerrain(edit));
+      return;
+    }
+    
+    const changed = this.terrainGenerator.edits.length > 0 || edits.length > 0;
+    this.terrainGenerator.clearEdits();
+    edits.forEach(edit => this.terrainGenerator.addEdit(edit));
+    if (changed) this.chunks.invalidate();
+  }
+  
+  // Reshape the land: raise, lower, crater or smooth within a radius (see
+  // TERRAIN_EDIT_TYPES). The terrain there is rebuilt, so what is drawn and
+  // what carpets collide with stay the same.
+  modifyTerrain(edit) {
+    this.terrainGenerator.addEdit(edit);
+    this.chunks.updateArea(edit.x, edit.z, edit.radius);
+  }
+  
   createLights() {
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0x404040, 1);
     this.scene.add(ambientLight);
+    this.ambientLight = ambientLight;
     
     // Directional light (sun)
     const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
@@ -52,7 +145,10 @@ export class WorldSystem {
     directionalLight.shadow.camera.bottom = -100;
     directionalLight.shadow.bias = -0.0005;
     
+    // The light and its shadows follow the camera over the endless world,
+    // from wherever the sun or moon is (see DayNight)
     this.scene.add(directionalLight);
+    this.scene.add(directionalLight.target);
     this.sunLight = directionalLight;
   }
   
@@ -62,159 +158,29 @@ export class WorldSystem {
     this.sky.scale.setScalar(10000);
     this.scene.add(this.sky);
     
-    // Set up sun parameters
+    // Set up the atmosphere; the sun moves with the time of day
     const skyUniforms = this.sky.material.uniforms;
     skyUniforms['turbidity'].value = 10;
     skyUniforms['rayleigh'].value = 2;
     skyUniforms['mieCoefficient'].value = 0.005;
     skyUniforms['mieDirectionalG'].value = 0.8;
-    
-    const sunPosition = new THREE.Vector3();
-    const phi = THREE.MathUtils.degToRad(90 - 10); // Sun elevation
-    const theta = THREE.MathUtils.degToRad(180); // Sun azimuth
-    
-    sunPosition.setFromSphericalCoords(1, phi, theta);
-    skyUniforms['sunPosition'].value.copy(sunPosition);
-    
-    // Update sun light direction to match sky
-    this.sunLight.position.copy(sunPosition.multiplyScalar(100));
-    this.sunLight.updateMatrixWorld();
   }
   
-  createTerrain() {
-    // Create terrain geometry
-    const geometry = new THREE.PlaneGeometry(
-      this.worldSize,
-      this.worldSize,
-      128,
-      128
-    );
-    geometry.rotateX(-Math.PI / 2);
-    
-    // Create terrain material
-    const terrainTexture = this.engine.assets.getTexture('terrain');
-    if (terrainTexture) {
-      terrainTexture.wrapS = THREE.RepeatWrapping;
-      terrainTexture.wrapT = THREE.RepeatWrapping;
-      terrainTexture.repeat.set(16, 16);
-    }
-    
-    const material = new THREE.MeshStandardMaterial({
-      map: terrainTexture,
-      roughness: 0.8,
-      metalness: 0.2,
-      vertexColors: true
-    });
-    
-    // Apply height map using simplex noise
-    const vertices = geometry.attributes.position;
-    const colors = new Float32Array(vertices.count * 3);
-    const color = new THREE.Color();
-    
-    for (let i = 0; i < vertices.count; i++) {
-      const x = vertices.getX(i);
-      const z = vertices.getZ(i);
-      
-      // Get noise value for current position
-      const nx = x / this.worldSize;
-      const nz = z / this.worldSize;
-      
-      // Combine multiple noise scales for more detailed terrain
-      const noise1 = this.noise.noise(nx * 1.5 + this.seed, nz * 1.5 + this.seed) * 0.5;
-      const noise2 = this.noise.noise(nx * 3 + this.seed * 2, nz * 3 + this.seed * 2) * 0.25;
-      const noise3 = this.noise.noise(nx * 6 + this.seed * 3, nz * 6 + this.seed * 3) * 0.125;
-      
-      // Combine different noise scales
-      const combinedNoise = noise1 + noise2 + noise3;
-      
-      // Calculate height and apply to vertex
-      const height = combinedNoise * this.heightScale;
-      vertices.setY(i, height);
-      
-      // Color based on height
-      if (height < 2) {
-        color.setRGB(0.8, 0.7, 0.5); // Sand
-      } else if (height < 10) {
-        color.setRGB(0.1, 0.8, 0.1); // Grass
-      } else if (height < 20) {
-        color.setRGB(0.5, 0.5, 0.1); // Forest
-      } else {
-        color.setRGB(0.5, 0.5, 0.5); // Mountain
-      }
-      
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-    
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geometry.computeVertexNormals();
-    
-    // Create terrain mesh
-    this.terrain = new THREE.Mesh(geometry, material);
-    this.terrain.receiveShadow = true;
-    this.terrain.castShadow = true;
-    this.scene.add(this.terrain);
-    
-    // Create collision data for terrain
-    this.createTerrainCollision();
+  getTerrainHeight(x, z) {
+    return this.chunks.getHeight(x, z);
   }
   
-  createTerrainCollision() {
-    // Simple heightmap lookup for collision detection
-    // In a full implementation, you might use a more sophisticated approach
-    this.heightMap = [];
-    const resolution = 100;
-    const step = this.worldSize / resolution;
-    
-    for (let i = 0; i <= resolution; i++) {
-      this.heightMap[i] = [];
-      for (let j = 0; j <= resolution; j++) {
-        const x = (i / resolution) * this.worldSize - this.worldSize / 2;
-        const z = (j / resolution) * this.worldSize - this.worldSize / 2;
-        
-        const nx = x / this.worldSize;
-        const nz = z / this.worldSize;
-        
-        // Same noise function as in createTerrain
-        const noise1 = this.noise.noise(nx * 1.5 + this.seed, nz * 1.5 + this.seed) * 0.5;
-        const noise2 = this.noise.noise(nx * 3 + this.seed * 2, nz * 3 + this.seed * 2) * 0.25;
-        const noise3 = this.noise.noise(nx * 6 + this.seed * 3, nz * 6 + this.seed * 3) * 0.125;
-        
-        this.heightMap[i][j] = (noise1 + noise2 + noise3) * this.heightScale;
-      }
-    }
+  // Seconds on the room's clock, which the weather runs on
+  getWeatherTime() {
+    return (this.engine.systems.network.getServerTime() - this.dayNight.cycle.epoch) / 1000;
   }
   
-  getTerrainHeight(x, z) {
-    // Convert world coordinates to heightmap coordinates
-    const halfSize = this.worldSize / 2;
-    const nx = ((x + halfSize) / this.worldSize) * (this.heightMap.length - 1);
-    const nz = ((z + halfSize) / this.worldSize) * (this.heightMap[0].length - 1);
-    
-    // Get the four surrounding height values
-    const x1 = Math.floor(nx);
-    const x2 = Math.min(Math.ceil(nx), this.heightMap.length - 1);
-    const z1 = Math.floor(nz);
-    const z2 = Math.min(Math.ceil(nz), this.heightMap[0].length - 1);
-    
-    const h11 = this.heightMap[x1][z1];
-    const h21 = this.heightMap[x2][z1];
-    const h12 = this.heightMap[x1][z2];
-    const h22 = this.heightMap[x2][z2];
-    
-    // Bilinear interpolation
-    const fx = nx - x1;
-    const fz = nz - z1;
-    
-    const h1 = h11 * (1 - fx) + h21 * fx;
-    const h2 = h12 * (1 - fx) + h22 * fx;
-    
-    return h1 * (1 - fz) + h2 * fz;
+  getWind(x, z, out) {
+    return this.weather.getWind(x, z, this.getWeatherTime(), out);
   }
   
   createWater() {
-    const waterGeometry = new THREE.PlaneGeometry(this.worldSize * 2, this.worldSize * 2);
+    const waterGeometry = new THREE.PlaneGeometry(this.waterSize, this.waterSize);
     
     // Create water with reflections
     this.water = new Water(waterGeometry, {
@@ -230,68 +196,131 @@ export class WorldSystem {
       fog: this.scene.fog !== undefined
     });
     
+    this.waterColor = [0, 0, 0];
+    this.targetWaterColor = new THREE.Color();
+    
     this.water.rotation.x = -Math.PI / 2;
     this.water.position.y = 0; // Water level
     this.scene.add(this.water);
   }
   
-  createManaNodes() {
-    // Create mana collection points throughout the world
-    const nodeCount = 20;
-    this.manaNodes = [];
+  // The server sends the mana nodes around us as we fly; a reset means a
+  // new world. Nodes are drawn while their chunk of terrain is loaded.
+  setManaNodes(nodes, reset) {
+    if (reset) {
+      this.manaNodes.forEach(node => this.scene.remove(node));
+      this.manaNodes.clear();
+      this.manaNodeData.clear();
+    }
     
-    for (let i = 0; i < nodeCount; i++) {
-      // Random position within the world bounds
-      const x = (Math.random() - 0.5) * this.worldSize * 0.8;
-      const z = (Math.random() - 0.5) * this.worldSize * 0.8;
-      const y = this.getTerrainHeight(x, z) + 10; // Floating above terrain
-      
-      // Create mana node visual
-      const geometry = new THREE.SphereGeometry(2, 16, 16);
-      const material = new THREE.MeshStandardMaterial({
+    nodes.forEach(data => {
+      this.manaNodeData.set(data.id, data);
+      this.removeManaNode(data.id);
+      if (this.chunks.getChunk(data.x, data.z)) {
+        this.createManaNode(data);
+      }
+    });
+  }
+  
+  onChunkLoaded(chunk) {
+    this.manaNodeData.forEach(data => {
+      if (this.chunks.getChunk(data.x, data.z) === chunk) {
+        this.createManaNode(data);
+      }
+    });
+  }
+  
+  onChunkUnloaded(chunk) {
+    const { cx, cz } = chunk;
+    this.manaNodes.forEach((node, id) => {
+      const data = this.manaNodeData.get(id);
+      if (this.chunks.getChunkCoord(data.x) === cx && this.chunks.getChunkCoord(data.z) === cz) {
+        this.removeManaNode(id);
+      }
+    });
+  }
+  
+  createManaNode(data) {
+    // Shared by every node; nodes come and go with the terrain
+    if (!this.manaNodeGeometry) {
+      this.manaNodeGeometry = new THREE.SphereGeometry(2, 16, 16);
+      this.manaNodeMaterial = new THREE.MeshStandardMaterial({
         color: 0x00ffff,
         emissive: 0x00aaff,
         emissiveIntensity: 0.5,
         transparent: true,
         opacity: 0.8
       });
-      
-      const node = new THREE.Mesh(geometry, material);
-      node.position.set(x, y, z);
-      node.castShadow = true;
-      node.userData = {
-        type: 'mana',
-        value: 10 + Math.floor(Math.random() * 20), // Random value
-        collected: false
-      };
-      
-      // Add glow effect
-      const glowGeometry = new THREE.SphereGeometry(3, 16, 16);
-      const glowMaterial = new THREE.MeshBasicMaterial({
+      this.manaGlowGeometry = new THREE.SphereGeometry(3, 16, 16);
+      this.manaGlowMaterial = new THREE.MeshBasicMaterial({
         color: 0x00ffff,
         transparent: true,
         opacity: 0.3,
         side: THREE.BackSide
       });
-      
-      const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-      node.add(glowMesh);
-      
-      this.scene.add(node);
-      this.manaNodes.push(node);
+    }
+    
+    const node = new THREE.Mesh(this.manaNodeGeometry, this.manaNodeMaterial);
+    node.position.set(data.x, data.y, data.z);
+    node.castShadow = true;
+    node.userData = {
+      type: 'mana',
+      id: data.id,
+      value: data.value,
+      collected: data.collected,
+      phase: this.manaNodes.size * 0.5 // Nodes bob out of step
+    };
+    node.visible = !data.collected;
+    
+    // Add glow effect
+    node.add(new THREE.Mesh(this.manaGlowGeometry, this.manaGlowMaterial));
+    
+    this.scene.add(node);
+    this.manaNodes.set(data.id, node);
+  }
+  
+  removeManaNode(id) {
+    const node = this.manaNodes.get(id);
+    if (!node) return;
+    
+    this.scene.remove(node);
+    this.manaNodes.delete(id);
+  }
+  
+  setManaNodeCollected(id, collected) {
+    const data = this.manaNodeData.get(id);
+    if (data) data.collected = collected;
+    
+    const node = this.manaNodes.get(id);
+    if (node) {
+      node.userData.collected = collected;
+      node.visible = !collected;
     }
   }
   
   update(delta, elapsed) {
-    // Animate water
+    // Stream terrain around whatever we're looking from
+    const center = this.engine.camera.position;
+    this.chunks.update(center.x, center.z);
+    this.dayNight.update(delta, center);
+    this.weatherEffects.update(delta, center);
+    
+    // Animate water; its waves are in world space, so it can move with us.
+    // It takes on the color of the biome below, changing gradually.
     if (this.water) {
+      this.water.position.x = center.x;
+      this.water.position.z = center.z;
       this.water.material.uniforms['time'].value += delta;
+      
+      const [r, g, b] = this.terrainGenerator.getWaterColor(center.x, center.z, this.waterColor);
+      this.targetWaterColor.setRGB(r, g, b, THREE.SRGBColorSpace);
+      this.water.material.uniforms['waterColor'].value.lerp(this.targetWaterColor, Math.min(delta, 1));
     }
     
     // Animate mana nodes (bobbing and rotating)
-    this.manaNodes.forEach((node, index) => {
+    this.manaNodes.forEach(node => {
       if (!node.userData.collected) {
-        node.position.y += Math.sin(elapsed * 2 + index * 0.5) * 0.03;
+        node.position.y += Math.sin(elapsed * 2 + node.userData.phase) * 0.03;
         node.rotation.y += delta * 0.5;
       }
     });
@@ -311,6 +340,7 @@ export class WorldSystem {
           node.visible = false;
           
           collectedNodes.push({
+            id: node.userData.id,
             position: node.position.clone(),
             value: node.userData.value
           });
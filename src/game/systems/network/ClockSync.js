@@ -0,0 +1,72 @@
+// Estimates the server clock and round-trip time from ping/pong exchanges.
+//
+// Each pong gives one NTP-style sample: the server stamped its time roughly
+// halfway through the round trip, so offset = serverTime - (sent + received) / 2.
+// Samples with the shortest round trip are the least skewed by queueing, so
+// the offset comes from the best recent sample rather than an average.
+export class ClockSync {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 8;
+    this.rttSmoothing = options.rttSmoothing || 0.125;       // Same weights as TCP's SRTT
+    this.jitterSmoothing = options.jitterSmoothing || 0.25;  // and RTTVAR
+    
+    this.reset();
+  }
+  
+  reset(serverTime = null) {
+    this.samples = [];
+    this.rtt = 0;
+    this.jitter = 0;
+    
+    // A server timestamp without a round trip is still a usable first guess
+    this.offset = serverTime !== null ? serverTime - this.now() : 0;
+    this.synced = false;
+  }
+  
+  now() {
+    return performance.now();
+  }
+  
+  // Record a pong: sentAt is our clock when the ping left, serverTime the server's reply stamp
+  addSample(sentAt, serverTime) {
+    const receivedAt = this.now();
+    const rtt = receivedAt - sentAt;
+    if (rtt < 0) return;
+    
+    const offset = serverTime - (sentAt + receivedAt) / 2;
+    
+    this.samples.push({ rtt, offset });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+    
+    // Smoothed round-trip time and its variation
+    if (!this.synced) {
+      this.rtt = rtt;
+      this.jitter = rtt / 2;
+    } else {
+      this.jitter += (Math.abs(rtt - this.rtt) - this.jitter) * this.jitterSmoothing;
+      this.rtt += (rtt - this.rtt) * this.rttSmoothing;
+    }
+    
+    const best = this.samples.reduce((best, sample) => sample.rtt < best.rtt ? sample : best);
+    this.offset = best.offset;
+    this.synced = true;
+  }
+  
+  getServerTime() {
+    return this.now() + this.offset;
+  }
+  
+  getRtt() {
+    return this.rtt;
+  }
+  
+  getJitter() {
+    return this.jitter;
+  }
+  
+  isSynced() {
+    return this.synced;
+  }
+}
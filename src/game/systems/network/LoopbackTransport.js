@@ -0,0 +1,96 @@
+import { EventEmitter } from '../../../utils/EventEmitter.js';
+import { Transport } from './Transport.js';
+
+let nextLoopbackId = 1;
+
+// The server's end of a loopback connection. It looks like a socket.io
+// server socket, which is all GameServer needs.
+export class LoopbackSocket {
+  constructor(transport) {
+    this.id = `loopback_${nextLoopbackId++}`;
+    this.transport = transport;
+    this.handlers = new EventEmitter();
+    this.connected = true;
+  }
+  
+  // Listen for messages from the client
+  on(type, handler) {
+    this.handlers.on(type, handler);
+  }
+  
+  // Send a message to the client
+  emit(type, data) {
+    if (this.connected) {
+      this.transport.enqueue((copy) => this.transport.handleMessage(type, copy), data);
+    }
+  }
+  
+  disconnect() {
+    this.transport.disconnect('server disconnect');
+  }
+}
+
+// Connects a client to a GameServer in the same page or Node process.
+//
+// Messages are copied (so neither side can mutate the other's data) and
+// delivered in order. By default they are delivered on the next microtask;
+// pass { autoFlush: false } and call flush() to step delivery by hand. With
+// server.tick() called directly and the GameServer given its clock, random
+// numbers and seed (options now, random and seed), a session plays out the
+// same every time.
+export class LoopbackTransport extends Transport {
+  constructor(server, options = {}) {
+    super();
+    this.server = server;
+    this.autoFlush = options.autoFlush !== false;
+    this.queue = [];
+    this.flushScheduled = false;
+    this.peer = null;
+  }
+  
+  connect() {
+    if (this.peer) return;
+    
+    this.peer = new LoopbackSocket(this);
+    this.server.handleConnection(this.peer);
+    this.enqueue(() => this.handleOpen());
+  }
+  
+  send(type, data) {
+    if (!this.peer) return;
+    
+    const peer = this.peer;
+    this.enqueue((copy) => peer.handlers.emit(type, copy), data);
+  }
+  
+  disconnect(reason = 'client disconnect') {
+    const peer = this.peer;
+    if (!peer) return;
+    
+    this.peer = null;
+    peer.connected = false;
+    this.enqueue(() => {
+      peer.handlers.emit('disconnect', reason);
+      this.handleClose(reason);
+    });
+  }
+  
+  enqueue(deliver, data) {
+    const copy = data !== undefined ? structuredClone(data) : undefined;
+    this.queue.push(() => deliver(copy));
+    
+    if (this.autoFlush && !this.flushScheduled) {
+      this.flushScheduled = true;
+      queueMicrotask(() => this.flush());
+    }
+  }
+  
+  // Deliver everything queued so far, including messages sent in response
+  flush() {
+    this.flushScheduled = false;
+    
+    while (this.queue.length > 0) {
+      this.queue.shift()();
+    }
+  }
+}
@@ -0,0 +1,143 @@
+// Simulates a bad connection for development by delaying, dropping and
+// duplicating messages on their way in and out of NetworkManager.
+//
+// Latency and jitter are added in each direction, so the round trip grows by
+// twice the latency. Only the state stream (snapshots, player updates and
+// pings) is ever dropped, duplicated or reordered; the game copes with that
+// because snapshots are deltas against acknowledged baselines. Events like
+// spell hits travel over reliable, ordered channels, so for them a lost
+// packet shows up as a resend delay instead.
+
+export const NETWORK_PRESETS = {
+  off: { label: 'Off', latency: 0, jitter: 0, loss: 0, duplicate: 0 },
+  broadband: { label: 'Home broadband', latency: 20, jitter: 5, loss: 0.005, duplicate: 0 },
+  '3g': { label: '3G mobile', latency: 150, jitter: 60, loss: 0.03, duplicate: 0 },
+  'lossy-wifi': { label: 'Lossy Wi-Fi', latency: 15, jitter: 40, loss: 0.1, duplicate: 0.02 },
+  satellite: { label: 'Satellite', latency: 300, jitter: 20, loss: 0.01, duplicate: 0 }
+};
+
+const UNRELIABLE_TYPES = new Set(['snapshot', 'player_update', 'ping', 'pong']);
+
+// Retransmission timeout added when a reliable message is "lost"
+const RESEND_DELAY = 200;
+
+export class NetworkConditioner {
+  constructor(settings = NETWORK_PRESETS.off) {
+    this.settings = { latency: 0, jitter: 0, loss: 0, duplicate: 0 };
+    this.preset = 'off';
+    this.set(settings);
+    
+    // Reliable messages are never delivered before earlier ones
+    this.reliableDue = { send: 0, receive: 0 };
+    this.resetStats();
+  }
+  
+  // Build settings from ?netsim=3g plus optional overrides:
+  // ?latency=ms, ?jitter=ms, ?loss=percent, ?dup=percent
+  static fromParams(params) {
+    const conditioner = new NetworkConditioner();
+    if (params.has('netsim')) conditioner.setPreset(params.get('netsim'));
+    
+    const number = (name) => {
+      const value = parseFloat(params.get(name));
+      return Number.isFinite(value) ? Math.max(0, value) : undefined;
+    };
+    const overrides = {
+      latency: number('latency'),
+      jitter: number('jitter'),
+      loss: number('loss') !== undefined ? number('loss') / 100 : undefined,
+      duplicate: number('dup') !== undefined ? number('dup') / 100 : undefined
+    };
+    Object.keys(overrides).forEach(key => {
+      if (overrides[key] === undefined) delete overrides[key];
+    });
+    
+    if (Object.keys(overrides).length > 0) conditioner.set(overrides);
+    return conditioner;
+  }
+  
+  setPreset(name) {
+    const preset = NETWORK_PRESETS[name];
+    if (!preset) {
+      console.warn(`Unknown network preset "${name}"`);
+      return;
+    }
+    
+    this.set(preset);
+    this.preset = name;
+  }
+  
+  set(settings) {
+    ['latency', 'jitter', 'loss', 'duplicate'].forEach(key => {
+      if (settings[key] !== undefined) this.settings[key] = settings[key];
+    });
+    this.settings.loss = Math.min(this.settings.loss, 1);
+    this.settings.duplicate = Math.min(this.settings.duplicate, 1);
+    
+    // Hand-tuned values no longer match a preset
+    this.preset = Object.keys(NETWORK_PRESETS).find(name => {
+      const preset = NETWORK_PRESETS[name];
+      return ['latency', 'jitter', 'loss', 'duplicate'].every(key => preset[key] === this.settings[key]);
+    }) || 'custom';
+  }
+  
+  isActive() {
+    const { latency, jitter, loss, duplicate } = this.settings;
+    return latency > 0 || jitter > 0 || loss > 0 || duplicate > 0;
+  }
+  
+  resetStats() {
+    this.stats = { sent: 0, received: 0, dropped: 0, duplicated: 0, resent: 0 };
+  }
+  
+  // Pass an outgoing message through the simulated connection
+  send(type, deliver) {
+    this.stats.sent++;
+    this.process('send', type, deliver);
+  }
+  
+  // Pass an incoming message through the simulated connection
+  receive(type, deliver) {
+    this.stats.received++;
+    this.process('receive', type, deliver);
+  }
+  
+  process(direction, type, deliver) {
+    if (!this.isActive()) {
+      deliver();
+      return;
+    }
+    
+    const { latency, loss, duplicate } = this.settings;
+    
+    if (UNRELIABLE_TYPES.has(type)) {
+      if (Math.random() < loss) {
+        this.stats.dropped++;
+        return;
+      }
+      
+      setTimeout(deliver, this.sampleDelay());
+      if (Math.random() < duplicate) {
+        this.stats.duplicated++;
+        setTimeout(deliver, this.sampleDelay());
+      }
+      return;
+    }
+    
+    let delay = this.sampleDelay();
+    if (Math.random() < loss) {
+      this.stats.resent++;
+      delay += RESEND_DELAY + latency * 2;
+    }
+    
+    const now = performance.now();
+    const due = Math.max(now + delay, this.reliableDue[direction]);
+    this.reliableDue[direction] = due;
+    setTimeout(deliver, due - now);
+  }
+  
+  sampleDelay() {
+    const { latency, jitter } = this.settings;
+    return Math.max(0, latency + (Math.random() * 2 - 1) * jitter);
+  }
+}
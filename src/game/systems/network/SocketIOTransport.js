@@ -0,0 +1,42 @@
+import { io } from 'socket.io-client';
+import { Transport } from './Transport.js';
+
+// Talks to a dedicated game server (server/index.js) over socket.io
+export class SocketIOTransport extends Transport {
+  constructor(url, options = {}) {
+    super();
+    
+    this.socket = io(url, {
+      autoConnect: false,
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 10000,
+      ...options
+    });
+    
+    this.socket.on('connect', () => this.handleOpen());
+    this.socket.on('disconnect', (reason) => {
+      // socket.io stays active while it retries, but not after we or the
+      // server hung up on purpose
+      this.willReconnect = this.socket.active;
+      this.handleClose(reason);
+    });
+    this.socket.on('connect_error', (error) => this.emit('connect_error', error));
+    this.socket.onAny((type, data) => this.handleMessage(type, data));
+  }
+  
+  connect() {
+    this.socket.connect();
+  }
+  
+  send(type, data) {
+    if (this.socket.connected) {
+      this.socket.emit(type, data);
+    }
+  }
+  
+  disconnect() {
+    this.socket.disconnect();
+  }
+}
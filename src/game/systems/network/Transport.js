@@ -0,0 +1,52 @@
+import { EventEmitter } from '../../../utils/EventEmitter.js';
+
+// A connection from the client to a game server. NetworkManager only talks
+// to this interface, so the server can be remote (socket.io), another
+// player's browser (WebRTC) or in the same page (loopback).
+//
+// Lifecycle events: 'connect', 'disconnect' (reason) and 'connect_error'
+// (error). Every incoming message is emitted as 'message' ({ type, data })
+// and to handlers registered with onMessage(type, handler).
+export class Transport extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = false;
+    
+    // Set by implementations that retry on their own after a dropped connection
+    this.willReconnect = false;
+  }
+  
+  connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+  
+  send(type, data) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+  
+  disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+  
+  onMessage(type, handler) {
+    return this.on(`message:${type}`, handler);
+  }
+  
+  // Called by implementations
+  handleOpen() {
+    this.connected = true;
+    this.emit('connect');
+  }
+  
+  handleClose(reason) {
+    if (!this.connected) return;
+    
+    this.connected = false;
+    this.emit('disconnect', reason);
+  }
+  
+  handleMessage(type, data) {
+    this.emit('message', { type, data });
+    this.emit(`message:${type}`, data);
+  }
+}
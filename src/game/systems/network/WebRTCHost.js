@@ -0,0 +1,102 @@
+import { io } from 'socket.io-client';
+import { EventEmitter } from '../../../utils/EventEmitter.js';
+import { decodeFrame, encodeFrame } from './frames.js';
+import { RTC_CONFIG } from './WebRTCTransport.js';
+
+// The host's end of a peer's data channel, shaped like a socket.io server
+// socket so GameServer can treat it like any other connection
+class DataChannelSocket {
+  constructor(id, channel) {
+    this.id = id;
+    this.channel = channel;
+    this.handlers = new EventEmitter();
+    
+    channel.onmessage = (event) => {
+      const { type, data } = decodeFrame(event.data);
+      this.handlers.emit(type, data);
+    };
+    channel.onclose = () => this.handlers.emit('disconnect', 'transport close');
+  }
+  
+  on(type, handler) {
+    this.handlers.on(type, handler);
+  }
+  
+  emit(type, data) {
+    if (this.channel.readyState === 'open') {
+      this.channel.send(encodeFrame(type, data));
+    }
+  }
+  
+  disconnect() {
+    this.channel.close();
+  }
+}
+
+// Lets a player's browser host a game: peers who open the share link reach
+// the in-page GameServer over WebRTC data channels.
+export class WebRTCHost {
+  constructor(gameServer, signalingUrl, code) {
+    this.gameServer = gameServer;
+    this.code = code;
+    this.peers = new Map(); // signaling id -> RTCPeerConnection
+    
+    this.signaling = io(signalingUrl);
+    this.signaling.on('connect', () => {
+      this.signaling.emit('rtc_host', { code });
+      console.log(`Hosting game ${code} for peers`);
+    });
+    this.signaling.on('rtc_signal', (data) => this.handleSignal(data));
+    this.signaling.on('rtc_error', (data) => {
+      if (data.reason === 'code_taken') console.error(`Game code ${data.code} is already hosted by someone else`);
+    });
+  }
+  
+  async handleSignal(data) {
+    let peerConnection = this.peers.get(data.from);
+    
+    if (data.description) {
+      peerConnection = this.createPeerConnection(data.from);
+      await peerConnection.setRemoteDescription(data.description);
+      
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+      this.signaling.emit('rtc_signal', { to: data.from, description: peerConnection.localDescription.toJSON() });
+    } else if (data.candidate && peerConnection) {
+      await peerConnection.addIceCandidate(data.candidate);
+    }
+  }
+  
+  createPeerConnection(peerId) {
+    const peerConnection = new RTCPeerConnection(RTC_CONFIG);
+    this.peers.set(peerId, peerConnection);
+    
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signaling.emit('rtc_signal', { to: peerId, candidate: event.candidate.toJSON() });
+      }
+    };
+    
+    peerConnection.ondatachannel = (event) => {
+      const channel = event.channel;
+      channel.binaryType = 'arraybuffer';
+      channel.onopen = () => {
+        this.gameServer.handleConnection(new DataChannelSocket(peerId, channel));
+      };
+    };
+    
+    peerConnection.onconnectionstatechange = () => {
+      if (['failed', 'closed'].includes(peerConnection.connectionState)) {
+        this.peers.delete(peerId);
+      }
+    };
+    
+    return peerConnection;
+  }
+  
+  close() {
+    this.signaling.disconnect();
+    this.peers.forEach(peerConnection => peerConnection.close());
+    this.peers.clear();
+  }
+}
@@ -0,0 +1,80 @@
+import { io } from 'socket.io-client';
+import { Transport } from './Transport.js';
+import { decodeFrame, encodeFrame } from './frames.js';
+
+export const RTC_CONFIG = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+};
+
+// Joins a game hosted in another player's browser (see WebRTCHost) over a
+// data channel. The game server's signaling relay is only used to set up
+// the connection; game traffic goes directly between the two peers.
+export class WebRTCTransport extends Transport {
+  constructor(signalingUrl, hostCode) {
+    super();
+    this.hostCode = hostCode;
+    this.peerConnection = null;
+    this.channel = null;
+    
+    this.signaling = io(signalingUrl, { autoConnect: false, reconnection: false });
+    this.signaling.on('connect', () => this.createOffer());
+    this.signaling.on('connect_error', (error) => this.emit('connect_error', error));
+    this.signaling.on('rtc_signal', (data) => this.handleSignal(data));
+    this.signaling.on('rtc_error', (data) => {
+      this.emit('connect_error', new Error(`No game hosted as ${data.to}`));
+    });
+  }
+  
+  connect() {
+    this.signaling.connect();
+  }
+  
+  async createOffer() {
+    this.peerConnection = new RTCPeerConnection(RTC_CONFIG);
+    this.peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signaling.emit('rtc_signal', { to: this.hostCode, candidate: event.candidate.toJSON() });
+      }
+    };
+    
+    // One reliable, ordered channel: game events must not be lost, and
+    // snapshots are deltas against acknowledged baselines anyway
+    this.channel = this.peerConnection.createDataChannel('game', { ordered: true });
+    this.channel.binaryType = 'arraybuffer';
+    this.channel.onopen = () => {
+      // Signaling is no longer needed once the peers can talk directly
+      this.signaling.disconnect();
+      this.handleOpen();
+    };
+    this.channel.onclose = () => this.handleClose('transport close');
+    this.channel.onmessage = (event) => {
+      const { type, data } = decodeFrame(event.data);
+      this.handleMessage(type, data);
+    };
+    
+    const offer = await this.peerConnection.createOffer();
+    await this.peerConnection.setLocalDescription(offer);
+    this.signaling.emit('rtc_signal', { to: this.hostCode, description: this.peerConnection.localDescription.toJSON() });
+  }
+  
+  async handleSignal(data) {
+    if (data.description) {
+      await this.peerConnection.setRemoteDescription(data.description);
+    } else if (data.candidate) {
+      await this.peerConnection.addIceCandidate(data.candidate);
+    }
+  }
+  
+  send(type, data) {
+    if (this.channel && this.channel.readyState === 'open') {
+      this.channel.send(encodeFrame(type, data));
+    }
+  }
+  
+  disconnect() {
+    this.signaling.disconnect();
+    if (this.channel) this.channel.close();
+    if (this.peerConnection) this.peerConnection.close();
+    this.handleClose('client disconnect');
+  }
+}
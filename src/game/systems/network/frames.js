@@ -0,0 +1,37 @@
+// Data channels only carry strings or raw bytes, so messages are framed:
+// ordinary messages as JSON text, binary payloads (snapshots, player
+// updates) as [type length][type][payload bytes].
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export function encodeFrame(type, data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    const payload = data instanceof ArrayBuffer ?
+      new Uint8Array(data) :
+      new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const typeBytes = textEncoder.encode(type);
+    
+    const frame = new Uint8Array(1 + typeBytes.length + payload.length);
+    frame[0] = typeBytes.length;
+    frame.set(typeBytes, 1);
+    frame.set(payload, 1 + typeBytes.length);
+    return frame.buffer;
+  }
+  
+  return JSON.stringify([type, data]);
+}
+
+export function decodeFrame(frame) {
+  if (typeof frame === 'string') {
+    const [type, data] = JSON.parse(frame);
+    return { type, data: data === null ? undefined : data };
+  }
+  
+  const bytes = new Uint8Array(frame);
+  const typeLength = bytes[0];
+  return {
+    type: textDecoder.decode(bytes.subarray(1, 1 + typeLength)),
+    data: bytes.slice(1 + typeLength)
+  };
+}
@@ -15,7 +15,6 @@ export class PlayerInput {
     this.mousePitchControl = true;   // Allow mouse to control pitch (up/down)
     this.autoLevelingEnabled = true; // Auto-level when no input
     this.autoLevelingSpeed = 0.5;    // Speed of auto-leveling (0-1)
-    this.boostMultiplier = 2.0;      // Speed boost multiplier
     this.boosting = false;           // Current boost state
     
     // Touch controls state
@@ -31,9 +30,7 @@ export class PlayerInput {
     };
     
     // Carpet movement settings
-    this.baseAcceleration = 80;      // Increased base acceleration
     this.turnSensitivity = 3.0;      // How quickly the carpet turns
-    this.bankingFactor = 0.8;        // How much the carpet banks in turns
     
     // Mouse control state
     this.mouseControlState = {
@@ -50,6 +47,9 @@ export class PlayerInput {
       up: 0
     };
     
+    // Sequence number of the last sampled input command
+    this.inputSequence = 0;
+    
     // Debug flag - set to true to see input logs
     this.debugInput = true;
   }
@@ -108,8 +108,13 @@ export class PlayerInput {
         this.boosting = true;
       }
       
+      // Found a castle where we are
+      if (event.code === 'KeyC' && !(event.target instanceof HTMLInputElement)) {
+        this.engine.systems.world.castles.found();
+      }
+      
       // Spell selection with number keys
-      if (event.code >= 'Digit1' && event.code <= 'Digit3') {
+      if (event.code >= 'Digit1' && event.code <= 'Digit9') {
         const spellIndex = parseInt(event.code.replace('Digit', '')) - 1;
         this.playerSystem.spells.selectSpell(spellIndex);
       }
@@ -254,11 +259,17 @@ export class PlayerInput {
   
   handleInput(delta) {
     const player = this.playerSystem.localPlayer;
-    if (!player) return;
+    if (!player) return null;
     
-    const input = this.engine.input;
-    const physics = this.playerSystem.physics;
+    // Sample this frame's input into a numbered command so it can be
+    // replayed when the server corrects our predicted position
+    const command = this.sampleInput(player, delta);
+    this.playerSystem.physics.applyInputCommand(player, command);
     
+    return command;
+  }
+  
+  sampleInput(player, delta) {
     // Get movement input from current state
     let forward = this.movementState.forward;
     let right = this.movementState.right;
@@ -313,58 +324,23 @@ export class PlayerInput {
       up -= 1;
     }
     
-    // Apply speed boost if active
-    const speedMultiplier = this.boosting ? this.boostMultiplier : 1.0;
-    
-    // Calculate acceleration based on current speed for more natural movement
-    // This creates a "wind resistance" effect at higher speeds
-    const currentSpeed = player.velocity.length();
-    const speedFactor = 1 - (currentSpeed / (physics.carpetMaxSpeed * speedMultiplier)) * 0.7;
-    const acceleration = this.baseAcceleration * speedFactor * speedMultiplier;
-    
     // Debug output for movement
     if (this.debugInput && (forward !== 0 || right !== 0 || up !== 0)) {
-      console.log(`Movement: forward=${forward}, right=${right}, up=${up}, accel=${acceleration}`);
-    }
-    
-    // Apply forward/back acceleration (camera-relative)
-    if (forward !== 0) {
-      physics.applyForwardForce(player, acceleration * forward * delta);
-      
-      if (this.debugInput) {
-        console.log(`Applying forward force: ${acceleration * forward * delta}`);
-        console.log(`Player velocity after: ${player.velocity.x}, ${player.velocity.y}, ${player.velocity.z}`);
-      }
-    } else {
-      // Auto-forward: always move forward slightly when no input
-      // This makes the carpet feel more like it's flying rather than hovering
-      physics.applyForwardForce(player, acceleration * 0.2 * delta);
+      console.log(`Movement: forward=${forward}, right=${right}, up=${up}, boost=${this.boosting}`);
     }
     
-    // Apply left/right acceleration (camera-relative)
-    if (right !== 0) {
-      physics.applySideForce(player, acceleration * right * delta);
-      
-      // Apply banking effect for turns (visual effect)
-      const bankAngle = -right * this.bankingFactor;
-      player.bankAngle = THREE.MathUtils.lerp(
-        player.bankAngle || 0,
-        bankAngle,
-        0.1
-      );
-    } else if (player.bankAngle) {
-      // Return to level flight when no input
-      player.bankAngle = THREE.MathUtils.lerp(
-        player.bankAngle,
-        0,
-        0.05
-      );
-    }
-    
-    // Apply up/down movement with smooth acceleration
-    if (up !== 0) {
-      physics.applyAltitudeChange(player, 60 * up * delta * speedMultiplier);
-    }
+    this.inputSequence++;
+    
+    return {
+      seq: this.inputSequence,
+      delta,
+      forward,
+      right,
+      up,
+      boost: this.boosting,
+      rotationX: player.rotation.x,
+      rotationY: player.rotation.y
+    };
   }
   
   setupTouchControls() {
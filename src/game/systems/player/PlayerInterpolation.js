@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+export class PlayerInterpolation {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+    
+    // Remote players are rendered this far in the past so there are
+    // (usually) two snapshots to interpolate between
+    this.interpolationDelay = 100;   // ms
+    this.maxExtrapolation = 250;     // ms to keep predicting after the last snapshot
+    this.bufferDuration = 1000;      // ms of snapshots kept per player
+    
+    // Reusable vectors
+    this.tempPosition = new THREE.Vector3();
+  }
+  
+  // Snapshots are stamped with the server clock. The newest one we can have
+  // was sent half a round trip ago, so that is "now" for remote players.
+  getReceiveTime() {
+    const network = this.engine.systems.network;
+    return network.getServerTime() - network.getPing() / 2;
+  }
+  
+  // The moment remote players are drawn at; also what lag compensation rewinds to
+  getRenderTime() {
+    return this.getReceiveTime() - this.interpolationDelay;
+  }
+  
+  // Store a timestamped snapshot for a remote player
+  addSnapshot(player, data) {
+    if (!player.snapshots) {
+      player.snapshots = [];
+    }
+    
+    const previous = player.snapshots[player.snapshots.length - 1];
+    const snapshot = {
+      time: data.serverTime !== undefined ? data.serverTime : this.getReceiveTime(),
+      position: new THREE.Vector3(
+        data.x !== undefined ? data.x : player.position.x,
+        data.y !== undefined ? data.y : player.position.y,
+        data.z !== undefined ? data.z : player.position.z
+      ),
+      velocity: new THREE.Vector3(data.vx || 0, data.vy || 0, data.vz || 0),
+      rotationY: data.rotationY !== undefined ? data.rotationY : player.rotation.y,
+      bankAngle: data.bankAngle || 0
+    };
+    
+    // Drop snapshots that arrive out of order
+    if (previous && snapshot.time <= previous.time) return;
+    
+    player.snapshots.push(snapshot);
+    
+    // Trim old snapshots, always keeping at least two
+    const cutoff = snapshot.time - this.bufferDuration;
+    while (player.snapshots.length > 2 && player.snapshots[0].time < cutoff) {
+      player.snapshots.shift();
+    }
+  }
+  
+  update() {
+    const renderTime = this.getRenderTime();
+    
+    this.playerSystem.players.forEach(player => {
+      if (player.isLocal || !player.snapshots || player.snapshots.length === 0) return;
+      this.interpolatePlayer(player, renderTime);
+    });
+  }
+  
+  interpolatePlayer(player, renderTime) {
+    const snapshots = player.snapshots;
+    
+    // Find the snapshots either side of the render time
+    let from = null;
+    let to = null;
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].time <= renderTime) {
+        from = snapshots[i];
+        to = snapshots[i + 1] || null;
+        break;
+      }
+    }
+    
+    if (!from) {
+      // Render time is before our oldest snapshot; hold at the oldest
+      this.applySnapshot(player, snapshots[0]);
+      return;
+    }
+    
+    if (to) {
+      const t = (renderTime - from.time) / (to.time - from.time);
+      
+      player.position.lerpVectors(from.position, to.position, t);
+      player.velocity.lerpVectors(from.velocity, to.velocity, t);
+      player.rotation.y = this.lerpAngle(from.rotationY, to.rotationY, t);
+      player.bankAngle = THREE.MathUtils.lerp(from.bankAngle, to.bankAngle, t);
+      return;
+    }
+    
+    // Packets are late: extrapolate along the last known velocity for a
+    // short while, then hold position until new data arrives
+    const extrapolation = Math.min(renderTime - from.time, this.maxExtrapolation) / 1000;
+    this.tempPosition.copy(from.position).addScaledVector(from.velocity, extrapolation);
+    
+    player.position.copy(this.tempPosition);
+    player.velocity.copy(from.velocity);
+    player.rotation.y = from.rotationY;
+    player.bankAngle = from.bankAngle;
+  }
+  
+  applySnapshot(player, snapshot) {
+    player.position.copy(snapshot.position);
+    player.velocity.copy(snapshot.velocity);
+    player.rotation.y = snapshot.rotationY;
+    player.bankAngle = snapshot.bankAngle;
+  }
+  
+  // Interpolate angles along the shortest arc
+  lerpAngle(a, b, t) {
+    let difference = (b - a) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return a + difference * t;
+  }
+}
@@ -258,6 +258,11 @@ export class PlayerModels {
       // Update model position
       player.model.position.copy(player.position);
       
+      // Blend out recent server corrections instead of snapping
+      if (player.renderOffset) {
+        player.model.position.add(player.renderOffset);
+      }
+      
       // Update model rotation
       player.model.rotation.set(0, player.rotation.y, 0);
       
@@ -11,6 +11,7 @@ export class PlayerPhysics {
     this.maxAltitude = 300;  // Increased max altitude
     this.dragCoefficient = 0.15; // Reduced drag for faster movement
     this.altitudeDamping = 0.9;  // Increased for smoother altitude changes
+    this.maxAltitudeVelocity = 60; // Increased for faster vertical movement
     
     // Carpet movement physics
     this.carpetInertia = 0.95;       // Higher = more floaty/drifty (increased)
@@ -19,6 +20,13 @@ export class PlayerPhysics {
     this.carpetTiltFactor = 0.2;     // Visual tilt when turning (increased)
     this.carpetBankingFactor = 0.12; // Banking effect when turning (increased)
     
+    // Input response
+    this.baseAcceleration = 80;      // Increased base acceleration
+    this.boostMultiplier = 2.0;      // Speed boost multiplier
+    this.bankingFactor = 0.8;        // How much the carpet banks in turns
+    
+    this.wind = { x: 0, z: 0 };      // Wind at the carpet, reused each step
+    
     // Debug flag
     this.debugPhysics = true;
   }
@@ -27,6 +35,15 @@ export class PlayerPhysics {
     const player = this.playerSystem.localPlayer;
     if (!player) return;
     
+    this.step(player, delta);
+    
+    // Apply carpet tilt based on movement
+    this.updateCarpetTilt(player, delta);
+  }
+  
+  // Advance a carpet's physical state by one frame. Kept free of visual
+  // effects so inputs can be re-simulated during server reconciliation.
+  step(player, delta) {
     // Apply forces to acceleration
     this.applyForces(player, delta);
     
@@ -54,9 +71,6 @@ export class PlayerPhysics {
     // Apply altitude controls and constraints
     this.updateAltitude(player, delta);
     
-    // Apply carpet tilt based on movement
-    this.updateCarpetTilt(player, delta);
-    
     // Reset acceleration for next frame
     player.acceleration.set(0, 0, 0);
   }
@@ -95,6 +109,13 @@ export class PlayerPhysics {
       player.acceleration.y += avoidanceForce;
     }
     
+    // Wind pushes the carpet along, the same for everyone in the room. Like
+    // thrust it scales with the step, and it never outpushes what thrust is
+    // left at top speed (see MAX_WIND).
+    const wind = this.engine.systems.world.getWind(player.position.x, player.position.z, this.wind);
+    player.acceleration.x += wind.x * delta;
+    player.acceleration.z += wind.z * delta;
+    
     // Apply air resistance (drag) - more at higher speeds
     const dragForce = player.velocity.clone().multiplyScalar(-this.dragCoefficient * player.velocity.length());
     player.acceleration.add(dragForce);
@@ -181,6 +202,58 @@ export class PlayerPhysics {
     player.carpetMesh.rotation.z = player.carpetRoll;
   }
   
+  // Turn a sampled input command into forces on the carpet
+  applyInputCommand(player, command) {
+    const { delta, forward, right, up } = command;
+    
+    // Commands carry the orientation they were sampled with
+    player.rotation.x = command.rotationX;
+    player.rotation.y = command.rotationY;
+    
+    // Apply speed boost if active
+    const speedMultiplier = command.boost ? this.boostMultiplier : 1.0;
+    
+    // Calculate acceleration based on current speed for more natural movement
+    // This creates a "wind resistance" effect at higher speeds
+    const currentSpeed = player.velocity.length();
+    const speedFactor = 1 - (currentSpeed / (this.carpetMaxSpeed * speedMultiplier)) * 0.7;
+    const acceleration = this.baseAcceleration * speedFactor * speedMultiplier;
+    
+    // Apply forward/back acceleration (camera-relative)
+    if (forward !== 0) {
+      this.applyForwardForce(player, acceleration * forward * delta);
+    } else {
+      // Auto-forward: always move forward slightly when no input
+      // This makes the carpet feel more like it's flying rather than hovering
+      this.applyForwardForce(player, acceleration * 0.2 * delta);
+    }
+    
+    // Apply left/right acceleration (camera-relative)
+    if (right !== 0) {
+      this.applySideForce(player, acceleration * right * delta);
+      
+      // Apply banking effect for turns (visual effect)
+      const bankAngle = -right * this.bankingFactor;
+      player.bankAngle = THREE.MathUtils.lerp(
+        player.bankAngle || 0,
+        bankAngle,
+        0.1
+      );
+    } else if (player.bankAngle) {
+      // Return to level flight when no input
+      player.bankAngle = THREE.MathUtils.lerp(
+        player.bankAngle,
+        0,
+        0.05
+      );
+    }
+    
+    // Apply up/down movement with smooth acceleration
+    if (up !== 0) {
+      this.applyAltitudeChange(player, 60 * up * delta * speedMultiplier);
+    }
+  }
+  
   // Helper methods for adding forces
   applyForwardForce(player, force) {
     // Calculate forward direction based on player's rotation
@@ -237,11 +310,10 @@ export class PlayerPhysics {
     }
     
     // Limit maximum altitude velocity
-    const maxAltitudeVelocity = 60; // Increased for faster vertical movement
     player.altitudeVelocity = THREE.MathUtils.clamp(
       player.altitudeVelocity,
-      -maxAltitudeVelocity,
-      maxAltitudeVelocity
+      -this.maxAltitudeVelocity,
+      this.maxAltitudeVelocity
     );
   }
 }
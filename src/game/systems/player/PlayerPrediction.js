@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+export class PlayerPrediction {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+    
+    // Commands we have simulated locally but the server has not acknowledged
+    this.history = [];
+    this.maxHistory = 240;          // ~4 seconds at 60fps
+    
+    // Reconciliation settings
+    this.correctionThreshold = 0.25; // Position error (units) that triggers a replay
+    this.snapThreshold = 20;         // Errors larger than this snap instead of smoothing
+    this.errorDecay = 10;            // How quickly visual error fades (per second)
+    this.debugReconcile = false;     // Log every replay; noisy on lossy connections
+    
+    this.lastAcknowledgedSeq = 0;
+    this.errorOffset = new THREE.Vector3();
+  }
+  
+  // Remember the command and the state it produced
+  recordCommand(player, command) {
+    this.history.push({
+      command,
+      state: this.captureState(player)
+    });
+    
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+  }
+  
+  captureState(player) {
+    return {
+      position: player.position.clone(),
+      velocity: player.velocity.clone(),
+      altitudeVelocity: player.altitudeVelocity,
+      bankAngle: player.bankAngle
+    };
+  }
+  
+  restoreState(player, state) {
+    player.position.copy(state.position);
+    player.velocity.copy(state.velocity);
+    player.altitudeVelocity = state.altitudeVelocity;
+    player.bankAngle = state.bankAngle;
+  }
+  
+  // Called with the server's authoritative state for the local player
+  reconcile(serverState) {
+    const player = this.playerSystem.localPlayer;
+    if (!player || serverState.seq === undefined) return;
+    
+    // Ignore stale or duplicate acknowledgements
+    if (serverState.seq <= this.lastAcknowledgedSeq) return;
+    this.lastAcknowledgedSeq = serverState.seq;
+    
+    // Drop everything the server has already processed
+    while (this.history.length > 0 && this.history[0].command.seq < serverState.seq) {
+      this.history.shift();
+    }
+    
+    const acknowledged = this.history[0];
+    if (!acknowledged || acknowledged.command.seq !== serverState.seq) return;
+    
+    const serverPosition = new THREE.Vector3(serverState.x, serverState.y, serverState.z);
+    const error = acknowledged.state.position.distanceTo(serverPosition);
+    
+    this.history.shift();
+    
+    if (error < this.correctionThreshold) return;
+    
+    const displayedPosition = player.position.clone().add(this.errorOffset);
+    
+    // Rewind to the acknowledged state, corrected by the server
+    const corrected = acknowledged.state;
+    corrected.position.copy(serverPosition);
+    if (serverState.vx !== undefined) {
+      corrected.velocity.set(serverState.vx, serverState.vy, serverState.vz);
+    }
+    this.restoreState(player, corrected);
+    
+    // Re-simulate every input the server has not seen yet
+    const physics = this.playerSystem.physics;
+    this.history.forEach(entry => {
+      physics.applyInputCommand(player, entry.command);
+      physics.step(player, entry.command.delta);
+      entry.state = this.captureState(player);
+    });
+    
+    // Hide small corrections by fading the visual error out over time
+    if (error < this.snapThreshold) {
+      this.errorOffset.copy(displayedPosition).sub(player.position);
+    } else {
+      this.errorOffset.set(0, 0, 0);
+    }
+    
+    if (this.debugReconcile) {
+      console.log(`Reconciled local player (error ${error.toFixed(2)}, replayed ${this.history.length} inputs)`);
+    }
+  }
+  
+  update(delta) {
+    const player = this.playerSystem.localPlayer;
+    if (!player) return;
+    
+    this.errorOffset.multiplyScalar(Math.max(0, 1 - this.errorDecay * delta));
+    if (this.errorOffset.lengthSq() < 0.0001) {
+      this.errorOffset.set(0, 0, 0);
+    }
+    
+    player.renderOffset = this.errorOffset;
+  }
+  
+  reset() {
+    this.history = [];
+    this.lastAcknowledgedSeq = 0;
+    this.errorOffset.set(0, 0, 0);
+  }
+}
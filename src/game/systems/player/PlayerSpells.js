@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { SPELL_TYPES, SPELL_LIFETIME, SHIELD_DURATION } from '../../../shared/spells';
 
 export class PlayerSpells {
   constructor(playerSystem) {
@@ -8,17 +9,24 @@ export class PlayerSpells {
     
     // Spell casting
     this.spellCooldown = 0;
-    this.spellTypes = [
-      { name: 'Fireball', color: 0xff3300, damage: 20, speed: 100, cooldown: 0.5 },
-      { name: 'Lightning', color: 0x33ccff, damage: 15, speed: 150, cooldown: 0.3 },
-      { name: 'Shield', color: 0xffcc00, damage: 0, speed: 0, cooldown: 2 }
-    ];
+    this.spellTypes = SPELL_TYPES;
     this.activeSpells = [];
+    
+    // Lets the server's hit events find the projectile they refer to
+    this.nextCastId = 1;
   }
   
   async initialize() {
     // Load spell assets or setup spell effects
     // In a real implementation, you might load particle textures, sound effects, etc.
+    
+    // Show projectiles cast by other players and bots
+    this.engine.systems.network.on('player_action', (data) => {
+      if (data.action === 'cast_spell' && data.playerId !== this.engine.systems.network.getLocalPlayerId()) {
+        this.handleRemoteCast(data);
+      }
+    });
+    
     console.log("Spell system initialized");
   }
   
@@ -38,19 +46,97 @@ export class PlayerSpells {
   
   castSpell() {
     const player = this.playerSystem.localPlayer;
-    if (!player || this.spellCooldown > 0) return;
+    if (!player || player.dead || this.spellCooldown > 0) return;
+    
+    // No fighting while the round's results are up
+    const match = this.engine.systems.network.getMatch();
+    if (match && match.phase === 'results') return;
     
     const spellType = this.spellTypes[player.currentSpell];
     
     // Set cooldown
     this.spellCooldown = spellType.cooldown;
     
+    const network = this.engine.systems.network;
+    
     // Handle shield spell separately
     if (spellType.name === 'Shield') {
-      this.createShieldEffect();
+      this.createShieldEffect(player);
+      network.sendPlayerAction('cast_spell', { spell: player.currentSpell });
       return;
     }
     
+    // Position in front of player
+    const spellOffset = new THREE.Vector3(0, 0, 2).applyEuler(player.rotation);
+    const position = player.position.clone().add(spellOffset);
+    
+    // Calculate direction from camera
+    const direction = new THREE.Vector3(0, 0, 1).applyEuler(player.rotation);
+    
+    const castId = this.nextCastId++;
+    this.createProjectile(player.currentSpell, position, direction, player.id, castId);
+    
+    // The server simulates the projectile and decides what it hits. It
+    // rewinds other carpets to viewTime, where we were drawing them.
+    network.sendPlayerAction('cast_spell', {
+      spell: player.currentSpell,
+      castId,
+      viewTime: this.playerSystem.interpolation.getRenderTime(),
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      dx: direction.x,
+      dy: direction.y,
+      dz: direction.z
+    });
+    
+    // Play sound effect
+    // this.playSound('spell');
+  }
+  
+  handleRemoteCast(data) {
+    const spellType = this.spellTypes[data.spell];
+    if (!spellType) return;
+    
+    if (spellType.name === 'Shield') {
+      const player = this.playerSystem.players.get(data.playerId);
+      if (player) this.createShieldEffect(player);
+      return;
+    }
+    
+    const position = new THREE.Vector3(data.x, data.y, data.z);
+    const direction = new THREE.Vector3(data.dx, data.dy, data.dz).normalize();
+    this.createProjectile(data.spell, position, direction, data.playerId, data.castId);
+  }
+  
+  // The server decided a projectile hit someone
+  handleSpellHit(data) {
+    const index = this.activeSpells.findIndex(spell =>
+      spell.userData.owner === data.ownerId && spell.userData.castId === data.castId
+    );
+    
+    let color = new THREE.Color(this.spellTypes[0].color);
+    if (index !== -1) {
+      const spell = this.activeSpells[index];
+      color = spell.material.color;
+      this.scene.remove(spell);
+      this.activeSpells.splice(index, 1);
+    }
+    
+    this.createImpactEffect(new THREE.Vector3(data.x, data.y, data.z), color);
+    
+    const target = this.playerSystem.players.get(data.targetId);
+    if (!target) return;
+    
+    target.health = data.health;
+    if (target.isLocal && this.engine.systems.ui) {
+      this.engine.systems.ui.updateHealthDisplay(target.health, target.maxHealth);
+    }
+  }
+  
+  createProjectile(spellIndex, position, direction, owner, castId) {
+    const spellType = this.spellTypes[spellIndex];
+    
     // Create spell projectile
     const geometry = new THREE.SphereGeometry(0.5, 8, 8);
     const material = new THREE.MeshBasicMaterial({
@@ -60,36 +146,30 @@ export class PlayerSpells {
     });
     
     const spell = new THREE.Mesh(geometry, material);
-    
-    // Position in front of player
-    const spellOffset = new THREE.Vector3(0, 0, 2).applyEuler(player.rotation);
-    spell.position.copy(player.position).add(spellOffset);
-    
-    // Calculate direction from camera
-    const direction = new THREE.Vector3(0, 0, 1).applyEuler(player.rotation);
+    spell.position.copy(position);
     
     spell.userData = {
       type: spellType.name,
+      spell: spellIndex,
       damage: spellType.damage,
-      velocity: direction.multiplyScalar(spellType.speed),
-      life: 3.0, // 3 seconds lifetime
-      owner: player.id
+      velocity: direction.clone().multiplyScalar(spellType.speed),
+      life: SPELL_LIFETIME,
+      owner,
+      castId
     };
     
     // Add to scene and active spells
     this.scene.add(spell);
     this.activeSpells.push(spell);
     
-    // Play sound effect
-    // this.playSound('spell');
-    
     // Create muzzle flash effect
     this.createMuzzleFlash(spell.position.clone(), spellType.color);
   }
   
-  createShieldEffect() {
-    const player = this.playerSystem.localPlayer;
-    if (!player) return;
+  createShieldEffect(player) {
+    if (player.shield) {
+      player.model.remove(player.shield.mesh);
+    }
     
     // Create shield geometry
     const geometry = new THREE.SphereGeometry(5, 16, 16);
@@ -108,7 +188,7 @@ export class PlayerSpells {
     // Add shield data
     player.shield = {
       mesh: shield,
-      duration: 3.0 // 3 seconds
+      duration: SHIELD_DURATION
     };
   }
   
@@ -270,9 +350,10 @@ export class PlayerSpells {
     }
     
     // Update shield duration
-    this.updateShield(delta);
+    this.updateShields(delta);
     
-    // Update active spell projectiles
+    // Update active spell projectiles. Hits on players are decided by
+    // the server (see handleSpellHit).
     for (let i = this.activeSpells.length - 1; i >= 0; i--) {
       const spell = this.activeSpells[i];
       
@@ -297,49 +378,25 @@ export class PlayerSpells {
         if (spell.position.y < terrainY) {
           this.createImpactEffect(spell.position.clone(), spell.material.color);
         }
-        continue;
       }
-      
-      // Check collision with players
-      this.playerSystem.players.forEach(player => {
-        if (player.id !== spell.userData.owner) {
-          const distance = player.position.distanceTo(spell.position);
-          if (distance < 3) { // Hit radius
-            // Apply damage
-            player.health -= spell.userData.damage;
-            player.health = Math.max(0, player.health);
-            
-            // Update UI if this is local player
-            if (player.isLocal && this.engine.systems.ui) {
-              this.engine.systems.ui.updateHealthDisplay(player.health, player.maxHealth);
-            }
-            
-            // Remove spell
-            this.scene.remove(spell);
-            this.activeSpells.splice(i, 1);
-            
-            // Create impact effect
-            this.createImpactEffect(spell.position.clone(), spell.material.color);
-          }
-        }
-      });
     }
   }
   
-  updateShield(delta) {
-    const player = this.playerSystem.localPlayer;
-    if (!player || !player.shield) return;
-    
-    player.shield.duration -= delta;
-    
-    // Pulse effect
-    const opacity = 0.3 + 0.2 * Math.sin(this.engine.elapsed * 5);
-    player.shield.mesh.material.opacity = opacity;
-    
-    if (player.shield.duration <= 0) {
-      // Remove shield
-      player.model.remove(player.shield.mesh);
-      player.shield = null;
-    }
+  updateShields(delta) {
+    this.playerSystem.players.forEach(player => {
+      if (!player.shield) return;
+      
+      player.shield.duration -= delta;
+      
+      // Pulse effect
+      const opacity = 0.3 + 0.2 * Math.sin(this.engine.elapsed * 5);
+      player.shield.mesh.material.opacity = opacity;
+      
+      if (player.shield.duration <= 0) {
+        // Remove shield
+        player.model.remove(player.shield.mesh);
+        player.shield = null;
+      }
+    });
   }
 }
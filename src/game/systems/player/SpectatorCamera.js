@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+
+// Camera for spectators, who watch a room without a carpet. It either
+// follows a player from behind or flies freely around the world.
+//   Q / E (or Left / Right) - previous / next player
+//   F                       - switch between follow and free camera
+//   W A S D, Space, Shift   - move the free camera; drag the mouse to look
+export class SpectatorCamera {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+    
+    this.active = false;
+    this.mode = 'follow';   // follow or free
+    this.targetId = null;
+    
+    // Free camera settings
+    this.freeSpeed = 80;            // Units per second
+    this.lookSensitivity = 0.004;   // Radians per pixel dragged
+    this.yaw = 0;
+    this.pitch = -0.3;
+    
+    this.position = new THREE.Vector3(0, 80, -60);
+    this.lookAt = new THREE.Vector3(0, 50, 0);
+    this.lastTouch = null;
+    this.unsubscribers = [];
+  }
+  
+  start() {
+    if (this.active) return;
+    this.active = true;
+    
+    const input = this.engine.input;
+    this.unsubscribers = [
+      input.on('keydown', (event) => this.handleKey(event)),
+      input.on('mousemove', () => this.handleMouseLook()),
+      input.on('touchstart', (event) => this.handleTouch(event, true)),
+      input.on('touchmove', (event) => this.handleTouch(event, false))
+    ];
+    
+    this.position.copy(this.engine.camera.position);
+    this.cycleTarget(1);
+  }
+  
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+  
+  handleKey(event) {
+    switch (event.code) {
+      case 'KeyQ':
+      case 'ArrowLeft':
+        this.cycleTarget(-1);
+        break;
+      case 'KeyE':
+      case 'ArrowRight':
+        this.cycleTarget(1);
+        break;
+      case 'KeyF':
+        this.setMode(this.mode === 'follow' ? 'free' : 'follow');
+        break;
+    }
+  }
+  
+  // Look around while a mouse button is held (or the pointer is locked)
+  handleMouseLook() {
+    const input = this.engine.input;
+    if (this.mode !== 'free' || (!input.pointerLocked && !input.mouse.buttons)) return;
+    
+    this.turn(input.mouse.dx, input.mouse.dy);
+  }
+  
+  handleTouch(event, started) {
+    if (this.mode !== 'free' || event.touches.length !== 1) {
+      this.lastTouch = null;
+      return;
+    }
+    
+    const touch = event.touches[0];
+    if (!started && this.lastTouch) {
+      this.turn(touch.clientX - this.lastTouch.x, touch.clientY - this.lastTouch.y);
+    }
+    this.lastTouch = { x: touch.clientX, y: touch.clientY };
+  }
+  
+  turn(dx, dy) {
+    this.yaw -= dx * this.lookSensitivity;
+    this.pitch = Math.max(-1.4, Math.min(1.4, this.pitch - dy * this.lookSensitivity));
+  }
+  
+  // Players we can follow, in room order
+  getFollowableIds() {
+    const info = this.engine.systems.network.getRoomInfo();
+    if (!info) return [];
+    
+    return info.players.filter(player => !player.away).map(player => player.id);
+  }
+  
+  cycleTarget(direction) {
+    const ids = this.getFollowableIds();
+    if (ids.length === 0) {
+      this.targetId = null;
+      return;
+    }
+    
+    const index = ids.indexOf(this.targetId);
+    const next = index === -1 ? 0 : (index + direction + ids.length) % ids.length;
+    this.targetId = ids[next];
+    this.mode = 'follow';
+  }
+  
+  setMode(mode) {
+    if (mode === 'free') {
+      // Carry on looking the way the follow camera was
+      const direction = new THREE.Vector3();
+      this.engine.camera.getWorldDirection(direction);
+      this.yaw = Math.atan2(direction.x, direction.z);
+      this.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+    } else if (!this.getFollowableIds().includes(this.targetId)) {
+      this.cycleTarget(1);
+    }
+    
+    this.mode = mode;
+  }
+  
+  // The player being followed, if it is within sight
+  getTarget() {
+    if (this.mode !== 'follow' || !this.targetId) return null;
+    return this.playerSystem.players.get(this.targetId) || null;
+  }
+  
+  getTargetName() {
+    const info = this.engine.systems.network.getRoomInfo();
+    const player = info && info.players.find(player => player.id === this.targetId);
+    return player ? player.name : null;
+  }
+  
+  update(delta) {
+    if (!this.active) return;
+    
+    // The followed player left; move on to someone else
+    if (this.mode === 'follow' && !this.getFollowableIds().includes(this.targetId)) {
+      this.cycleTarget(1);
+    }
+    
+    if (this.mode === 'follow') {
+      this.updateFollowCamera();
+    } else {
+      this.updateFreeCamera(delta);
+    }
+    
+    this.engine.camera.position.copy(this.position);
+    this.engine.camera.lookAt(this.lookAt);
+    
+    // The server sends us whatever is around the camera or the followed player
+    this.engine.systems.network.sendSpectatorUpdate({
+      x: this.position.x,
+      y: this.position.y,
+      z: this.position.z,
+      follow: this.mode === 'follow' ? this.targetId : null
+    });
+  }
+  
+  // Same chase view a pilot has of their own carpet
+  updateFollowCamera() {
+    const target = this.getTarget();
+    
+    // Hold still until the server brings the target into view
+    if (!target) return;
+    
+    const settings = this.playerSystem.cameraSettings;
+    const rotation = new THREE.Matrix4().makeRotationFromEuler(target.rotation);
+    const cameraOffset = new THREE.Vector3(0, settings.height, -settings.distance).applyMatrix4(rotation);
+    const lookAheadOffset = new THREE.Vector3(0, 0, settings.lookAhead).applyMatrix4(rotation);
+    
+    this.position.lerp(target.model.position.clone().add(cameraOffset), settings.smoothing);
+    this.lookAt.lerp(target.model.position.clone().add(lookAheadOffset), settings.smoothing);
+  }
+  
+  updateFreeCamera(delta) {
+    const input = this.engine.input;
+    
+    const forward = new THREE.Vector3(
+      Math.sin(this.yaw) * Math.cos(this.pitch),
+      Math.sin(this.pitch),
+      Math.cos(this.yaw) * Math.cos(this.pitch)
+    );
+    const right = new THREE.Vector3(-Math.cos(this.yaw), 0, Math.sin(this.yaw));
+    
+    const move = new THREE.Vector3();
+    if (input.isKeyDown('KeyW') || input.isKeyDown('ArrowUp')) move.add(forward);
+    if (input.isKeyDown('KeyS') || input.isKeyDown('ArrowDown')) move.sub(forward);
+    if (input.isKeyDown('KeyD')) move.add(right);
+    if (input.isKeyDown('KeyA')) move.sub(right);
+    if (input.isKeyDown('Space')) move.y += 1;
+    if (input.isKeyDown('ShiftLeft')) move.y -= 1;
+    
+    if (move.lengthSq() > 0) {
+      this.position.addScaledVector(move.normalize(), this.freeSpeed * delta);
+    }
+    
+    // Stay above the ground
+    const world = this.engine.systems.world;
+    this.position.y = Math.max(this.position.y, world.getTerrainHeight(this.position.x, this.position.z) + 3);
+    
+    this.lookAt.copy(this.position).add(forward);
+  }
+}
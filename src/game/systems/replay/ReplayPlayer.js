@@ -0,0 +1,182 @@
+import { EventEmitter } from '../../../utils/EventEmitter';
+import { REPLAY_FORMAT, REPLAY_VERSION } from './ReplayRecorder';
+
+// Effects and messages that only matter as they happen; skipped when seeking
+const TRANSIENT_EVENTS = new Set([
+  'spell_hit', 'player_action', 'local_action', 'chat', 'emote', 'chat_error', 'castle_delivery', 'castle_error'
+]);
+
+// The recording session's own connection, which means nothing on playback
+const IGNORED_EVENTS = new Set(['player_ack', 'reconnecting', 'disconnected', 'room_error', 'kicked']);
+
+// Plays a recording (see ReplayRecorder) back through NetworkManager, so
+// PlayerSystem, WorldSystem and the UI see the session as it happened. The
+// viewer watches as a spectator; the pilot who recorded it is shown as one
+// of the players.
+export class ReplayPlayer extends EventEmitter {
+  constructor(network) {
+    super();
+    this.network = network;
+    this.header = null;
+    this.entries = [];
+    this.duration = 0;
+    
+    this.time = 0;          // ms into the recording
+    this.index = 0;         // Next entry to play
+    this.speed = 1;
+    this.playing = false;
+    
+    this.clock = { time: 0, serverTime: 0, ping: 0 };
+    this.pilot = { id: null, name: null, joined: false };
+    this.knownPlayers = new Set();
+    this.lastInput = null;
+  }
+  
+  async load(file) {
+    let stream = file.stream();
+    const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    if (magic[0] === 0x1f && magic[1] === 0x8b) {
+      stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    }
+    
+    const [headerLine, ...lines] = (await new Response(stream).text()).split('\n');
+    const header = JSON.parse(headerLine);
+    if (header.format !== REPLAY_FORMAT) {
+      throw new Error('Not a replay file');
+    }
+    if (header.version > REPLAY_VERSION) {
+      throw new Error(`Replay version ${header.version} needs a newer game`);
+    }
+    
+    this.reset();
+    this.header = header;
+    this.entries = lines.filter(line => line).map(line => JSON.parse(line));
+    this.duration = this.entries.length > 0 ? this.entries[this.entries.length - 1][0] : 0;
+    this.playing = true;
+    
+    this.emit('loaded', header);
+  }
+  
+  // Back to an empty world at the start of the recording
+  reset() {
+    this.knownPlayers.forEach(id => this.network.emit('player_leave', { id }));
+    this.knownPlayers.clear();
+    
+    this.time = 0;
+    this.index = 0;
+    this.pilot = { id: null, name: null, joined: false };
+    this.lastInput = null;
+  }
+  
+  play() {
+    if (this.time >= this.duration) this.seek(0);
+    this.playing = true;
+  }
+  
+  pause() {
+    this.playing = false;
+  }
+  
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+  
+  // Going back replays the recording from the start without its effects
+  seek(time) {
+    time = Math.max(0, Math.min(this.duration, time));
+    if (time < this.time) this.reset();
+    
+    this.advance(time, true);
+  }
+  
+  update(delta) {
+    if (!this.playing) return;
+    
+    this.advance(Math.min(this.time + delta * 1000 * this.speed, this.duration), false);
+    if (this.time >= this.duration) this.playing = false;
+  }
+  
+  advance(time, seeking) {
+    while (this.index < this.entries.length && this.entries[this.index][0] <= time) {
+      const [entryTime, type, data] = this.entries[this.index++];
+      if (seeking && TRANSIENT_EVENTS.has(type)) continue;
+      
+      this.apply(entryTime, type, data);
+    }
+    this.time = time;
+  }
+  
+  // The server clock as the recording client estimated it
+  getServerTime() {
+    return this.clock.serverTime + (this.time - this.clock.time);
+  }
+  
+  getPing() {
+    return this.clock.ping;
+  }
+  
+  apply(time, type, data) {
+    const network = this.network;
+    
+    switch (type) {
+      case '_clock':
+        this.clock = { time, serverTime: data.serverTime, ping: data.ping };
+        return;
+      case 'connected':
+        // A fresh pilot after a dropped connection; the old carpet is gone
+        if (this.pilot.joined && data.id !== this.pilot.id) {
+          this.removePlayer(this.pilot.id);
+        }
+        this.pilot = { id: data.spectator ? null : data.id, name: data.name, joined: this.pilot.id === data.id && this.pilot.joined };
+        network.emit('connected', { ...data, spectator: true });
+        return;
+      case 'input':
+        this.lastInput = data;
+        return;
+      case 'local_update':
+        this.applyPilotUpdate(data);
+        return;
+      case 'local_action':
+        if (data.action === 'cast_spell' && this.pilot.id) {
+          network.emit('player_action', { ...data, playerId: this.pilot.id });
+        }
+        return;
+      case 'room_joined':
+      case 'room_update':
+        network.roomInfo = data;
+        break;
+      case 'game_state':
+        if (data.match) network.match = data.match;
+        if (data.seed !== undefined) network.worldSeed = data.seed;
+        break;
+      case 'player_join':
+        this.knownPlayers.add(data.id);
+        break;
+      case 'player_leave':
+        this.knownPlayers.delete(data.id);
+        break;
+    }
+    
+    if (!IGNORED_EVENTS.has(type)) {
+      network.emit(type, data);
+    }
+  }
+  
+  // The recording pilot's carpet moves like any other player's
+  applyPilotUpdate(data) {
+    if (!this.pilot.id || data.id !== this.pilot.id) return;
+    
+    if (!this.pilot.joined) {
+      this.pilot.joined = true;
+      this.knownPlayers.add(data.id);
+      this.network.emit('player_join', { ...data, name: this.pilot.name });
+    }
+    
+    this.network.emit('player_update', data);
+  }
+  
+  removePlayer(id) {
+    this.knownPlayers.delete(id);
+    this.network.emit('player_leave', { id });
+  }
+}
@@ -0,0 +1,80 @@
+// Records everything NetworkManager tells the game, plus our own carpet and
+// the inputs that flew it, so a session can be watched again in the replay
+// viewer (?replay).
+//
+// A replay file is gzipped JSON lines: a header, then one
+// [ms since start, type, data] entry per line.
+
+export const REPLAY_FORMAT = 'vibe-carpet-replay';
+export const REPLAY_VERSION = 1;
+
+// Three decimals are plenty for positions and angles and keep files small
+function roundNumbers(key, value) {
+  return typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+export class ReplayRecorder {
+  constructor(network, options = {}) {
+    this.network = network;
+    this.maxDuration = options.maxDuration || 15 * 60 * 1000; // ms; long sessions stop recording
+    this.clockInterval = 500;   // ms between server clock samples
+    this.start();
+  }
+  
+  start() {
+    this.startTime = performance.now();
+    this.startedAt = new Date().toISOString();
+    this.entries = [];
+    this.lastClockSample = -Infinity;
+    this.full = false;
+  }
+  
+  getDuration() {
+    return performance.now() - this.startTime;
+  }
+  
+  record(type, data) {
+    if (this.full) return;
+    
+    const time = this.getDuration();
+    if (time > this.maxDuration) {
+      this.full = true;
+      console.warn('Replay recording is full; save it to keep what was recorded');
+      return;
+    }
+    
+    // Remote carpets are drawn on the server clock, so the viewer needs it too
+    if (time - this.lastClockSample >= this.clockInterval) {
+      this.lastClockSample = time;
+      this.push(time, '_clock', { serverTime: this.network.getServerTime(), ping: this.network.getPing() });
+    }
+    
+    this.push(time, type, data);
+  }
+  
+  // Entries are serialized right away; the objects NetworkManager emits
+  // keep changing after the event
+  push(time, type, data) {
+    this.entries.push(`[${Math.round(time)},${JSON.stringify(type)},${JSON.stringify(data === undefined ? null : data, roundNumbers)}]`);
+  }
+  
+  async save() {
+    const header = JSON.stringify({
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      startedAt: this.startedAt,
+      room: this.network.getRoomCode()
+    });
+    let blob = new Blob([[header, ...this.entries].join('\n')], { type: 'application/x-ndjson' });
+    
+    if (typeof CompressionStream !== 'undefined') {
+      blob = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    }
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `vibe-carpet-${this.network.getRoomCode() || 'session'}-${this.startedAt.replace(/[:.]/g, '-')}.replay`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+}
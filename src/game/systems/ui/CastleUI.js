@@ -0,0 +1,103 @@
+import { CASTLE_TIERS } from '../../../shared/castles';
+
+// The castle of whoever we are flying or watching, under the ping: its
+// tier, stored mana and walls. Pilots without one get a button (or C) to
+// found one where they are.
+export class CastleUI {
+  constructor(uiSystem) {
+    this.uiSystem = uiSystem;
+    this.engine = uiSystem.engine;
+    this.shown = null; // What the panel last showed, to skip unchanged frames
+  }
+  
+  initialize() {
+    this.createPanel();
+  }
+  
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '110px';
+    panel.style.right = '20px';
+    panel.style.width = '170px';
+    panel.style.padding = '8px 10px';
+    panel.style.background = 'rgba(0, 0, 30, 0.7)';
+    panel.style.borderRadius = '5px';
+    panel.style.boxShadow = '0 0 10px rgba(184, 173, 154, 0.5)';
+    panel.style.fontSize = '13px';
+    panel.style.display = 'none';
+    
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    
+    const stored = document.createElement('div');
+    stored.style.fontSize = '12px';
+    stored.style.opacity = '0.8';
+    stored.style.margin = '2px 0 5px 0';
+    
+    const wallsTrack = document.createElement('div');
+    wallsTrack.style.height = '6px';
+    wallsTrack.style.background = 'rgba(255, 255, 255, 0.15)';
+    wallsTrack.style.borderRadius = '3px';
+    
+    const walls = document.createElement('div');
+    walls.style.height = '100%';
+    walls.style.borderRadius = '3px';
+    wallsTrack.appendChild(walls);
+    
+    const button = document.createElement('button');
+    button.textContent = 'Found castle (C)';
+    button.style.width = '100%';
+    button.style.marginTop = '6px';
+    button.style.padding = '4px';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.background = '#b8ad9a';
+    button.style.color = '#1a1408';
+    button.style.cursor = 'pointer';
+    button.style.pointerEvents = 'auto';
+    button.addEventListener('click', () => this.engine.systems.world.castles.found());
+    
+    panel.appendChild(title);
+    panel.appendChild(stored);
+    panel.appendChild(wallsTrack);
+    panel.appendChild(button);
+    this.uiSystem.container.appendChild(panel);
+    
+    this.elements = { panel, title, stored, wallsTrack, walls, button };
+  }
+  
+  update() {
+    const viewed = this.engine.systems.player.getViewedPlayer();
+    const castle = viewed ? this.engine.systems.world.castles.get(viewed.id) : null;
+    const key = viewed && JSON.stringify(castle);
+    if (key === this.shown) return;
+    this.shown = key;
+    
+    const { panel, title, stored, wallsTrack, walls, button } = this.elements;
+    if (!viewed) {
+      panel.style.display = 'none';
+      return;
+    }
+    panel.style.display = 'block';
+    
+    // Only our own pilot can found a castle
+    if (!castle) {
+      title.textContent = 'No castle';
+      stored.textContent = viewed.isLocal ? 'Found one on dry land to store your mana' : '';
+      wallsTrack.style.display = 'none';
+      button.style.display = viewed.isLocal ? 'block' : 'none';
+      return;
+    }
+    
+    const next = CASTLE_TIERS[castle.tier + 1];
+    title.textContent = CASTLE_TIERS[castle.tier].name;
+    stored.textContent = next ? `${castle.mana} mana · ${next.name} at ${next.mana}` : `${castle.mana} mana`;
+    
+    const health = castle.health / castle.maxHealth;
+    wallsTrack.style.display = 'block';
+    walls.style.width = `${health * 100}%`;
+    walls.style.background = health > 0.6 ? '#b8ad9a' : (health > 0.3 ? '#ffcc00' : '#ff3300');
+    button.style.display = 'none';
+  }
+}
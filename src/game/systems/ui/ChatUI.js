@@ -0,0 +1,280 @@
+import * as THREE from 'three';
+import { CHAT_MAX_LENGTH, EMOTES } from '../../../shared/emotes';
+
+export class ChatUI {
+  constructor(uiSystem) {
+    this.uiSystem = uiSystem;
+    this.engine = uiSystem.engine;
+    
+    this.isOpen = false;
+    this.maxLines = 50;
+    this.lineLifetime = 10;   // Seconds a line stays visible while chat is closed
+    this.bubbleLifetime = 3;  // Seconds an emote floats above a carpet
+    this.bubbles = [];
+    this.screenPosition = new THREE.Vector3();
+  }
+  
+  initialize() {
+    this.createChatPanel();
+    this.createEmoteWheel();
+    
+    const network = this.engine.systems.network;
+    network.on('chat', (data) => this.addLine(data.name, data.text, data.playerId));
+    
+    network.on('emote', (data) => {
+      const emote = EMOTES.find(emote => emote.id === data.emote);
+      if (!emote) return;
+      
+      this.addLine(data.name, `${emote.icon} ${emote.text}`, data.playerId);
+      this.showBubble(data.playerId, emote.icon);
+    });
+    
+    network.on('chat_error', () => {
+      this.addLine(null, 'You are sending messages too quickly.');
+    });
+    
+    // Enter opens chat, T the emote wheel
+    window.addEventListener('keydown', (event) => {
+      if (this.isOpen || event.target instanceof HTMLInputElement) return;
+      
+      if (event.code === 'Enter') {
+        event.preventDefault();
+        this.open();
+      } else if (event.code === 'KeyT') {
+        this.toggleEmoteWheel();
+      }
+    });
+  }
+  
+  createChatPanel() {
+    // Chat log on the left, under the minimap
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '190px';
+    panel.style.left = '20px';
+    panel.style.width = '300px';
+    panel.style.maxWidth = '60vw';
+    panel.style.fontSize = '13px';
+    
+    const log = document.createElement('div');
+    log.style.maxHeight = '200px';
+    log.style.overflowY = 'hidden';
+    log.style.display = 'flex';
+    log.style.flexDirection = 'column';
+    log.style.gap = '2px';
+    
+    const input = this.uiSystem.createLobbyInput();
+    input.maxLength = CHAT_MAX_LENGTH;
+    input.placeholder = 'Say something (Enter to send, Esc to close)';
+    input.style.width = '100%';
+    input.style.boxSizing = 'border-box';
+    input.style.marginTop = '6px';
+    input.style.pointerEvents = 'auto';
+    input.style.display = 'none';
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        const text = input.value.trim();
+        if (text) this.engine.systems.network.sendChat(text);
+        this.close();
+      } else if (event.key === 'Escape') {
+        this.close();
+      }
+    });
+    input.addEventListener('blur', () => this.close());
+    
+    panel.appendChild(log);
+    panel.appendChild(input);
+    this.uiSystem.container.appendChild(panel);
+    
+    this.elements = { panel, log, input };
+  }
+  
+  createEmoteWheel() {
+    // Button above the spell slots; works with mouse and touch alike
+    const button = document.createElement('div');
+    button.textContent = '😀';
+    button.style.position = 'absolute';
+    button.style.bottom = '90px';
+    button.style.right = '20px';
+    button.style.width = '44px';
+    button.style.height = '44px';
+    button.style.borderRadius = '50%';
+    button.style.background = 'rgba(0, 0, 30, 0.7)';
+    button.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    button.style.display = 'flex';
+    button.style.alignItems = 'center';
+    button.style.justifyContent = 'center';
+    button.style.fontSize = '22px';
+    button.style.cursor = 'pointer';
+    button.style.pointerEvents = 'auto';
+    this.keepTouchFromFlying(button);
+    button.addEventListener('pointerdown', (event) => {
+      event.stopPropagation();
+      this.toggleEmoteWheel();
+    });
+    
+    // Emotes laid out in a ring in the middle of the screen
+    const wheel = document.createElement('div');
+    wheel.style.position = 'absolute';
+    wheel.style.top = '50%';
+    wheel.style.left = '50%';
+    wheel.style.width = '0';
+    wheel.style.height = '0';
+    wheel.style.display = 'none';
+    wheel.style.zIndex = '15';
+    
+    const radius = 100;
+    EMOTES.forEach((emote, index) => {
+      const angle = (index / EMOTES.length) * Math.PI * 2 - Math.PI / 2;
+      
+      const item = document.createElement('div');
+      item.textContent = emote.icon;
+      item.title = emote.text;
+      item.style.position = 'absolute';
+      item.style.left = `${Math.cos(angle) * radius - 28}px`;
+      item.style.top = `${Math.sin(angle) * radius - 28}px`;
+      item.style.width = '56px';
+      item.style.height = '56px';
+      item.style.borderRadius = '50%';
+      item.style.background = 'rgba(0, 0, 30, 0.85)';
+      item.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.6)';
+      item.style.display = 'flex';
+      item.style.alignItems = 'center';
+      item.style.justifyContent = 'center';
+      item.style.fontSize = '28px';
+      item.style.cursor = 'pointer';
+      item.style.pointerEvents = 'auto';
+      this.keepTouchFromFlying(item);
+      item.addEventListener('pointerdown', (event) => {
+        event.stopPropagation();
+        this.engine.systems.network.sendEmote(emote.id);
+        this.toggleEmoteWheel(false);
+      });
+      
+      wheel.appendChild(item);
+    });
+    
+    this.uiSystem.container.appendChild(button);
+    this.uiSystem.container.appendChild(wheel);
+    this.elements.emoteButton = button;
+    this.elements.emoteWheel = wheel;
+  }
+  
+  // Touches on our buttons must not reach the flight joystick
+  keepTouchFromFlying(element) {
+    element.addEventListener('touchstart', (event) => event.stopPropagation());
+    element.addEventListener('touchend', (event) => event.stopPropagation());
+    element.addEventListener('touchmove', (event) => event.stopPropagation());
+  }
+  
+  toggleEmoteWheel(show) {
+    const wheel = this.elements.emoteWheel;
+    const visible = show !== undefined ? show : wheel.style.display === 'none';
+    wheel.style.display = visible ? 'block' : 'none';
+  }
+  
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    
+    // Keys held down when the chat opens would otherwise stay held
+    this.engine.input.releaseKeys();
+    
+    const { input, log } = this.elements;
+    input.style.display = 'block';
+    input.value = '';
+    input.focus();
+    
+    Array.from(log.children).forEach(line => {
+      line.style.display = 'block';
+    });
+  }
+  
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    
+    const input = this.elements.input;
+    input.style.display = 'none';
+    input.blur();
+  }
+  
+  addLine(name, text, playerId = null) {
+    const line = document.createElement('div');
+    line.style.padding = '3px 6px';
+    line.style.background = 'rgba(0, 0, 30, 0.6)';
+    line.style.borderRadius = '4px';
+    line.style.wordBreak = 'break-word';
+    
+    if (name) {
+      const nameSpan = document.createElement('span');
+      nameSpan.textContent = `${name}: `;
+      nameSpan.style.fontWeight = 'bold';
+      nameSpan.style.color = playerId === this.engine.systems.network.getLocalPlayerId() ? '#e0aaff' : '#00ffff';
+      line.appendChild(nameSpan);
+    } else {
+      line.style.fontStyle = 'italic';
+      line.style.opacity = '0.8';
+    }
+    line.appendChild(document.createTextNode(text));
+    line.expiresAt = this.engine.elapsed + this.lineLifetime;
+    
+    const log = this.elements.log;
+    log.appendChild(line);
+    while (log.children.length > this.maxLines) {
+      log.removeChild(log.firstChild);
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+  
+  showBubble(playerId, icon) {
+    const element = document.createElement('div');
+    element.textContent = icon;
+    element.style.position = 'absolute';
+    element.style.fontSize = '32px';
+    element.style.transform = 'translate(-50%, -100%)';
+    element.style.textShadow = '0 0 8px rgba(0, 0, 0, 0.6)';
+    element.style.display = 'none';
+    
+    this.uiSystem.container.appendChild(element);
+    this.bubbles.push({ playerId, element, expiresAt: this.engine.elapsed + this.bubbleLifetime });
+  }
+  
+  update() {
+    const now = this.engine.elapsed;
+    
+    // Old lines fade out unless the chat is open
+    if (!this.isOpen) {
+      Array.from(this.elements.log.children).forEach(line => {
+        line.style.display = now < line.expiresAt ? 'block' : 'none';
+      });
+    }
+    
+    // Keep emote bubbles above their carpets
+    const players = this.engine.systems.player.players;
+    const camera = this.engine.camera;
+    
+    this.bubbles = this.bubbles.filter(bubble => {
+      const player = players.get(bubble.playerId);
+      if (!player || now >= bubble.expiresAt) {
+        bubble.element.remove();
+        return false;
+      }
+      
+      this.screenPosition.copy(player.model.position);
+      this.screenPosition.y += 4;
+      this.screenPosition.project(camera);
+      
+      // Behind the camera
+      if (this.screenPosition.z > 1) {
+        bubble.element.style.display = 'none';
+        return true;
+      }
+      
+      bubble.element.style.display = 'block';
+      bubble.element.style.left = `${(this.screenPosition.x + 1) / 2 * window.innerWidth}px`;
+      bubble.element.style.top = `${(1 - this.screenPosition.y) / 2 * window.innerHeight}px`;
+      return true;
+    });
+  }
+}
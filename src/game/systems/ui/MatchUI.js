@@ -0,0 +1,197 @@
+const PHASE_LABELS = {
+  warmup: 'Warmup',
+  active: 'Round',
+  overtime: 'Overtime',
+  results: 'Results'
+};
+
+export class MatchUI {
+  constructor(uiSystem) {
+    this.uiSystem = uiSystem;
+    this.engine = uiSystem.engine;
+    this.phase = null;
+    this.pluralRules = new Intl.PluralRules('en', { type: 'ordinal' });
+  }
+  
+  initialize() {
+    this.createClock();
+    this.createResultsPanel();
+    
+    this.engine.systems.network.on('game_state', (data) => {
+      if (data.match) this.handleMatchState(data.match);
+    });
+  }
+  
+  createClock() {
+    // Phase and time left at the top of the screen
+    const clock = document.createElement('div');
+    clock.style.position = 'absolute';
+    clock.style.top = '20px';
+    clock.style.left = '50%';
+    clock.style.transform = 'translateX(-50%)';
+    clock.style.padding = '6px 14px';
+    clock.style.background = 'rgba(0, 0, 30, 0.7)';
+    clock.style.borderRadius = '5px';
+    clock.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    clock.style.textAlign = 'center';
+    clock.style.display = 'none';
+    
+    const time = document.createElement('div');
+    time.style.fontSize = '20px';
+    time.style.fontWeight = 'bold';
+    time.style.fontVariantNumeric = 'tabular-nums';
+    
+    const score = document.createElement('div');
+    score.style.fontSize = '12px';
+    score.style.opacity = '0.8';
+    
+    clock.appendChild(time);
+    clock.appendChild(score);
+    this.uiSystem.container.appendChild(clock);
+    
+    this.elements = { clock, time, score };
+  }
+  
+  createResultsPanel() {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '50%';
+    panel.style.left = '50%';
+    panel.style.transform = 'translate(-50%, -50%)';
+    panel.style.width = '360px';
+    panel.style.maxWidth = '90vw';
+    panel.style.padding = '20px';
+    panel.style.background = 'rgba(0, 0, 30, 0.9)';
+    panel.style.borderRadius = '10px';
+    panel.style.boxShadow = '0 0 20px rgba(224, 170, 255, 0.6)';
+    panel.style.display = 'none';
+    panel.style.zIndex = '12';
+    
+    const title = document.createElement('div');
+    title.style.fontSize = '22px';
+    title.style.fontWeight = 'bold';
+    title.style.textAlign = 'center';
+    title.style.textShadow = '0 0 5px rgba(224, 170, 255, 0.8)';
+    
+    const winner = document.createElement('div');
+    winner.style.fontSize = '16px';
+    winner.style.textAlign = 'center';
+    winner.style.margin = '6px 0 12px 0';
+    winner.style.color = '#ffcc00';
+    
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '14px';
+    
+    const countdown = document.createElement('div');
+    countdown.style.fontSize = '13px';
+    countdown.style.opacity = '0.7';
+    countdown.style.textAlign = 'center';
+    countdown.style.marginTop = '12px';
+    
+    panel.appendChild(title);
+    panel.appendChild(winner);
+    panel.appendChild(table);
+    panel.appendChild(countdown);
+    this.uiSystem.container.appendChild(panel);
+    
+    this.elements.results = { panel, title, winner, table, countdown };
+  }
+  
+  handleMatchState(match) {
+    const changed = match.phase !== this.phase;
+    this.phase = match.phase;
+    
+    if (match.phase === 'results') {
+      this.showResults(match);
+    } else {
+      this.elements.results.panel.style.display = 'none';
+    }
+    
+    if (!changed) return;
+    
+    const announcements = {
+      warmup: `Warmup: round ${match.round} starts soon`,
+      active: `Round ${match.round}: collect mana, build your castle and shoot down rivals!`,
+      overtime: 'Overtime! The next point wins'
+    };
+    if (announcements[match.phase]) {
+      this.uiSystem.showMessage(announcements[match.phase], 3);
+    }
+  }
+  
+  showResults(match) {
+    const { panel, title, winner, table } = this.elements.results;
+    const standings = match.results || [];
+    const localId = this.engine.systems.network.getLocalPlayerId();
+    
+    title.textContent = `Round ${match.round} results`;
+    if (standings.length === 0) {
+      winner.textContent = 'Nobody played';
+    } else if (standings.length > 1 && standings[0].score === standings[1].score) {
+      winner.textContent = 'Draw!';
+    } else {
+      winner.textContent = standings[0].id === localId ? 'You win!' : `${standings[0].name} wins!`;
+    }
+    
+    table.innerHTML = '';
+    const header = table.insertRow();
+    ['#', 'Pilot', 'Mana', 'Castle', 'Kills', 'Score'].forEach((label, index) => {
+      const cell = header.insertCell();
+      cell.textContent = label;
+      cell.style.opacity = '0.6';
+      cell.style.paddingBottom = '4px';
+      cell.style.textAlign = index > 1 ? 'right' : 'left';
+    });
+    
+    standings.forEach((entry, rank) => {
+      const row = table.insertRow();
+      row.style.borderTop = '1px solid rgba(255, 255, 255, 0.1)';
+      if (entry.id === localId) row.style.color = '#e0aaff';
+      
+      [rank + 1, entry.isBot ? `${entry.name} (bot)` : entry.name, entry.mana, entry.castle, entry.eliminations, entry.score].forEach((value, index) => {
+        const cell = row.insertCell();
+        cell.textContent = value;
+        cell.style.padding = '3px 0';
+        cell.style.textAlign = index > 1 ? 'right' : 'left';
+      });
+    });
+    
+    panel.style.display = 'block';
+  }
+  
+  // "2nd" from 2
+  ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return n + suffixes[this.pluralRules.select(n)];
+  }
+  
+  update() {
+    const network = this.engine.systems.network;
+    const match = network.getMatch();
+    if (!match) return;
+    this.elements.clock.style.display = 'block';
+    
+    const secondsLeft = Math.max(0, Math.ceil((match.endsAt - network.getServerTime()) / 1000));
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    
+    const label = match.phase === 'active' ? `${PHASE_LABELS.active} ${match.round}` : PHASE_LABELS[match.phase];
+    this.elements.clock.style.color = match.phase === 'overtime' || (match.phase === 'active' && secondsLeft <= 10) ?
+      '#ff6699' :
+      'white';
+    this.elements.time.textContent = `${label} ${minutes}:${seconds}`;
+    
+    // Score and rank of whoever we are flying or watching
+    const viewed = this.engine.systems.player.getViewedPlayer();
+    const rank = viewed ? match.scores.findIndex(entry => entry.id === viewed.id) : -1;
+    this.elements.score.textContent = rank === -1 ?
+      '' :
+      `Score ${match.scores[rank].score} · ${this.ordinal(rank + 1)} of ${match.scores.length}`;
+    
+    if (match.phase === 'results') {
+      this.elements.results.countdown.textContent = `Next round in ${secondsLeft}s`;
+    }
+  }
+}
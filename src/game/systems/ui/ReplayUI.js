@@ -0,0 +1,217 @@
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Saving the session being recorded, and the playback controls of the
+// replay viewer (?replay)
+export class ReplayUI {
+  constructor(uiSystem) {
+    this.uiSystem = uiSystem;
+    this.engine = uiSystem.engine;
+    this.scrubbing = false;
+  }
+  
+  initialize() {
+    const network = this.engine.systems.network;
+    if (network.isReplay()) {
+      this.createReplayBar();
+    } else if (network.recorder) {
+      this.createSaveButton();
+    }
+  }
+  
+  createSaveButton() {
+    const lobby = this.uiSystem.elements.lobby;
+    
+    const saveButton = this.uiSystem.createLobbyButton('Save replay');
+    saveButton.style.width = '100%';
+    saveButton.style.marginBottom = '12px';
+    saveButton.addEventListener('click', () => this.save());
+    lobby.panel.insertBefore(saveButton, lobby.startButton);
+    
+    // F8 saves without opening the lobby
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'F8') {
+        event.preventDefault();
+        this.save();
+      }
+    });
+  }
+  
+  async save() {
+    try {
+      await this.engine.systems.network.recorder.save();
+      this.uiSystem.showMessage('Replay saved', 2);
+    } catch (error) {
+      console.error('Could not save replay:', error);
+      this.uiSystem.showMessage('Could not save the replay', 3);
+    }
+  }
+  
+  createReplayBar() {
+    const replay = this.engine.systems.network.replay;
+    
+    // Playback controls along the bottom of the screen
+    const bar = document.createElement('div');
+    bar.style.position = 'absolute';
+    bar.style.bottom = '20px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.width = '560px';
+    bar.style.maxWidth = '90vw';
+    bar.style.padding = '8px 12px';
+    bar.style.background = 'rgba(0, 0, 30, 0.7)';
+    bar.style.borderRadius = '5px';
+    bar.style.boxShadow = '0 0 10px rgba(224, 170, 255, 0.5)';
+    bar.style.pointerEvents = 'auto';
+    bar.style.zIndex = '11';
+    
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.alignItems = 'center';
+    controls.style.gap = '8px';
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.replay,.jsonl';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.open(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    
+    const openButton = this.uiSystem.createLobbyButton('Open…');
+    openButton.addEventListener('click', () => fileInput.click());
+    
+    const playButton = this.uiSystem.createLobbyButton('▶');
+    playButton.style.width = '36px';
+    playButton.addEventListener('click', () => this.togglePlayback());
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '0';
+    slider.step = '100';
+    slider.value = '0';
+    slider.style.flex = '1';
+    slider.addEventListener('pointerdown', () => { this.scrubbing = true; });
+    slider.addEventListener('change', () => { this.scrubbing = false; });
+    slider.addEventListener('input', () => replay.seek(Number(slider.value)));
+    
+    const time = document.createElement('span');
+    time.style.fontSize = '13px';
+    time.style.fontVariantNumeric = 'tabular-nums';
+    time.style.whiteSpace = 'nowrap';
+    
+    const speedSelect = document.createElement('select');
+    speedSelect.style.background = 'rgba(0, 0, 30, 0.9)';
+    speedSelect.style.color = 'white';
+    speedSelect.style.border = '1px solid rgba(224, 170, 255, 0.5)';
+    speedSelect.style.borderRadius = '4px';
+    SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.value = '1';
+    speedSelect.addEventListener('change', () => replay.setSpeed(Number(speedSelect.value)));
+    
+    // What the recording pilot was pressing
+    const inputText = document.createElement('div');
+    inputText.style.fontSize = '12px';
+    inputText.style.opacity = '0.8';
+    inputText.style.marginTop = '6px';
+    inputText.textContent = 'Open a replay file, or drop one onto the page';
+    
+    // Clicks and taps on the bar must not reach the game
+    [openButton, playButton, slider, speedSelect].forEach(control => {
+      control.addEventListener('touchstart', (event) => event.stopPropagation());
+      control.addEventListener('touchend', (event) => event.stopPropagation());
+      control.addEventListener('keydown', (event) => event.stopPropagation());
+    });
+    
+    controls.appendChild(openButton);
+    controls.appendChild(playButton);
+    controls.appendChild(slider);
+    controls.appendChild(time);
+    controls.appendChild(speedSelect);
+    bar.appendChild(fileInput);
+    bar.appendChild(controls);
+    bar.appendChild(inputText);
+    this.uiSystem.container.appendChild(bar);
+    
+    this.elements = { playButton, slider, time, inputText };
+    
+    window.addEventListener('dragover', (event) => event.preventDefault());
+    window.addEventListener('drop', (event) => {
+      event.preventDefault();
+      if (event.dataTransfer.files[0]) this.open(event.dataTransfer.files[0]);
+    });
+    
+    // P plays and pauses; Space flies the free camera
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'KeyP' && !(event.target instanceof HTMLInputElement)) {
+        this.togglePlayback();
+      }
+    });
+  }
+  
+  async open(file) {
+    const replay = this.engine.systems.network.replay;
+    
+    try {
+      await replay.load(file);
+    } catch (error) {
+      console.error('Could not open replay:', error);
+      this.uiSystem.showMessage(`Could not open ${file.name}: ${error.message}`, 4);
+      return;
+    }
+    
+    const { header } = replay;
+    const started = new Date(header.startedAt).toLocaleString();
+    this.uiSystem.showMessage(header.room ? `Room ${header.room}, ${started}` : started, 3);
+    this.elements.slider.max = String(replay.duration);
+  }
+  
+  togglePlayback() {
+    const replay = this.engine.systems.network.replay;
+    if (!replay.header) return;
+    
+    if (replay.playing) {
+      replay.pause();
+    } else {
+      replay.play();
+    }
+  }
+  
+  // "1:05" from 65000 ms
+  formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+  
+  describeInput(input) {
+    const controls = [];
+    if (input.forward > 0) controls.push('forward');
+    if (input.forward < 0) controls.push('back');
+    if (input.right > 0) controls.push('right');
+    if (input.right < 0) controls.push('left');
+    if (input.up > 0) controls.push('climb');
+    if (input.up < 0) controls.push('dive');
+    if (input.boost) controls.push('boost');
+    return controls.length > 0 ? controls.join(' · ') : 'no input';
+  }
+  
+  update() {
+    const replay = this.engine.systems.network.replay;
+    if (!replay || !replay.header) return;
+    
+    const { playButton, slider, time, inputText } = this.elements;
+    playButton.textContent = replay.playing ? '❚❚' : '▶';
+    time.textContent = `${this.formatTime(replay.time)} / ${this.formatTime(replay.duration)}`;
+    if (!this.scrubbing) slider.value = String(replay.time);
+    
+    inputText.textContent = replay.pilot.name && replay.lastInput ?
+      `${replay.pilot.name}: ${this.describeInput(replay.lastInput)}` :
+      '';
+  }
+}
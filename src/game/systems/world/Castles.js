@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { CASTLE_KEEP_HEIGHT, CASTLE_TIERS } from '../../../shared/castles';
+
+// Draws the room's castles (see server/CastleSystem.js): each is rebuilt
+// when it grows into a new tier, and its stone darkens as the walls are
+// worn down. Mana delivered to a castle streams in from its owner's carpet.
+export class Castles {
+  constructor(worldSystem) {
+    this.worldSystem = worldSystem;
+    this.engine = worldSystem.engine;
+    this.scene = worldSystem.scene;
+    
+    this.castles = new Map();  // owner id -> { data, group, tier, stone }
+    this.wallDepth = 6;        // Walls reach this far below the ground, for slopes
+    
+    this.stoneColors = {
+      intact: new THREE.Color(0xb8ad9a),
+      ruined: new THREE.Color(0x3d3631)
+    };
+    this.roofMaterial = new THREE.MeshStandardMaterial({ color: 0x5b3a7a, roughness: 0.8 });
+    this.flagColor = new THREE.Color();
+  }
+  
+  initialize() {
+    const network = this.engine.systems.network;
+    network.on('castles', (data) => {
+      this.setCastles(data.castles, data.reset);
+    });
+    
+    network.on('castle_removed', (data) => {
+      this.handleRemoved(data);
+    });
+    
+    network.on('castle_delivery', (data) => {
+      this.showDelivery(data.ownerId);
+    });
+    
+    network.on('castle_error', (data) => {
+      this.showError(data.reason);
+    });
+  }
+  
+  get(ownerId) {
+    const castle = this.castles.get(ownerId);
+    return castle ? castle.data : null;
+  }
+  
+  // Found a castle where we are flying; the server says if we can't
+  found() {
+    const network = this.engine.systems.network;
+    if (network.isSpectating() || network.isReplay()) return;
+    
+    network.sendPlayerAction('found_castle', {});
+  }
+  
+  // A reset replaces every castle, e.g. on joining or a new round
+  setCastles(castles, reset) {
+    if (reset) {
+      this.castles.forEach((castle, ownerId) => this.removeCastle(ownerId));
+    }
+    
+    castles.forEach(data => this.updateCastle(data));
+  }
+  
+  updateCastle(data) {
+    let castle = this.castles.get(data.ownerId);
+    const localId = this.engine.systems.network.getLocalPlayerId();
+    
+    if (!castle) {
+      castle = { data, group: null, tier: -1, stone: this.createStoneMaterial() };
+      this.castles.set(data.ownerId, castle);
+      if (data.ownerId === localId) this.showMessage('Your castle is founded. Fly over it to store your mana');
+    } else if (data.tier > castle.tier && data.ownerId === localId) {
+      this.showMessage(`Your castle grew into a ${CASTLE_TIERS[data.tier].name}!`);
+    }
+    castle.data = data;
+    
+    if (data.tier !== castle.tier) {
+      if (castle.group) this.disposeGroup(castle.group);
+      castle.group = this.buildCastle(data, castle.stone);
+      castle.tier = data.tier;
+      this.scene.add(castle.group);
+    }
+    
+    castle.group.position.set(data.x, data.y, data.z);
+    castle.stone.color.copy(this.stoneColors.ruined).lerp(this.stoneColors.intact, data.health / data.maxHealth);
+  }
+  
+  removeCastle(ownerId) {
+    const castle = this.castles.get(ownerId);
+    if (!castle) return;
+    
+    this.disposeGroup(castle.group);
+    castle.stone.dispose();
+    this.castles.delete(ownerId);
+  }
+  
+  handleRemoved({ ownerId, razedBy, loot }) {
+    const castle = this.castles.get(ownerId);
+    if (!castle) return;
+    
+    const { name } = castle.data;
+    const localId = this.engine.systems.network.getLocalPlayerId();
+    if (castle.group) {
+      const top = castle.group.position.clone();
+      top.y += CASTLE_TIERS[castle.tier].height;
+      this.engine.systems.player.spells.createImpactEffect(top, this.stoneColors.intact);
+    }
+    this.removeCastle(ownerId);
+    
+    if (!razedBy) return;
+    if (ownerId === localId) {
+      const raider = this.engine.systems.player.players.get(razedBy);
+      this.showMessage(`Your castle was razed${raider && raider.name ? ` by ${raider.name}` : ''}!`);
+    } else if (razedBy === localId) {
+      this.showMessage(`You razed ${name}'s castle and took ${loot} mana!`);
+    }
+  }
+  
+  // Mana streams from the carpet down into the keep
+  showDelivery(ownerId) {
+    const castle = this.castles.get(ownerId);
+    const carpet = this.engine.systems.player.players.get(ownerId);
+    if (!castle || !carpet) return;
+    
+    const keep = castle.group.position.clone();
+    keep.y += CASTLE_TIERS[castle.tier].height * CASTLE_KEEP_HEIGHT;
+    this.engine.systems.player.models.createManaFlowEffect(carpet.position.clone(), keep);
+  }
+  
+  showError(reason) {
+    const messages = {
+      already_founded: 'You already have a castle',
+      water: 'Castles must be founded on dry land',
+      too_close: 'Too close to another castle',
+      warmup: 'Castles can be founded once the round starts',
+      not_playing: 'Castles can only be founded while playing'
+    };
+    this.showMessage(messages[reason] || 'Could not found a castle here');
+  }
+  
+  showMessage(text) {
+    const ui = this.engine.systems.ui;
+    if (ui) ui.showMessage(text, 3);
+  }
+  
+  // Each castle's stone darkens separately as its walls are damaged
+  createStoneMaterial() {
+    return new THREE.MeshStandardMaterial({ color: this.stoneColors.intact, roughness: 0.9 });
+  }
+  
+  // A keep in the middle of walls with as many sides as the tier has
+  // towers (four for an outpost), and a flag in the owner's color
+  buildCastle(data, stone) {
+    const tier = CASTLE_TIERS[data.tier];
+    const group = new THREE.Group();
+    const depth = this.wallDepth;
+    
+    const keepHeight = tier.height * CASTLE_KEEP_HEIGHT;
+    const keepWidth = tier.radius * 0.5;
+    const keep = new THREE.Mesh(new THREE.BoxGeometry(keepWidth, keepHeight + depth, keepWidth), stone);
+    keep.position.y = (keepHeight - depth) / 2;
+    group.add(keep);
+    
+    const roof = new THREE.Mesh(new THREE.ConeGeometry(keepWidth * 0.8, keepWidth, 4), this.roofMaterial);
+    roof.position.y = keepHeight + keepWidth / 2;
+    roof.rotation.y = Math.PI / 4;
+    group.add(roof);
+    
+    const sides = Math.max(tier.towers, 4);
+    const wallLength = 2 * tier.radius * Math.sin(Math.PI / sides);
+    const wallGeometry = new THREE.BoxGeometry(wallLength, tier.height + depth, 1.5);
+    const towerGeometry = new THREE.CylinderGeometry(1.8, 2.2, tier.height * 1.3 + depth, 8);
+    
+    for (let i = 0; i < sides; i++) {
+      const corner = (i / sides) * Math.PI * 2;
+      const middle = corner + Math.PI / sides;
+      const inset = tier.radius * Math.cos(Math.PI / sides);
+      
+      const wall = new THREE.Mesh(wallGeometry, stone);
+      wall.position.set(Math.sin(middle) * inset, (tier.height - depth) / 2, Math.cos(middle) * inset);
+      wall.rotation.y = middle;
+      group.add(wall);
+      
+      if (tier.towers > 0) {
+        const tower = new THREE.Mesh(towerGeometry, stone);
+        tower.position.set(Math.sin(corner) * tier.radius, (tier.height * 1.3 - depth) / 2, Math.cos(corner) * tier.radius);
+        group.add(tower);
+      }
+    }
+    
+    const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 5, 4), stone);
+    pole.position.y = keepHeight + keepWidth + 2.5;
+    group.add(pole);
+    
+    const flag = new THREE.Mesh(
+      new THREE.PlaneGeometry(3, 1.8),
+      new THREE.MeshBasicMaterial({ color: this.getOwnerColor(data.ownerId), side: THREE.DoubleSide })
+    );
+    flag.position.set(1.5, keepHeight + keepWidth + 4, 0);
+    group.add(flag);
+    
+    group.traverse(object => {
+      object.castShadow = true;
+      object.receiveShadow = true;
+    });
+    return group;
+  }
+  
+  // Every client picks the same color for a pilot
+  getOwnerColor(ownerId) {
+    let hash = 0;
+    for (let i = 0; i < ownerId.length; i++) {
+      hash = (hash * 31 + ownerId.charCodeAt(i)) >>> 0;
+    }
+    return this.flagColor.setHSL((hash % 360) / 360, 0.8, 0.5).getHex();
+  }
+  
+  disposeGroup(group) {
+    this.scene.remove(group);
+    group.traverse(object => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      if (object.material.isMeshBasicMaterial) object.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+// Time of day for the world: moves the sun (and at night the moon) across
+// the sky and lights the terrain, water and mana nodes to match. The room
+// sets the clock in game_state, so everyone in it sees the same hour.
+export class DayNight {
+  constructor(worldSystem) {
+    this.worldSystem = worldSystem;
+    this.engine = worldSystem.engine;
+    this.scene = worldSystem.scene;
+    
+    // Hour (0-24) at epoch (server time, ms) and real seconds per day; a
+    // length of 0 stops the clock
+    this.cycle = { start: 10, length: 0, epoch: 0 };
+    this.hour = this.cycle.start;
+    this.daylight = 1;         // How much of the sky's light is up: 0 at night, 1 by mid-morning
+    
+    this.sunTilt = THREE.MathUtils.degToRad(35); // Noon sun's angle from straight up
+    this.lightDistance = 100;  // The light sits this far from the ground below the camera, towards the sun
+    this.nightLightCount = 6;  // Mana nodes nearest the camera that light up their surroundings
+    
+    this.sunDirection = new THREE.Vector3();
+    this.lightDirection = new THREE.Vector3();
+    this.lightColor = new THREE.Color();
+    
+    this.sunColors = {
+      horizon: new THREE.Color(0xff9a50),
+      noon: new THREE.Color(0xffffff),
+      moon: new THREE.Color(0x8fa3d9)
+    };
+    this.ambientColors = {
+      day: new THREE.Color(0x404040),
+      night: new THREE.Color(0x101a33)
+    };
+    
+    // Always in the scene so the light count, and with it the shaders,
+    // never change; they are only turned up at night
+    this.nightLights = [];
+    for (let i = 0; i < this.nightLightCount; i++) {
+      const light = new THREE.PointLight(0x00ccff, 0, 60, 2);
+      this.scene.add(light);
+      this.nightLights.push(light);
+    }
+  }
+  
+  setCycle({ start, length, epoch }) {
+    this.cycle = { start, length, epoch };
+  }
+  
+  getHour() {
+    const { start, length, epoch } = this.cycle;
+    if (!length) return start;
+    
+    const elapsed = (this.engine.systems.network.getServerTime() - epoch) / 1000;
+    return (((start + elapsed / length * 24) % 24) + 24) % 24;
+  }
+  
+  // The sun rises in the east at 6, is highest to the south at noon and
+  // sets at 18; the moon is opposite
+  getSunDirection(hour, target) {
+    const angle = (hour - 6) / 24 * Math.PI * 2;
+    return target.set(
+      Math.cos(angle),
+      Math.sin(angle) * Math.cos(this.sunTilt),
+      -Math.sin(angle) * Math.sin(this.sunTilt)
+    );
+  }
+  
+  update(delta, center) {
+    const world = this.worldSystem;
+    this.hour = this.getHour();
+    const sun = this.getSunDirection(this.hour, this.sunDirection);
+    
+    const daylight = THREE.MathUtils.smoothstep(sun.y, -0.1, 0.3);
+    this.daylight = daylight;
+    const sunStrength = THREE.MathUtils.smoothstep(sun.y, -0.05, 0.15);
+    const moonStrength = THREE.MathUtils.smoothstep(-sun.y, -0.05, 0.15) * 0.25;
+    
+    // One light follows whichever of the sun and moon is up; the sun
+    // reddens towards the horizon
+    if (sunStrength >= moonStrength) {
+      this.lightDirection.copy(sun);
+      this.lightColor.copy(this.sunColors.horizon).lerp(this.sunColors.noon, THREE.MathUtils.smoothstep(sun.y, 0, 0.5));
+      world.sunLight.intensity = sunStrength;
+    } else {
+      this.lightDirection.copy(sun).negate();
+      this.lightColor.copy(this.sunColors.moon);
+      world.sunLight.intensity = moonStrength;
+    }
+    world.sunLight.color.copy(this.lightColor);
+    world.sunLight.target.position.set(center.x, 0, center.z);
+    world.sunLight.position.copy(this.lightDirection).multiplyScalar(this.lightDistance).add(world.sunLight.target.position);
+    
+    world.ambientLight.color.copy(this.ambientColors.night).lerp(this.ambientColors.day, daylight);
+    world.ambientLight.intensity = 0.4 + daylight * 0.6;
+    
+    // The sky darkens by itself once the sun is down
+    if (world.sky) {
+      world.sky.material.uniforms['sunPosition'].value.copy(sun);
+    }
+    
+    if (world.water) {
+      const uniforms = world.water.material.uniforms;
+      uniforms['sunDirection'].value.copy(this.lightDirection);
+      uniforms['sunColor'].value.copy(this.lightColor).multiplyScalar(world.sunLight.intensity);
+    }
+    
+    this.updateManaGlow(1 - daylight, center);
+  }
+  
+  // At night the mana nodes are the brightest things around
+  updateManaGlow(darkness, center) {
+    const world = this.worldSystem;
+    if (world.manaNodeMaterial) {
+      world.manaNodeMaterial.emissiveIntensity = 0.5 + darkness * 1.5;
+    }
+    
+    const nearest = darkness > 0
+      ? Array.from(world.manaNodes.values())
+        .filter(node => node.visible)
+        .sort((a, b) => a.position.distanceToSquared(center) - b.position.distanceToSquared(center))
+        .slice(0, this.nightLightCount)
+      : [];
+    
+    this.nightLights.forEach((light, index) => {
+      const node = nearest[index];
+      light.intensity = node ? darkness * 2 : 0;
+      if (node) light.position.copy(node.position);
+    });
+  }
+}
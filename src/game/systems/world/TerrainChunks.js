@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+
+// Terrain detail settings. Chunks next to the camera are built at full
+// resolution and each ring further out at half the one inside it, so the
+// triangle count is fixed by the setting (about 10k, 38k and 139k).
+export const TERRAIN_QUALITY = {
+  low: { label: 'Low', resolution: 16, viewDistance: 3 },
+  medium: { label: 'Medium', resolution: 32, viewDistance: 4 },
+  high: { label: 'High', resolution: 64, viewDistance: 5 }
+};
+
+// Streams terrain in square chunks around the camera, so the world goes on
+// as far as anyone flies. Chunks are built from the shared height function,
+// a few per frame nearest first, and dropped again once far behind. Each
+// keeps its heights for collision.
+export class TerrainChunks {
+  constructor(worldSystem, quality = 'high') {
+    this.worldSystem = worldSystem;
+    this.engine = worldSystem.engine;
+    this.scene = worldSystem.scene;
+    
+    this.chunkSize = 200;       // Units along a chunk's side
+    this.minResolution = 4;     // Grid cells along the coarsest chunk's side
+    this.lodMargin = 0.25;      // Chunks past a detail boundary before rebuilding
+    this.skirtDepth = 20;       // Hides the gaps where detail levels meet
+    this.buildsPerFrame = 2;    // Spreads the work of flying into new land
+    this.textureScale = 62.5;   // Units per repeat of the terrain texture
+    this.setQuality(quality);
+    
+    this.chunks = new Map();    // "cx,cz" -> chunk
+    this.material = null;
+  }
+  
+  // Takes effect as chunks are rebuilt
+  setQuality(quality) {
+    const preset = TERRAIN_QUALITY[quality] || TERRAIN_QUALITY.high;
+    this.quality = TERRAIN_QUALITY[quality] ? quality : 'high';
+    this.resolution = preset.resolution;     // Grid cells along the nearest chunks' sides
+    this.viewDistance = preset.viewDistance; // Chunks kept loaded in each direction
+  }
+  
+  getMaterial() {
+    if (!this.material) {
+      // Texture coordinates are in world units so the pattern runs on
+      // across chunk borders
+      const terrainTexture = this.engine.assets.getTexture('terrain');
+      if (terrainTexture) {
+        terrainTexture.wrapS = THREE.RepeatWrapping;
+        terrainTexture.wrapT = THREE.RepeatWrapping;
+      }
+      
+      this.material = new THREE.MeshStandardMaterial({
+        map: terrainTexture,
+        roughness: 0.8,
+        metalness: 0.2,
+        vertexColors: true
+      });
+    }
+    return this.material;
+  }
+  
+  getChunkCoord(value) {
+    return Math.floor(value / this.chunkSize);
+  }
+  
+  getChunk(x, z) {
+    return this.chunks.get(`${this.getChunkCoord(x)},${this.getChunkCoord(z)}`) || null;
+  }
+  
+  // Grid cells along the side of a chunk at a detail level
+  getResolution(level) {
+    return Math.max(this.resolution >> level, this.minResolution);
+  }
+  
+  // Detail level for a chunk some distance away, in chunks from the camera
+  // to its center. A chunk keeps its level until it is well past the
+  // boundary, so hovering on one doesn't rebuild chunks every frame.
+  getLevel(distance, current) {
+    const level = Math.max(0, Math.floor(distance - 0.5));
+    if (current === undefined || current === level) return level;
+    
+    const boundary = level > current ? current + 1.5 : current + 0.5;
+    return Math.abs(distance - boundary) > this.lodMargin ? level : current;
+  }
+  
+  // Load what is in view of (x, z), drop what has fallen behind and rebuild
+  // chunks whose detail level has changed
+  update(x, z) {
+    const centerX = this.getChunkCoord(x);
+    const centerZ = this.getChunkCoord(z);
+    const distanceTo = (cx, cz) => Math.max(
+      Math.abs(cx + 0.5 - x / this.chunkSize),
+      Math.abs(cz + 0.5 - z / this.chunkSize)
+    );
+    
+    // Chunks are dropped a little further out than they load, so flying
+    // along a border doesn't rebuild the same ones over and over
+    this.chunks.forEach((chunk, key) => {
+      const distance = Math.max(Math.abs(chunk.cx - centerX), Math.abs(chunk.cz - centerZ));
+      if (distance > this.viewDistance + 1) {
+        this.unloadChunk(key, chunk);
+      }
+    });
+    
+    const builds = [];
+    for (let cx = centerX - this.viewDistance; cx <= centerX + this.viewDistance; cx++) {
+      for (let cz = centerZ - this.viewDistance; cz <= centerZ + this.viewDistance; cz++) {
+        const chunk = this.chunks.get(`${cx},${cz}`);
+        const distance = distanceTo(cx, cz);
+        const level = this.getLevel(distance, chunk ? chunk.level : undefined);
+        
+        // Missing or reshaped land comes before sharper land
+        if (!chunk || chunk.stale) {
+          builds.push({ cx, cz, level, priority: distance });
+        } else if (chunk.resolution !== this.getResolution(level)) {
+          builds.push({ cx, cz, level, priority: distance + this.viewDistance + 1 });
+        } else {
+          chunk.level = level;
+        }
+      }
+    }
+    
+    builds
+      .sort((a, b) => a.priority - b.priority)
+      .slice(0, this.buildsPerFrame)
+      .forEach(({ cx, cz, level }) => this.loadChunk(cx, cz, level));
+  }
+  
+  // Build a chunk, or rebuild it at another detail level
+  loadChunk(cx, cz, level = 0) {
+    const generator = this.worldSystem.terrainGenerator;
+    const size = this.chunkSize;
+    const resolution = this.getResolution(level);
+    const step = size / resolution;
+    const originX = cx * size;
+    const originZ = cz * size;
+    
+    // Heights on a grid one cell wider than the chunk, so normals at the
+    // border match the neighbouring chunk's
+    const stride = resolution + 3;
+    const padded = new Float32Array(stride * stride);
+    for (let j = 0; j < stride; j++) {
+      for (let i = 0; i < stride; i++) {
+        padded[j * stride + i] = generator.getHeight(originX + (i - 1) * step, originZ + (j - 1) * step);
+      }
+    }
+    const heightAt = (i, j) => padded[(j + 1) * stride + (i + 1)];
+    
+    // The grid, then a skirt hanging below each vertex around its border
+    const gridCount = (resolution + 1) * (resolution + 1);
+    const vertexCount = gridCount + resolution * 4;
+    const heights = new Float32Array(gridCount);
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const normal = new THREE.Vector3();
+    const color = [0, 0, 0];
+    
+    for (let j = 0; j <= resolution; j++) {
+      for (let i = 0; i <= resolution; i++) {
+        const index = j * (resolution + 1) + i;
+        const x = originX + i * step;
+        const z = originZ + j * step;
+        const height = heightAt(i, j);
+        heights[index] = height;
+        
+        positions[index * 3] = x;
+        positions[index * 3 + 1] = height;
+        positions[index * 3 + 2] = z;
+        
+        normal.set(
+          heightAt(i - 1, j) - heightAt(i + 1, j),
+          2 * step,
+          heightAt(i, j - 1) - heightAt(i, j + 1)
+        ).normalize();
+        normals[index * 3] = normal.x;
+        normals[index * 3 + 1] = normal.y;
+        normals[index * 3 + 2] = normal.z;
+        
+        // Color from the biome's ramp for this height
+        generator.getColor(x, z, height, color);
+        colors.set(color, index * 3);
+        
+        uvs[index * 2] = x / this.textureScale;
+        uvs[index * 2 + 1] = z / this.textureScale;
+      }
+    }
+    
+    // Two triangles per cell, wound to face up
+    const indices = [];
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        const a = j * (resolution + 1) + i;
+        const b = a + 1;
+        const c = a + resolution + 1;
+        const d = c + 1;
+        indices.push(a, c, b, b, c, d);
+      }
+    }
+    
+    // Neighbours at another detail level don't meet this chunk exactly;
+    // skirts fill the cracks between them. The border is walked so the
+    // skirt faces outwards.
+    const row = resolution + 1;
+    const border = [];
+    for (let i = 0; i < resolution; i++) border.push(i);
+    for (let j = 0; j < resolution; j++) border.push(j * row + resolution);
+    for (let i = resolution; i > 0; i--) border.push(resolution * row + i);
+    for (let j = resolution; j > 0; j--) border.push(j * row);
+    
+    border.forEach((top, k) => {
+      const bottom = gridCount + k;
+      positions.copyWithin(bottom * 3, top * 3, top * 3 + 3);
+      positions[bottom * 3 + 1] -= this.skirtDepth;
+      normals.copyWithin(bottom * 3, top * 3, top * 3 + 3);
+      colors.copyWithin(bottom * 3, top * 3, top * 3 + 3);
+      uvs.copyWithin(bottom * 2, top * 2, top * 2 + 2);
+      
+      const nextTop = border[(k + 1) % border.length];
+      const nextBottom = gridCount + (k + 1) % border.length;
+      indices.push(top, nextTop, bottom, nextTop, nextBottom, bottom);
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+    
+    const mesh = new THREE.Mesh(geometry, this.getMaterial());
+    mesh.receiveShadow = true;
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+    
+    // A rebuilt chunk swaps its mesh; what stands on it stays put
+    const key = `${cx},${cz}`;
+    const existing = this.chunks.get(key);
+    if (existing) {
+      this.scene.remove(existing.mesh);
+      existing.mesh.geometry.dispose();
+      Object.assign(existing, { mesh, heights, level, resolution, stale: false });
+      return;
+    }
+    
+    const chunk = { cx, cz, mesh, heights, level, resolution };
+    this.chunks.set(key, chunk);
+    this.worldSystem.onChunkLoaded(chunk);
+  }
+  
+  unloadChunk(key, chunk) {
+    this.scene.remove(chunk.mesh);
+    chunk.mesh.geometry.dispose();
+    this.chunks.delete(key);
+    this.worldSystem.onChunkUnloaded(chunk);
+  }
+  
+  // The land within radius of (x, z) changed shape: rebuild the chunks it
+  // touches, keeping the old ones on screen until then. Border normals
+  // look one grid step beyond the chunk.
+  updateArea(x, z, radius) {
+    const size = this.chunkSize;
+    this.chunks.forEach(chunk => {
+      const dx = Math.max(chunk.cx * size - x, 0, x - (chunk.cx + 1) * size);
+      const dz = Math.max(chunk.cz * size - z, 0, z - (chunk.cz + 1) * size);
+      if (Math.hypot(dx, dz) <= radius + size / chunk.resolution) {
+        chunk.stale = true;
+      }
+    });
+  }
+  
+  // Rebuild everything as it comes up, keeping the old chunks until then
+  invalidate() {
+    this.chunks.forEach(chunk => {
+      chunk.stale = true;
+    });
+  }
+  
+  // A new seed: everything is rebuilt as it comes back into view
+  clear() {
+    this.chunks.forEach((chunk, key) => this.unloadChunk(key, chunk));
+  }
+  
+  // Ground height from a loaded chunk's grid, as drawn. Land that isn't
+  // loaded yet is asked of the height function directly.
+  getHeight(x, z) {
+    const chunk = this.getChunk(x, z);
+    if (!chunk) {
+      return this.worldSystem.terrainGenerator.getHeight(x, z);
+    }
+    
+    const resolution = chunk.resolution;
+    const step = this.chunkSize / resolution;
+    const gx = (x - chunk.cx * this.chunkSize) / step;
+    const gz = (z - chunk.cz * this.chunkSize) / step;
+    const i = Math.min(Math.floor(gx), resolution - 1);
+    const j = Math.min(Math.floor(gz), resolution - 1);
+    const fx = gx - i;
+    const fz = gz - j;
+    
+    const row = resolution + 1;
+    const h00 = chunk.heights[j * row + i];
+    const h10 = chunk.heights[j * row + i + 1];
+    const h01 = chunk.heights[(j + 1) * row + i];
+    const h11 = chunk.heights[(j + 1) * row + i + 1];
+    
+    // The same triangle the mesh draws at this point
+    if (fx + fz <= 1) {
+      return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+    }
+    return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+  }
+}
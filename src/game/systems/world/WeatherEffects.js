@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+// Particles kept around the camera for each terrain quality
+const PARTICLE_COUNTS = { low: 1000, medium: 2500, high: 5000 };
+
+// Draws the world's weather around the camera: fog banks through scene.fog,
+// rain or snow as particles, overcast light and lightning. What the weather
+// is comes from the shared forecast (see WeatherForecast).
+export class WeatherEffects {
+  constructor(worldSystem) {
+    this.worldSystem = worldSystem;
+    this.engine = worldSystem.engine;
+    this.scene = worldSystem.scene;
+    
+    this.haze = 0.0006;        // Fog density on a clear day
+    this.fogDensity = 0.012;   // Extra density inside the thickest fog bank
+    this.rainSpeed = 60;       // Units/s raindrops fall
+    this.snowSpeed = 6;        // Units/s snowflakes fall
+    this.streakLength = 0.04;  // Seconds of a raindrop's fall drawn as its streak
+    this.areaSize = 160;       // Units across the box of particles around the camera
+    this.areaHeight = 80;
+    
+    this.fogColors = {
+      day: new THREE.Color(0xbfcad6),
+      night: new THREE.Color(0x0a0f1a),
+      storm: new THREE.Color(0x5a6470)
+    };
+    
+    // Water only picks up fog that exists when it is created
+    this.scene.fog = new THREE.FogExp2(this.fogColors.day.getHex(), this.haze);
+    
+    this.type = null;
+    this.flash = 0;            // Lightning, fading out
+    this.wind = { x: 0, z: 0 };
+  }
+  
+  // Particles are made once the terrain quality is known
+  initialize(quality) {
+    this.count = PARTICLE_COUNTS[quality] || PARTICLE_COUNTS.high;
+    this.drops = new Float32Array(this.count * 3); // World positions
+    for (let i = 0; i < this.count; i++) {
+      this.drops[i * 3] = (Math.random() - 0.5) * this.areaSize;
+      this.drops[i * 3 + 1] = (Math.random() - 0.5) * this.areaHeight;
+      this.drops[i * 3 + 2] = (Math.random() - 0.5) * this.areaSize;
+    }
+    
+    // Rain is drawn as streaks, snow as flakes
+    const rainGeometry = new THREE.BufferGeometry();
+    rainGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 6), 3));
+    this.rain = new THREE.LineSegments(rainGeometry, new THREE.LineBasicMaterial({
+      color: 0xaabbcc,
+      transparent: true,
+      opacity: 0.5,
+      depthWrite: false
+    }));
+    
+    const snowGeometry = new THREE.BufferGeometry();
+    snowGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+    this.snow = new THREE.Points(snowGeometry, new THREE.PointsMaterial({
+      color: 0xffffff,
+      size: 0.8,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false
+    }));
+    
+    [this.rain, this.snow].forEach(particles => {
+      particles.frustumCulled = false;
+      particles.visible = false;
+      this.scene.add(particles);
+    });
+  }
+  
+  update(delta, center) {
+    const world = this.worldSystem;
+    const time = world.getWeatherTime();
+    const conditions = world.weather.getConditions(time);
+    
+    if (this.type && conditions.type !== this.type) {
+      const ui = this.engine.systems.ui;
+      if (ui) ui.showMessage(`Weather: ${conditions.type.name}`, 3);
+    }
+    this.type = conditions.type;
+    
+    // Clouds dim the sun and moon
+    const overcast = Math.max(conditions.rain, conditions.fog * 0.7);
+    world.sunLight.intensity *= 1 - overcast * 0.6;
+    
+    this.updateFog(delta, center, time, conditions.rain);
+    this.updateLightning(delta, conditions.lightning);
+    this.updateParticles(delta, center, conditions.rain);
+  }
+  
+  updateFog(delta, center, time, rain) {
+    const fog = this.scene.fog;
+    const bank = this.worldSystem.weather.getFog(center.x, center.z, time);
+    const density = this.haze + bank * this.fogDensity + rain * 0.002;
+    fog.density += (density - fog.density) * Math.min(delta, 1);
+    
+    fog.color.copy(this.fogColors.night)
+      .lerp(this.fogColors.day, this.worldSystem.dayNight.daylight)
+      .lerp(this.fogColors.storm, rain * 0.6);
+  }
+  
+  // Flashes light up everything for a moment
+  updateLightning(delta, perMinute) {
+    if (perMinute > 0 && Math.random() < perMinute / 60 * delta) {
+      this.flash = 1;
+    }
+    this.flash = Math.max(this.flash - delta * 4, 0);
+    
+    // A flicker rather than a steady glow
+    if (this.flash > 0) {
+      this.worldSystem.ambientLight.intensity += this.flash * (Math.random() < 0.5 ? 3 : 1);
+    }
+  }
+  
+  // The same drops are reused: each falls through the box around the
+  // camera, drifting with the wind, and wraps around to the other side
+  // when it leaves it
+  updateParticles(delta, center, amount) {
+    if (!this.drops) return;
+    
+    const world = this.worldSystem;
+    const snowing = !!world.terrainGenerator.getBiome(center.x, center.z).snow;
+    const active = Math.floor(this.count * Math.min(amount, 1));
+    this.rain.visible = !snowing && active > 0;
+    this.snow.visible = snowing && active > 0;
+    if (active === 0) return;
+    
+    const wind = world.getWind(center.x, center.z, this.wind);
+    const drift = snowing ? 1.25 : 0.5; // Share of the wind's push that moves drops sideways
+    const fall = snowing ? this.snowSpeed : this.rainSpeed;
+    const vx = wind.x * drift;
+    const vz = wind.z * drift;
+    const drops = this.drops;
+    
+    for (let i = 0; i < active; i++) {
+      const index = i * 3;
+      drops[index] = center.x + wrap(drops[index] + vx * delta - center.x, this.areaSize);
+      drops[index + 1] = center.y + wrap(drops[index + 1] - fall * delta - center.y, this.areaHeight);
+      drops[index + 2] = center.z + wrap(drops[index + 2] + vz * delta - center.z, this.areaSize);
+    }
+    
+    if (snowing) {
+      const positions = this.snow.geometry.attributes.position;
+      positions.array.set(drops.subarray(0, active * 3));
+      positions.needsUpdate = true;
+      this.snow.geometry.setDrawRange(0, active);
+    } else {
+      const positions = this.rain.geometry.attributes.position;
+      const streak = this.streakLength;
+      for (let i = 0; i < active; i++) {
+        const x = drops[i * 3];
+        const y = drops[i * 3 + 1];
+        const z = drops[i * 3 + 2];
+        positions.setXYZ(i * 2, x, y, z);
+        positions.setXYZ(i * 2 + 1, x - vx * streak, y + fall * streak, z - vz * streak);
+      }
+      positions.needsUpdate = true;
+      this.rain.geometry.setDrawRange(0, active * 2);
+    }
+  }
+}
+
+// Keep an offset within a box of the given size centered on zero
+function wrap(value, size) {
+  return ((value + size / 2) % size + size) % size - size / 2;
+}
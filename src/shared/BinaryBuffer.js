@@ -0,0 +1,138 @@
+// Little-endian binary helpers shared by the client and the game server
+
+export class BinaryWriter {
+  constructor(initialSize = 256) {
+    this.buffer = new ArrayBuffer(initialSize);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  }
+  
+  ensureCapacity(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+    
+    // Grow by doubling so repeated writes stay cheap
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + bytes) size *= 2;
+    
+    const buffer = new ArrayBuffer(size);
+    new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.offset));
+    this.buffer = buffer;
+    this.view = new DataView(buffer);
+  }
+  
+  writeUint8(value) {
+    this.ensureCapacity(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+  
+  writeInt8(value) {
+    this.ensureCapacity(1);
+    this.view.setInt8(this.offset, value);
+    this.offset += 1;
+  }
+  
+  writeUint16(value) {
+    this.ensureCapacity(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+  
+  writeInt16(value) {
+    this.ensureCapacity(2);
+    this.view.setInt16(this.offset, value, true);
+    this.offset += 2;
+  }
+  
+  writeUint32(value) {
+    this.ensureCapacity(4);
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+  
+  writeInt32(value) {
+    this.ensureCapacity(4);
+    this.view.setInt32(this.offset, value, true);
+    this.offset += 4;
+  }
+  
+  // Variable-length unsigned integer, 7 bits per byte
+  writeVarUint(value) {
+    value = Math.max(0, Math.floor(value));
+    while (value >= 0x80) {
+      this.writeUint8((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.writeUint8(value);
+  }
+  
+  toArrayBuffer() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+export class BinaryReader {
+  constructor(data) {
+    // socket.io hands Node a Buffer and the browser an ArrayBuffer
+    if (data instanceof ArrayBuffer) {
+      this.view = new DataView(data);
+    } else if (ArrayBuffer.isView(data)) {
+      this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      throw new Error('BinaryReader expects an ArrayBuffer or typed array');
+    }
+    this.offset = 0;
+  }
+  
+  get remaining() {
+    return this.view.byteLength - this.offset;
+  }
+  
+  readUint8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+  
+  readInt8() {
+    const value = this.view.getInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+  
+  readUint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+  
+  readInt16() {
+    const value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+  
+  readUint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+  
+  readInt32() {
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+  
+  readVarUint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.readUint8();
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+}
@@ -0,0 +1,174 @@
+import { BinaryReader, BinaryWriter } from './BinaryBuffer.js';
+
+// Quantized player fields, in wire order. Each entry describes how a float is
+// turned into a small integer and how many bytes it takes on the wire.
+export const PLAYER_FIELDS = [
+  { key: 'x', type: 'int32', scale: 64 },          // 1/64 unit precision
+  { key: 'y', type: 'int16', scale: 32 },          // ±1024 units
+  { key: 'z', type: 'int32', scale: 64 },
+  { key: 'vx', type: 'int16', scale: 64 },         // ±512 units/s
+  { key: 'vy', type: 'int16', scale: 64 },
+  { key: 'vz', type: 'int16', scale: 64 },
+  { key: 'rotationY', type: 'angle' },             // 16-bit heading
+  { key: 'bankAngle', type: 'int8', scale: 80 },   // ±1.58 rad
+  { key: 'mana', type: 'varuint' },
+  { key: 'health', type: 'uint8' }
+];
+
+const ALL_FIELDS_MASK = (1 << PLAYER_FIELDS.length) - 1;
+const TWO_PI = Math.PI * 2;
+
+const LIMITS = {
+  int8: [-128, 127],
+  uint8: [0, 255],
+  int16: [-32768, 32767],
+  int32: [-2147483648, 2147483647]
+};
+
+function quantizeField(field, value) {
+  value = Number.isFinite(value) ? value : 0;
+  
+  if (field.type === 'angle') {
+    const normalized = ((value % TWO_PI) + TWO_PI) % TWO_PI;
+    return Math.round((normalized / TWO_PI) * 65536) % 65536;
+  }
+  
+  if (field.type === 'varuint') {
+    return Math.max(0, Math.round(value));
+  }
+  
+  const [min, max] = LIMITS[field.type];
+  return Math.min(max, Math.max(min, Math.round(value * (field.scale || 1))));
+}
+
+function dequantizeField(field, value) {
+  if (field.type === 'angle') {
+    return (value / 65536) * TWO_PI;
+  }
+  return value / (field.scale || 1);
+}
+
+function writeField(writer, field, value) {
+  switch (field.type) {
+    case 'int8': writer.writeInt8(value); break;
+    case 'uint8': writer.writeUint8(value); break;
+    case 'int16': writer.writeInt16(value); break;
+    case 'int32': writer.writeInt32(value); break;
+    case 'angle': writer.writeUint16(value); break;
+    case 'varuint': writer.writeVarUint(value); break;
+  }
+}
+
+function readField(reader, field) {
+  switch (field.type) {
+    case 'int8': return reader.readInt8();
+    case 'uint8': return reader.readUint8();
+    case 'int16': return reader.readInt16();
+    case 'int32': return reader.readInt32();
+    case 'angle': return reader.readUint16();
+    case 'varuint': return reader.readVarUint();
+  }
+}
+
+// Convert a player state object into an array of wire integers
+export function quantizePlayer(state) {
+  return PLAYER_FIELDS.map(field => quantizeField(field, state[field.key]));
+}
+
+// Convert wire integers back into a player state object
+export function dequantizePlayer(quantized) {
+  const state = {};
+  PLAYER_FIELDS.forEach((field, i) => {
+    state[field.key] = dequantizeField(field, quantized[i]);
+  });
+  return state;
+}
+
+// Client -> server: the local player's latest predicted state
+export function encodeClientUpdate(update) {
+  const writer = new BinaryWriter(48);
+  writer.writeUint32(update.seq || 0);
+  writer.writeUint32(update.ackTick || 0);
+  
+  const quantized = quantizePlayer(update);
+  PLAYER_FIELDS.forEach((field, i) => writeField(writer, field, quantized[i]));
+  
+  return writer.toArrayBuffer();
+}
+
+export function decodeClientUpdate(data) {
+  const reader = new BinaryReader(data);
+  const seq = reader.readUint32();
+  const ackTick = reader.readUint32();
+  const quantized = PLAYER_FIELDS.map(field => readField(reader, field));
+  
+  return { seq, ackTick, ...dequantizePlayer(quantized) };
+}
+
+// Server -> client: every entity the client should know about this tick,
+// delta-compressed against a snapshot the client has acknowledged.
+//   snapshot.entities: Map(netId -> quantized state)
+//   baseline: Map(netId -> quantized state) or null for a full snapshot
+export function encodeSnapshot(snapshot, baseline) {
+  const writer = new BinaryWriter(64 + snapshot.entities.size * 24);
+  writer.writeUint32(snapshot.tick);
+  writer.writeUint32(baseline ? snapshot.baselineTick : 0);
+  writer.writeUint32(Math.round(snapshot.serverTime));
+  writer.writeUint32(snapshot.ackSeq || 0);
+  writer.writeVarUint(snapshot.entities.size);
+  
+  snapshot.entities.forEach((quantized, netId) => {
+    const previous = baseline ? baseline.get(netId) : null;
+    
+    // Only send fields that changed since the baseline
+    let mask = 0;
+    PLAYER_FIELDS.forEach((field, i) => {
+      if (!previous || previous[i] !== quantized[i]) {
+        mask |= 1 << i;
+      }
+    });
+    
+    writer.writeVarUint(netId);
+    writer.writeUint16(mask);
+    PLAYER_FIELDS.forEach((field, i) => {
+      if (mask & (1 << i)) {
+        writeField(writer, field, quantized[i]);
+      }
+    });
+  });
+  
+  return writer.toArrayBuffer();
+}
+
+// getBaseline(tick) must return the entities of a previously decoded snapshot
+export function decodeSnapshot(data, getBaseline) {
+  const reader = new BinaryReader(data);
+  const tick = reader.readUint32();
+  const baselineTick = reader.readUint32();
+  const serverTime = reader.readUint32();
+  const ackSeq = reader.readUint32();
+  const count = reader.readVarUint();
+  
+  const baseline = baselineTick ? getBaseline(baselineTick) : null;
+  if (baselineTick && !baseline) {
+    throw new Error(`Missing baseline snapshot ${baselineTick}`);
+  }
+  
+  const entities = new Map();
+  for (let e = 0; e < count; e++) {
+    const netId = reader.readVarUint();
+    const mask = reader.readUint16();
+    const previous = baseline ? baseline.get(netId) : null;
+    
+    if (!previous && mask !== ALL_FIELDS_MASK) {
+      throw new Error(`Missing baseline state for entity ${netId}`);
+    }
+    
+    const quantized = PLAYER_FIELDS.map((field, i) => (
+      mask & (1 << i) ? readField(reader, field) : previous[i]
+    ));
+    entities.set(netId, quantized);
+  }
+  
+  return { tick, baselineTick, serverTime, ackSeq, entities };
+}
@@ -0,0 +1,243 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { BIOMES, BIOME_BLEND } from './biomes.js';
+import { createRandom } from './random.js';
+
+// Biome colors as 0-1 channels, ready to blend
+const RAMPS = BIOMES.map(biome => biome.colors.map(({ height, color }) => ({
+  height,
+  rgb: toRGB(color)
+})));
+const WATER = BIOMES.map(biome => toRGB(biome.water));
+
+// Ways spells can reshape the land, each within a radius of a point:
+//   raise, lower - a smooth hill or hollow, amount units high or deep
+//   crater       - a scorched bowl amount units deep with a raised rim
+//   smooth       - eases the land towards level, its average height when
+//                  the edit was made
+export const TERRAIN_EDIT_TYPES = ['raise', 'lower', 'crater', 'smooth'];
+
+// Height function shared by the client's terrain mesh and the server's world
+// model, so both sides agree on where the ground is for a given seed. It
+// covers the whole plane; the world has no edge. Slower noise gives every
+// place a temperature and moisture, which pick its biome (see biomes.js).
+// Edits made by spells are applied on top, in the order they were made.
+export class TerrainGenerator {
+  constructor(options = {}) {
+    this.featureSize = options.featureSize || 1000; // Units across the largest hills
+    this.climateSize = options.climateSize || 3000; // Units across the largest biomes
+    this.heightScale = options.heightScale || 60;
+    this.editCellSize = 64; // Units across the cells edits are looked up by
+    this.setSeed(options.seed || 0);
+  }
+  
+  // The noise is shuffled from the seed too, not just offset by it. A new
+  // world starts without edits.
+  setSeed(seed) {
+    this.seed = seed;
+    this.clearEdits();
+    const random = createRandom(seed);
+    this.noise = new SimplexNoise({ random });
+    this.climateNoise = new SimplexNoise({ random });
+    
+    // Some worlds run hotter or wetter than others, and each starts out
+    // somewhere else on the climate map
+    this.temperatureBias = (random() - 0.5) * 0.5;
+    this.moistureBias = (random() - 0.5) * 0.5;
+    this.climateOffset = random() * 1000;
+  }
+  
+  getClimate(x, z) {
+    const nx = x / this.climateSize + this.climateOffset;
+    const nz = z / this.climateSize - this.climateOffset;
+    const noise = this.climateNoise;
+    
+    return {
+      temperature: noise.noise(nx, nz) * 0.8 + noise.noise(nx * 4, nz * 4) * 0.2 + this.temperatureBias,
+      moisture: noise.noise(nx + 50, nz - 50) * 0.8 + noise.noise(nx * 4 + 50, nz * 4 - 50) * 0.2 + this.moistureBias
+    };
+  }
+  
+  // How much each biome shapes a place, in BIOMES order, summing to 1
+  getBiomeWeights(x, z) {
+    const { temperature, moisture } = this.getClimate(x, z);
+    const weights = BIOMES.map(biome => {
+      const distance2 = (biome.temperature - temperature) ** 2 + (biome.moisture - moisture) ** 2;
+      return Math.exp(-distance2 / (BIOME_BLEND * BIOME_BLEND));
+    });
+    
+    // Far from every biome's climate, the nearest one takes over
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total < 1e-6) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      BIOMES.forEach((biome, index) => {
+        const distance = Math.hypot(biome.temperature - temperature, biome.moisture - moisture);
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+      return weights.map((weight, index) => (index === nearest ? 1 : 0));
+    }
+    return weights.map(weight => weight / total);
+  }
+  
+  // The biome that shapes a place the most
+  getBiome(x, z) {
+    const weights = this.getBiomeWeights(x, z);
+    return BIOMES[weights.indexOf(Math.max(...weights))];
+  }
+  
+  // Ground height with every edit applied
+  getHeight(x, z) {
+    let height = this.getBaseHeight(x, z);
+    if (this.edits.length === 0) return height;
+    
+    const cell = this.editCells.get(this.getEditCellKey(x, z));
+    if (cell) {
+      cell.forEach(edit => {
+        height = applyEdit(edit, x, z, height);
+      });
+    }
+    return height;
+  }
+  
+  // Ground height as generated, before any edits
+  getBaseHeight(x, z) {
+    const nx = x / this.featureSize;
+    const nz = z / this.featureSize;
+    const seed = this.seed;
+    
+    // Combine multiple noise scales for more detailed terrain
+    const noise1 = this.noise.noise(nx * 1.5 + seed, nz * 1.5 + seed) * 0.5;
+    const noise2 = this.noise.noise(nx * 3 + seed * 2, nz * 3 + seed * 2) * 0.25;
+    const noise3 = this.noise.noise(nx * 6 + seed * 3, nz * 6 + seed * 3) * 0.125;
+    const base = noise1 + noise2 + noise3;
+    
+    // Each biome shapes the same hills its own way
+    let height = 0;
+    this.getBiomeWeights(x, z).forEach((weight, index) => {
+      if (weight < 1e-4) return;
+      
+      const { sharpness, scale, offset } = BIOMES[index].height;
+      const shaped = Math.sign(base) * Math.abs(base) ** sharpness * scale;
+      height += weight * (shaped * this.heightScale + offset);
+    });
+    return height;
+  }
+  
+  // Reshape the land; see TERRAIN_EDIT_TYPES. Edits are kept in the order
+  // they were made, which every client must share.
+  addEdit(edit) {
+    this.edits.push(edit);
+    
+    const minX = Math.floor((edit.x - edit.radius) / this.editCellSize);
+    const maxX = Math.floor((edit.x + edit.radius) / this.editCellSize);
+    const minZ = Math.floor((edit.z - edit.radius) / this.editCellSize);
+    const maxZ = Math.floor((edit.z + edit.radius) / this.editCellSize);
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const key = `${cx},${cz}`;
+        if (!this.editCells.has(key)) this.editCells.set(key, []);
+        this.editCells.get(key).push(edit);
+      }
+    }
+  }
+  
+  clearEdits() {
+    this.edits = [];
+    this.editCells = new Map(); // "cx,cz" -> edits overlapping the cell, in order
+  }
+  
+  getEditCellKey(x, z) {
+    return `${Math.floor(x / this.editCellSize)},${Math.floor(z / this.editCellSize)}`;
+  }
+  
+  // Average ground height within a radius, which smoothing levels towards
+  getAverageHeight(x, z, radius) {
+    let total = 0;
+    let count = 0;
+    for (let i = -4; i <= 4; i++) {
+      for (let j = -4; j <= 4; j++) {
+        if (i * i + j * j > 16) continue;
+        
+        total += this.getHeight(x + i * radius / 4, z + j * radius / 4);
+        count++;
+      }
+    }
+    return total / count;
+  }
+  
+  // Ground color at a place of the given height, as 0-1 channels in out
+  getColor(x, z, height, out = [0, 0, 0]) {
+    out.fill(0);
+    this.getBiomeWeights(x, z).forEach((weight, index) => {
+      if (weight < 1e-4) return;
+      
+      const ramp = RAMPS[index];
+      let upper = ramp.findIndex(stop => stop.height > height);
+      if (upper === -1) upper = ramp.length - 1;
+      const lower = Math.max(upper - 1, 0);
+      const span = ramp[upper].height - ramp[lower].height;
+      const t = span > 0 ? Math.min(Math.max((height - ramp[lower].height) / span, 0), 1) : 0;
+      
+      for (let i = 0; i < 3; i++) {
+        out[i] += weight * (ramp[lower].rgb[i] + (ramp[upper].rgb[i] - ramp[lower].rgb[i]) * t);
+      }
+    });
+    
+    // Craters are scorched
+    const cell = this.edits.length > 0 ? this.editCells.get(this.getEditCellKey(x, z)) : null;
+    if (cell) {
+      cell.forEach(edit => {
+        if (edit.type !== 'crater') return;
+        
+        const scorch = 1 - 0.6 * falloff(Math.hypot(x - edit.x, z - edit.z) / (edit.radius * 0.8));
+        for (let i = 0; i < 3; i++) out[i] *= scorch;
+      });
+    }
+    return out;
+  }
+  
+  // Water color over a place, as 0-1 channels in out
+  getWaterColor(x, z, out = [0, 0, 0]) {
+    out.fill(0);
+    this.getBiomeWeights(x, z).forEach((weight, index) => {
+      for (let i = 0; i < 3; i++) out[i] += weight * WATER[index][i];
+    });
+    return out;
+  }
+}
+
+// 1 at the center of an edit, easing to 0 at its radius
+function falloff(t) {
+  if (t >= 1) return 0;
+  const s = 1 - t * t;
+  return s * s;
+}
+
+function applyEdit(edit, x, z, height) {
+  const t = Math.hypot(x - edit.x, z - edit.z) / edit.radius;
+  if (t >= 1) return height;
+  
+  switch (edit.type) {
+    case 'raise':
+      return height + edit.amount * falloff(t);
+    case 'lower':
+      return height - edit.amount * falloff(t);
+    case 'crater': {
+      // A bowl over the inner part of the radius, ringed by a lip
+      const bowl = falloff(t / 0.7);
+      const rim = Math.exp(-(((t - 0.75) / 0.12) ** 2)) * 0.4;
+      return height + edit.amount * (rim - bowl);
+    }
+    case 'smooth':
+      return height + (edit.level - height) * falloff(t);
+    default:
+      return height;
+  }
+}
+
+function toRGB(color) {
+  return [(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255];
+}
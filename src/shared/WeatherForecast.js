@@ -0,0 +1,98 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { createRandom, periodSeed } from './random.js';
+import { MAX_WIND, WEATHER_TYPES } from './weather.js';
+
+const TOTAL_WEIGHT = WEATHER_TYPES.reduce((sum, type) => sum + type.weight, 0);
+
+// The weather of a world as a function of time, shared by the client and
+// the server so everyone flies through the same wind. Time is seconds on
+// the room's clock; each period's weather comes from the seed alone, so any
+// moment can be forecast without knowing what came before.
+export class WeatherForecast {
+  constructor(options = {}) {
+    this.periodLength = options.periodLength || 150; // Seconds each spell of weather lasts
+    this.transitionTime = options.transitionTime || 20; // Seconds to change into the next
+    this.gustSize = 300;     // Units across a gust of wind
+    this.fogBankSize = 600;  // Units across a fog bank
+    this.setSeed(options.seed || 0);
+  }
+  
+  setSeed(seed) {
+    this.seed = seed;
+    this.noise = new SimplexNoise({ random: createRandom(periodSeed(seed, -1)) });
+    this.periods = new Map(); // index -> period, only the few in use
+  }
+  
+  getPeriod(index) {
+    let period = this.periods.get(index);
+    if (period) return period;
+    
+    const random = createRandom(periodSeed(this.seed, index));
+    let pick = random() * TOTAL_WEIGHT;
+    const type = WEATHER_TYPES.find(candidate => (pick -= candidate.weight) < 0) || WEATHER_TYPES[0];
+    const strength = 0.7 + random() * 0.6;
+    const angle = random() * Math.PI * 2;
+    
+    period = {
+      type,
+      windX: Math.cos(angle) * type.wind * strength,
+      windZ: Math.sin(angle) * type.wind * strength,
+      gusts: type.gusts,
+      rain: type.rain * strength,
+      fog: Math.min(type.fog * strength, 1),
+      lightning: type.lightning * strength
+    };
+    
+    if (this.periods.size > 4) this.periods.clear();
+    this.periods.set(index, period);
+    return period;
+  }
+  
+  // The weather everywhere at a time, easing from one period into the next
+  getConditions(time) {
+    const index = Math.floor(time / this.periodLength);
+    const current = this.getPeriod(index);
+    const into = time - index * this.periodLength;
+    if (into >= this.transitionTime) return current;
+    
+    const previous = this.getPeriod(index - 1);
+    const t = into / this.transitionTime;
+    const blend = t * t * (3 - 2 * t);
+    const conditions = { type: blend < 0.5 ? previous.type : current.type };
+    ['windX', 'windZ', 'gusts', 'rain', 'fog', 'lightning'].forEach(key => {
+      conditions[key] = previous[key] + (current[key] - previous[key]) * blend;
+    });
+    return conditions;
+  }
+  
+  // Wind at a place, as a push on carpets (see WEATHER_TYPES). Gusts come
+  // and go, and veer the wind a little; storm gusts are held to MAX_WIND.
+  getWind(x, z, time, out = { x: 0, z: 0 }) {
+    const { windX, windZ, gusts } = this.getConditions(time);
+    const gx = x / this.gustSize;
+    const gz = z / this.gustSize;
+    const gust = 1 + this.noise.noise3d(gx, gz, time / 10) * gusts;
+    const veer = this.noise.noise3d(gx + 100, gz - 100, time / 30) * gusts * 0.5;
+    
+    const cos = Math.cos(veer);
+    const sin = Math.sin(veer);
+    out.x = (windX * cos - windZ * sin) * gust;
+    out.z = (windX * sin + windZ * cos) * gust;
+    
+    const speed = Math.hypot(out.x, out.z);
+    if (speed > MAX_WIND) {
+      out.x *= MAX_WIND / speed;
+      out.z *= MAX_WIND / speed;
+    }
+    return out;
+  }
+  
+  // How thick the fog is at a place, 0-1; fog lies in banks
+  getFog(x, z, time) {
+    const { fog } = this.getConditions(time);
+    if (fog <= 0) return 0;
+    
+    const bank = this.noise.noise3d(x / this.fogBankSize, z / this.fogBankSize, time / 120);
+    return fog * Math.min(Math.max(bank * 0.75 + 0.6, 0), 1);
+  }
+}
@@ -0,0 +1,108 @@
+// Biome definitions shared by the client's terrain and the server's world.
+// Each biome sits at a point in climate space: temperature and moisture
+// both run from -1 (cold, dry) to 1 (hot, wet), and land takes its looks
+// from the biomes nearest its climate, blended where they meet.
+//
+//   height     - shapes the base terrain: sharpness > 1 gives steeper peaks
+//                and flatter lowlands, scale and offset (units) are applied after
+//   colors     - ground color by terrain height, blended between stops
+//   water      - water color while flying over the biome
+//   snow       - whether rain falls as snow
+//   manaDensity - mana nodes per chunk, relative to the world's default
+export const BIOMES = [
+  {
+    id: 'meadow',
+    name: 'Meadow',
+    temperature: 0,
+    moisture: 0,
+    height: { sharpness: 1, scale: 1, offset: 0 },
+    colors: [
+      { height: 0, color: 0xccb380 },  // Sand
+      { height: 4, color: 0x1acc1a },  // Grass
+      { height: 15, color: 0x80801a }, // Forest
+      { height: 25, color: 0x808080 }  // Mountain
+    ],
+    water: 0x001e0f,
+    manaDensity: 1
+  },
+  {
+    id: 'desert',
+    name: 'Desert',
+    temperature: 0.5,
+    moisture: -0.5,
+    height: { sharpness: 1, scale: 0.5, offset: 6 },
+    colors: [
+      { height: 0, color: 0xb89a66 },
+      { height: 6, color: 0xe6c98a },  // Dunes
+      { height: 20, color: 0xd69a5c },
+      { height: 30, color: 0xa8643c }  // Mesas
+    ],
+    water: 0x1b4f5a,
+    manaDensity: 0.5
+  },
+  {
+    id: 'tundra',
+    name: 'Tundra',
+    temperature: -0.55,
+    moisture: -0.2,
+    height: { sharpness: 1.2, scale: 1.1, offset: 2 },
+    colors: [
+      { height: 0, color: 0x8c8f80 },
+      { height: 5, color: 0x7a8c6e },  // Moss
+      { height: 15, color: 0xb4bcc0 },
+      { height: 25, color: 0xf2f7fa }  // Snow
+    ],
+    water: 0x0b2a3a,
+    snow: true,
+    manaDensity: 0.75
+  },
+  {
+    id: 'jungle',
+    name: 'Jungle',
+    temperature: 0.45,
+    moisture: 0.5,
+    height: { sharpness: 0.8, scale: 0.9, offset: -4 },
+    colors: [
+      { height: 0, color: 0x5c4a2e },  // Mud
+      { height: 3, color: 0x0f6b1a },
+      { height: 15, color: 0x05420f }, // Canopy
+      { height: 30, color: 0x3c5c3a }
+    ],
+    water: 0x143d12,
+    manaDensity: 1.25
+  },
+  {
+    id: 'volcanic',
+    name: 'Volcanic',
+    temperature: 0.65,
+    moisture: 0,
+    height: { sharpness: 1.5, scale: 1.8, offset: 4 },
+    colors: [
+      { height: 0, color: 0x2b2424 },  // Ash
+      { height: 10, color: 0x3d3030 },
+      { height: 30, color: 0x59372a },
+      { height: 45, color: 0xc2401a }  // Glowing peaks
+    ],
+    water: 0x3a1208,
+    manaDensity: 0.75
+  },
+  {
+    id: 'crystal',
+    name: 'Crystal Fields',
+    temperature: -0.45,
+    moisture: 0.55,
+    height: { sharpness: 0.7, scale: 1.3, offset: 3 },
+    colors: [
+      { height: 0, color: 0x6a5c8c },
+      { height: 8, color: 0x8a7fd1 },
+      { height: 20, color: 0x5fc8d9 },  // Crystal
+      { height: 35, color: 0xe0f4ff }
+    ],
+    water: 0x1a1046,
+    snow: true,
+    manaDensity: 2
+  }
+];
+
+// How far apart in climate space biomes blend into each other
+export const BIOME_BLEND = 0.2;
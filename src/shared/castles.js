@@ -0,0 +1,27 @@
+// Castle tiers shared by the client's castle models and the server. A
+// castle grows into the next tier once it stores that tier's mana.
+//
+//   mana      - stored mana the tier needs
+//   radius    - units from the keep to the walls; spells inside hit the castle
+//   height    - units the walls stand above the ground; the keep is taller
+//   towers    - towers around the walls, which also sets their number of sides
+//   maxHealth - damage the walls take before the castle falls
+export const CASTLE_TIERS = [
+  { name: 'Outpost', mana: 0, radius: 8, height: 5, towers: 0, maxHealth: 100 },
+  { name: 'Keep', mana: 100, radius: 12, height: 8, towers: 4, maxHealth: 200 },
+  { name: 'Castle', mana: 300, radius: 16, height: 11, towers: 6, maxHealth: 350 },
+  { name: 'Citadel', mana: 700, radius: 22, height: 15, towers: 8, maxHealth: 600 }
+];
+
+export const CASTLE_KEEP_HEIGHT = 1.6;   // The keep's height, relative to the walls
+export const CASTLE_DELIVERY_RANGE = 40; // Units from its castle a pilot's mana flows in
+export const CASTLE_SPACING = 150;       // Units between castles
+
+// The tier a castle storing this much mana has grown into
+export function getCastleTier(mana) {
+  let tier = 0;
+  while (tier + 1 < CASTLE_TIERS.length && mana >= CASTLE_TIERS[tier + 1].mana) {
+    tier++;
+  }
+  return tier;
+}
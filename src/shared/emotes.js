@@ -0,0 +1,13 @@
+// Quick emotes, shared so the server only relays ones clients can show
+export const EMOTES = [
+  { id: 'wave', icon: '👋', text: 'Hello!' },
+  { id: 'gg', icon: '🤝', text: 'Good game' },
+  { id: 'thanks', icon: '🙏', text: 'Thanks!' },
+  { id: 'laugh', icon: '😂', text: 'Haha' },
+  { id: 'help', icon: '🆘', text: 'Help!' },
+  { id: 'follow', icon: '🧭', text: 'Follow me' },
+  { id: 'sorry', icon: '😅', text: 'Sorry!' },
+  { id: 'wow', icon: '😮', text: 'Wow!' }
+];
+
+export const CHAT_MAX_LENGTH = 120;
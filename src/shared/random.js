@@ -0,0 +1,34 @@
+// Seeded random numbers for world generation, so every client and the
+// server build the same world from the same seed (mulberry32)
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh world seed, picked by the server
+export function randomSeed(random = Math.random) {
+  return Math.floor(random() * 1000000);
+}
+
+// Seed for one chunk of a world, so chunks can be generated in any order
+export function chunkSeed(seed, cx, cz) {
+  return hashSeed(seed) ^ Math.imul(cx, 0x27d4eb2d) ^ Math.imul(cz, 0x165667b1);
+}
+
+// Seed for one period of a world's weather, so any period can be forecast
+export function periodSeed(seed, index) {
+  return hashSeed(seed) ^ Math.imul(index, 0x5bd1e995) ^ 0x68e31da4;
+}
+
+// Seeds may be fractional; fold all 64 bits of the number into the state
+function hashSeed(seed) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, seed);
+  return Math.imul(view.getUint32(0) ^ 0x9e3779b9, 0x85ebca6b) ^ view.getUint32(4);
+}
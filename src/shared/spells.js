@@ -0,0 +1,14 @@
+// Spell definitions shared by the client's spell system and the server.
+// Spells with terrain reshape the land where they strike the ground (see
+// TERRAIN_EDIT_TYPES).
+export const SPELL_TYPES = [
+  { name: 'Fireball', color: 0xff3300, damage: 20, speed: 100, cooldown: 0.5 },
+  { name: 'Lightning', color: 0x33ccff, damage: 15, speed: 150, cooldown: 0.3 },
+  { name: 'Shield', color: 0xffcc00, damage: 0, speed: 0, cooldown: 2 },
+  { name: 'Crater', color: 0xff8800, damage: 25, speed: 80, cooldown: 4, terrain: { type: 'crater', radius: 24, amount: 14 } },
+  { name: 'Earthquake', color: 0x99cc33, damage: 10, speed: 70, cooldown: 6, terrain: { type: 'raise', radius: 40, amount: 16 } }
+];
+
+export const SPELL_LIFETIME = 3.0; // Seconds before a projectile fizzles
+export const SPELL_HIT_RADIUS = 3;
+export const SHIELD_DURATION = 3.0; // Seconds a shield absorbs hits
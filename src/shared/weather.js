@@ -0,0 +1,19 @@
+// Weather definitions shared by the client's effects and the server's bots.
+// A world's weather changes every few minutes, each spell picked from
+// these by weight.
+//
+//   wind      - push on carpets (at most MAX_WIND), and gusts as a share of it
+//   rain      - how much falls, 0-1; snow instead over cold biomes
+//   fog       - how thick fog banks get, 0-1
+//   lightning - flashes per minute
+export const WEATHER_TYPES = [
+  { id: 'clear', name: 'Clear skies', weight: 4, wind: 3, gusts: 0.3, rain: 0, fog: 0, lightning: 0 },
+  { id: 'breezy', name: 'Breezy', weight: 3, wind: 10, gusts: 0.5, rain: 0, fog: 0, lightning: 0 },
+  { id: 'rain', name: 'Rain', weight: 2, wind: 7, gusts: 0.4, rain: 0.6, fog: 0.3, lightning: 0 },
+  { id: 'fog', name: 'Fog', weight: 2, wind: 1.5, gusts: 0.2, rain: 0, fog: 1, lightning: 0 },
+  { id: 'storm', name: 'Storm', weight: 1, wind: 15, gusts: 0.8, rain: 1, fog: 0.5, lightning: 6 }
+];
+
+// Strongest push wind gives, gusts included. A carpet keeps 24 of its 80
+// thrust at top speed, so pilots can always make headway into the wind.
+export const MAX_WIND = 20;
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ChatFilter } from '../server/ChatFilter.js';
+
+test('whole words are masked, ignoring case', () => {
+  const filter = new ChatFilter(['darn']);
+  
+  assert.equal(filter.clean('Darn it, darn!'), '**** it, ****!');
+  assert.equal(filter.clean('darning socks'), 'darning socks');
+});
+
+test('words with accented and non-Latin letters match whole words only', () => {
+  const filter = new ChatFilter(['café', 'дурак', 'ñu']);
+  
+  assert.equal(filter.clean('CAFÉ time'), '**** time');
+  assert.equal(filter.clean('ты дурак!'), 'ты *****!');
+  assert.equal(filter.clean('дураки'), 'дураки');
+  assert.equal(filter.clean('un ñu, año'), 'un **, año');
+  assert.equal(filter.clean('cafés'), 'cafés');
+});
+
+test('words next to accented letters are not matched inside longer words', () => {
+  const filter = new ChatFilter(['ano']);
+  
+  assert.equal(filter.clean('ánon anoé ano'), 'ánon anoé ***');
+});
+
+test('filter words are matched literally', () => {
+  const filter = new ChatFilter(['a.b', '  ', '(x)']);
+  
+  assert.equal(filter.clean('a.b axb (x)'), '*** axb ***');
+  assert.equal(new ChatFilter([]).clean('anything'), 'anything');
+});
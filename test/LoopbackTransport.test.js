@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { GameServer } from '../server/GameServer.js';
+import { LoopbackTransport } from '../src/game/systems/network/LoopbackTransport.js';
+import { encodeClientUpdate } from '../src/shared/StateCodec.js';
+import { createRandom } from '../src/shared/random.js';
+
+// Plays a scripted session against an in-process server: one pilot flying
+// circles among bots, stepped by hand for ten seconds through the start of
+// the round. Returns every message the client received.
+function playSession() {
+  let time = 0;
+  const server = new GameServer({
+    now: () => time,
+    random: createRandom(7),
+    seed: 1234,
+    botFill: 4,
+    match: { warmupDuration: 1000 }
+  });
+  const transport = new LoopbackTransport(server, { autoFlush: false });
+  
+  const received = [];
+  let id = null;
+  let circle = null; // Where the pilot's circle starts, and when
+  transport.on('message', ({ type, data }) => {
+    if (type === 'welcome') id = data.id;
+    if (type === 'player_respawn' && data.id === id) circle = { ...data, tick: time / 50 };
+    // Resume tokens are secrets, drawn from the system's random numbers
+    if (type === 'welcome') data = { ...data, resumeToken: null };
+    if (type === 'snapshot') data = Buffer.from(data).toString('hex');
+    received.push({ type, data });
+  });
+  
+  transport.connect();
+  transport.send('join_room', { name: 'Tester' });
+  transport.flush();
+  
+  const [room] = server.rooms.values();
+  circle = { ...room.players.get(id), tick: 0 };
+  
+  for (let tick = 1; tick <= 200; tick++) {
+    time += 50;
+    const angle = (tick - circle.tick) / 40;
+    transport.send('player_update', encodeClientUpdate({
+      seq: tick,
+      x: circle.x + Math.sin(angle) * 20,
+      y: circle.y,
+      z: circle.z + Math.cos(angle) * 20 - 20,
+      rotationY: angle,
+      mana: 0,
+      health: 100
+    }));
+    server.tick();
+    transport.flush();
+  }
+  
+  transport.disconnect();
+  transport.flush();
+  return received;
+}
+
+test('scripted loopback sessions play out identically', () => {
+  const first = playSession();
+  const second = playSession();
+  
+  assert.equal(first.filter(message => message.type === 'snapshot').length, 200);
+  assert.ok(!first.some(message => message.type === 'kicked'));
+  assert.deepEqual(second, first);
+});
+
+test('the server seed and random numbers pick the room and world', () => {
+  const [joined] = playSession().filter(message => message.type === 'room_joined');
+  const [state] = playSession().filter(message => message.type === 'game_state');
+  
+  assert.equal(state.data.seed, 1234);
+  assert.match(joined.data.code, /^[A-Z]{4}$/);
+});
@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { GameServer } from '../server/GameServer.js';
+import { MovementValidator } from '../server/MovementValidator.js';
+import { Room } from '../server/Room.js';
+import { encodeClientUpdate } from '../src/shared/StateCodec.js';
+
+// Flat ground at height 0, or a wall 100 high from x = 500 on
+const world = {
+  getTerrainHeight: (x) => (x >= 500 ? 100 : 0)
+};
+
+function createPilot(validator, now = 0) {
+  const pilot = { x: 0, y: 50, z: 0 };
+  validator.reset(pilot, now);
+  return pilot;
+}
+
+// The update a client flying from the pilot's position would send
+function move(pilot, changes) {
+  return { x: pilot.x, y: pilot.y, z: pilot.z, vx: 0, vy: 0, vz: 0, ...changes };
+}
+
+test('movement within the speed budget is accepted as is', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  
+  const result = validator.validate(pilot, move(pilot, { x: 5, y: 52, vx: 100 }), 50);
+  assert.deepEqual(result, { x: 5, y: 52, z: 0, vx: 100, vy: 0, vz: 0, violation: null });
+});
+
+test('velocities beyond top speed are scaled down', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  
+  const result = validator.validate(pilot, move(pilot, { vx: 300, vz: 400 }), 50);
+  assert.equal(result.violation, 'speed');
+  assert.ok(Math.abs(Math.hypot(result.vx, result.vz) - validator.maxSpeed) < 1e-9);
+  assert.ok(Math.abs(result.vx / result.vz - 0.75) < 1e-9);
+});
+
+test('moves farther than the budget allows are clamped along their path', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  
+  // 50 ms at top speed earns 6.25 units
+  const result = validator.validate(pilot, move(pilot, { x: 300, z: 400 }), 50);
+  assert.equal(result.violation, 'teleport');
+  assert.ok(Math.abs(Math.hypot(result.x, result.z) - validator.maxSpeed * 0.05) < 1e-9);
+  assert.ok(Math.abs(result.x / result.z - 0.75) < 1e-9);
+});
+
+test('unused movement builds up to the burst window for delayed updates', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  
+  // A second without updates, then a second's worth of flying at once
+  const caughtUp = validator.validate(pilot, move(pilot, { x: validator.maxSpeed }), 1000);
+  assert.equal(caughtUp.violation, null);
+  assert.equal(caughtUp.x, validator.maxSpeed);
+  
+  // Ten idle seconds still only earn burstWindow seconds of movement
+  pilot.x = caughtUp.x;
+  const burst = validator.validate(pilot, move(pilot, { x: pilot.x + validator.maxSpeed * 5 }), 11000);
+  assert.equal(burst.violation, 'teleport');
+  assert.ok(Math.abs(burst.x - pilot.x - validator.maxSpeed * validator.burstWindow) < 1e-9);
+});
+
+test('after a server-side move, stale updates are ignored until the client catches up', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  validator.teleport(pilot, 0);
+  
+  // Still reporting where it was before the respawn
+  assert.equal(validator.validate(pilot, move(pilot, { x: 200 }), 50), null);
+  
+  // Caught up: accepted, and the deadline is cleared
+  assert.equal(validator.validate(pilot, move(pilot, { x: 1 }), 100).violation, null);
+  assert.equal(pilot.teleportDeadline, 0);
+});
+
+test('a client that never catches up is clamped once the teleport deadline passes', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  validator.teleport(pilot, 0);
+  
+  assert.equal(validator.validate(pilot, move(pilot, { x: 1000 }), 1000), null);
+  const late = validator.validate(pilot, move(pilot, { x: 1000 }), 2500);
+  assert.equal(late.violation, 'teleport');
+  assert.ok(late.x < 1000);
+});
+
+test('altitude stays within the flight ceiling and floor', () => {
+  const validator = new MovementValidator(world);
+  const high = createPilot(validator);
+  high.y = validator.maxAltitude;
+  const ceiling = validator.validate(high, move(high, { y: validator.maxAltitude + 5 }), 50);
+  assert.equal(ceiling.violation, 'altitude');
+  assert.equal(ceiling.y, validator.maxAltitude);
+  
+  const low = createPilot(validator);
+  low.y = validator.minAltitude;
+  const floor = validator.validate(low, move(low, { y: validator.minAltitude - 5 }), 50);
+  assert.equal(floor.violation, 'altitude');
+  assert.equal(floor.y, validator.minAltitude);
+});
+
+test('vertical jumps are clamped to the climb budget', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  pilot.y = 10;
+  
+  const jump = validator.validate(pilot, move(pilot, { y: 299 }), 50);
+  assert.equal(jump.violation, 'altitude');
+  assert.ok(Math.abs(jump.y - (10 + validator.maxClimb * 0.05)) < 1e-9);
+  
+  pilot.y = jump.y;
+  const dive = validator.validate(pilot, move(pilot, { y: pilot.y - 200 }), 100);
+  assert.equal(dive.violation, 'altitude');
+  assert.ok(Math.abs(dive.y - (pilot.y - validator.maxClimb * 0.05)) < 1e-9);
+});
+
+test('carpets may not fly through the ground, except just after it changed', () => {
+  const validator = new MovementValidator(world);
+  const pilot = createPilot(validator);
+  pilot.x = 498;
+  pilot.y = 50;
+  
+  const inside = validator.validate(pilot, move(pilot, { x: 501 }), 50);
+  assert.equal(inside.violation, 'terrain');
+  assert.equal(inside.y, 100 + validator.terrainClearance);
+  
+  validator.worldChanged(50);
+  const grace = validator.validate(pilot, move(pilot, { x: 501 }), 100);
+  assert.equal(grace.violation, null);
+  assert.equal(grace.y, 50);
+  
+  const after = validator.validate(pilot, move(pilot, { x: 501 }), 50 + validator.teleportTimeout);
+  assert.equal(after.violation, 'terrain');
+});
+
+// A room with one pilot whose client reports updates stepped by hand
+function createRoom() {
+  let time = 0;
+  const server = new GameServer({ now: () => time, seed: 1234 });
+  const room = new Room(server, 'TEST', { botFill: 0 });
+  const events = [];
+  const socket = { emit: (type, data) => events.push({ type, data }), on() {}, disconnect() {} };
+  const pilot = room.addPlayer(socket, { name: 'Pilot' });
+  room.movement.checkTerrain = false;
+  
+  let seq = 0;
+  const report = (changes, wait = 50) => {
+    time += wait;
+    seq++;
+    room.handlePlayerUpdate(pilot.id, encodeClientUpdate({ ...pilot, ...changes, seq, mana: 0, health: 100 }));
+  };
+  return { room, pilot, events, report };
+}
+
+test('repeated violations get a pilot kicked', () => {
+  const { room, pilot, events, report } = createRoom();
+  
+  // A burst of updates, each jumping far above the last
+  for (let i = 0; i < room.kickScore - 1; i++) report({ y: pilot.y + 200 }, 0);
+  assert.ok(room.players.has(pilot.id));
+  
+  report({ y: pilot.y + 200 }, 0);
+  assert.equal(room.players.has(pilot.id), false);
+  assert.deepEqual(events.at(-1), { type: 'kicked', data: { reason: 'cheating' } });
+});
+
+test('the violation score decays, so occasional slips are forgiven', () => {
+  const { room, pilot, events, report } = createRoom();
+  
+  for (let i = 0; i < 30; i++) report({ y: pilot.y + 200 }, 1500);
+  assert.ok(room.players.has(pilot.id));
+  assert.ok(pilot.violationScore < 2);
+  assert.ok(!events.some(event => event.type === 'kicked'));
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import * as THREE from 'three';
+import { PlayerPhysics } from '../src/game/systems/player/PlayerPhysics.js';
+import { PlayerPrediction } from '../src/game/systems/player/PlayerPrediction.js';
+
+// Flat ground and still air are all the physics needs from the world
+const world = {
+  getTerrainHeight: () => 0,
+  getWind: (x, z, out) => {
+    out.x = 0;
+    out.z = 0;
+    return out;
+  }
+};
+
+function createCarpet() {
+  return {
+    position: new THREE.Vector3(0, 50, 0),
+    velocity: new THREE.Vector3(),
+    acceleration: new THREE.Vector3(),
+    rotation: new THREE.Euler(0, 0.3, 0),
+    bankAngle: 0,
+    altitudeVelocity: 0
+  };
+}
+
+function createPrediction() {
+  const engine = { systems: { world } };
+  const physics = new PlayerPhysics({ engine });
+  physics.debugPhysics = false;
+  
+  const playerSystem = { engine, physics, localPlayer: createCarpet() };
+  return { prediction: new PlayerPrediction(playerSystem), physics, player: playerSystem.localPlayer };
+}
+
+function command(seq) {
+  return { seq, delta: 1 / 60, forward: 1, right: seq % 2 ? 0.5 : 0, up: 0.2, rotationX: 0, rotationY: 0.3, boost: false };
+}
+
+// Fly a command the way PlayerSystem does, remembering the result
+function fly(prediction, physics, player, seq) {
+  physics.applyInputCommand(player, command(seq));
+  physics.step(player, command(seq).delta);
+  prediction.recordCommand(player, command(seq));
+}
+
+// What the server would report after processing a command
+function serverState(prediction, seq, offset = 0) {
+  const { state } = prediction.history.find(entry => entry.command.seq === seq);
+  return {
+    seq,
+    x: state.position.x + offset,
+    y: state.position.y,
+    z: state.position.z,
+    vx: state.velocity.x,
+    vy: state.velocity.y,
+    vz: state.velocity.z
+  };
+}
+
+// Where the carpet ends up flying commands on from a corrected state
+function replay(physics, from, seqs) {
+  const carpet = createCarpet();
+  carpet.position.set(from.x, from.y, from.z);
+  carpet.velocity.set(from.vx, from.vy, from.vz);
+  carpet.altitudeVelocity = from.altitudeVelocity;
+  carpet.bankAngle = from.bankAngle;
+  seqs.forEach(seq => {
+    physics.applyInputCommand(carpet, command(seq));
+    physics.step(carpet, command(seq).delta);
+  });
+  return carpet.position;
+}
+
+test('acknowledged commands are dropped and agreement changes nothing', () => {
+  const { prediction, physics, player } = createPrediction();
+  for (let seq = 1; seq <= 5; seq++) fly(prediction, physics, player, seq);
+  const position = player.position.clone();
+  
+  prediction.reconcile(serverState(prediction, 3));
+  
+  assert.deepEqual(prediction.history.map(entry => entry.command.seq), [4, 5]);
+  assert.ok(player.position.equals(position));
+  assert.equal(prediction.errorOffset.length(), 0);
+});
+
+test('small errors replay unacknowledged commands and smooth the correction', () => {
+  const { prediction, physics, player } = createPrediction();
+  for (let seq = 1; seq <= 5; seq++) fly(prediction, physics, player, seq);
+  const displayed = player.position.clone();
+  
+  const acknowledged = prediction.history[2].state;
+  const corrected = {
+    ...serverState(prediction, 3, 2),
+    altitudeVelocity: acknowledged.altitudeVelocity,
+    bankAngle: acknowledged.bankAngle
+  };
+  prediction.reconcile(corrected);
+  
+  const expected = replay(physics, corrected, [4, 5]);
+  assert.ok(player.position.distanceTo(expected) < 1e-9);
+  assert.ok(Math.abs(player.position.x - displayed.x - 2) < 0.1);
+  
+  // Drawn where it was, then eased onto the corrected path
+  assert.ok(player.position.clone().add(prediction.errorOffset).distanceTo(displayed) < 1e-9);
+  const offset = prediction.errorOffset.length();
+  prediction.update(0.05);
+  assert.ok(prediction.errorOffset.length() < offset);
+  
+  // Replayed states become the new predictions
+  assert.deepEqual(prediction.history.map(entry => entry.command.seq), [4, 5]);
+  assert.ok(prediction.history[1].state.position.distanceTo(expected) < 1e-9);
+});
+
+test('large errors snap instead of smoothing', () => {
+  const { prediction, physics, player } = createPrediction();
+  for (let seq = 1; seq <= 5; seq++) fly(prediction, physics, player, seq);
+  
+  prediction.reconcile(serverState(prediction, 3, prediction.snapThreshold + 5));
+  
+  assert.equal(prediction.errorOffset.length(), 0);
+  assert.deepEqual(prediction.history.map(entry => entry.command.seq), [4, 5]);
+});
+
+test('stale and duplicate acknowledgements are ignored', () => {
+  const { prediction, physics, player } = createPrediction();
+  for (let seq = 1; seq <= 5; seq++) fly(prediction, physics, player, seq);
+  
+  const old = serverState(prediction, 2, 10);
+  prediction.reconcile(serverState(prediction, 3));
+  const position = player.position.clone();
+  
+  prediction.reconcile(old);
+  prediction.reconcile({ ...serverState(prediction, 4), seq: 3, x: 999 });
+  
+  assert.ok(player.position.equals(position));
+  assert.deepEqual(prediction.history.map(entry => entry.command.seq), [4, 5]);
+});
+
+test('the history is capped for acknowledgements that never come', () => {
+  const { prediction, physics, player } = createPrediction();
+  for (let seq = 1; seq <= prediction.maxHistory + 10; seq++) fly(prediction, physics, player, seq);
+  
+  assert.equal(prediction.history.length, prediction.maxHistory);
+  assert.equal(prediction.history[0].command.seq, 11);
+});
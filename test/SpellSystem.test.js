@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { SpellSystem } from '../server/SpellSystem.js';
+
+const FIREBALL = 0; // Speed 100, so 5 units per 50 ms tick
+
+// Just enough of a room for the spell system: flat ground, a clock, and a
+// record of what got hit
+function createRoom() {
+  const room = {
+    time: 0,
+    server: { getTime: () => room.time },
+    world: { getTerrainHeight: () => 0 },
+    castles: { findHit: () => null },
+    players: new Map(),
+    hits: [],
+    applySpellHit: (projectile, target, point) => room.hits.push({ projectile, target, point }),
+    modifyTerrain() {}
+  };
+  return room;
+}
+
+function addPlayer(room, id, x, y, z) {
+  const player = { id, x, y, z, dead: false, nextCastTime: 0, shieldUntil: 0 };
+  room.players.set(id, player);
+  return player;
+}
+
+// Advance the room by ticks of 50 ms, moving a player first if asked
+function step(room, spells, ticks, move = () => {}) {
+  for (let i = 0; i < ticks; i++) {
+    room.time += 50;
+    move();
+    spells.update(0.05);
+  }
+}
+
+test('past positions are interpolated between recorded ticks', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const runner = addPlayer(room, 'runner', 0, 50, 0);
+  step(room, spells, 4, () => { runner.x += 10; });
+  
+  const position = { set(x, y, z) { return { x, y, z }; } };
+  assert.deepEqual(spells.getPositionAt(runner, 125, position), { x: 25, y: 50, z: 0 });
+  assert.deepEqual(spells.getPositionAt(runner, 200, position), { x: 40, y: 50, z: 0 });
+  
+  // Later than the newest record is where the player is now; earlier than
+  // the oldest is as far back as we know
+  assert.deepEqual(spells.getPositionAt(runner, 500, position), { x: 40, y: 50, z: 0 });
+  assert.deepEqual(spells.getPositionAt(runner, 0, position), { x: 10, y: 50, z: 0 });
+});
+
+test('shots are tested against where the shooter saw their target', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 0, 50, 0);
+  const runner = addPlayer(room, 'runner', -60, 50, 30);
+  
+  // The runner crosses the line of fire at 200 units/s, and is right in it
+  // when the shot is fired
+  const run = () => { runner.x += 10; };
+  step(room, spells, 6, run);
+  
+  // The shooter sees everyone 300 ms late, so the fireball arriving 300 ms
+  // later meets the runner where the shooter aimed
+  assert.equal(spells.cast(shooter, {
+    spell: FIREBALL, castId: 1, x: 0, y: 50, z: 0, dx: 0, dy: 0, dz: 1, viewTime: room.time - 300
+  }), true);
+  step(room, spells, 8, run);
+  
+  assert.equal(room.hits.length, 1);
+  assert.equal(room.hits[0].target, runner);
+  assert.ok(Math.abs(room.hits[0].point.z - 30) < 1e-9);
+});
+
+test('without a view time, shots are tested against where targets are now', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 0, 50, 0);
+  const runner = addPlayer(room, 'runner', -60, 50, 30);
+  const run = () => { runner.x += 10; };
+  step(room, spells, 6, run);
+  
+  spells.cast(shooter, { spell: FIREBALL, castId: 1, x: 0, y: 50, z: 0, dx: 0, dy: 0, dz: 1 });
+  step(room, spells, 8, run);
+  
+  assert.equal(room.hits.length, 0);
+});
+
+test('rewinding is capped at maxRewind', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 0, 50, 0);
+  room.time = 5000;
+  
+  spells.cast(shooter, { spell: FIREBALL, castId: 1, x: 0, y: 50, z: 0, dx: 0, dy: 0, dz: 1, viewTime: 1000 });
+  shooter.nextCastTime = 0;
+  spells.cast(shooter, { spell: FIREBALL, castId: 2, x: 0, y: 50, z: 0, dx: 0, dy: 0, dz: 1, viewTime: 6000 });
+  
+  assert.equal(spells.projectiles[0].rewind, spells.maxRewind);
+  assert.equal(spells.projectiles[1].rewind, 0);
+});
+
+test('casts claiming to start far from the caster start at the caster', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 100, 50, 100);
+  
+  spells.cast(shooter, { spell: FIREBALL, castId: 1, x: 105, y: 50, z: 100, dx: 1, dy: 0, dz: 0 });
+  shooter.nextCastTime = 0;
+  spells.cast(shooter, { spell: FIREBALL, castId: 2, x: 500, y: 50, z: 100, dx: 1, dy: 0, dz: 0 });
+  
+  assert.deepEqual(spells.projectiles[0].position.toArray(), [105, 50, 100]);
+  assert.deepEqual(spells.projectiles[1].position.toArray(), [100, 50, 100]);
+});
+
+test('fast projectiles hit targets they pass between ticks', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 0, 50, 0);
+  
+  // Lightning moves 7.5 units a tick: from 6 to 13.5 here, never within
+  // the hit radius of the target at 10 at the end of a tick
+  const target = addPlayer(room, 'target', 0, 50, 10);
+  spells.cast(shooter, { spell: 1, castId: 1, x: 0, y: 50, z: -1.5, dx: 0, dy: 0, dz: 1 });
+  step(room, spells, 2);
+  
+  assert.equal(room.hits.length, 1);
+  assert.equal(room.hits[0].target, target);
+  assert.ok(Math.abs(room.hits[0].point.z - 10) < 1e-9);
+});
+
+test('casts during the cooldown are refused, within a little slack', () => {
+  const room = createRoom();
+  const spells = new SpellSystem(room);
+  const shooter = addPlayer(room, 'shooter', 0, 50, 0);
+  const fireball = { spell: FIREBALL, castId: 1, x: 0, y: 50, z: 0, dx: 1, dy: 0, dz: 0 };
+  
+  assert.equal(spells.cast(shooter, fireball), true);
+  room.time += 400;
+  assert.equal(spells.cast(shooter, fireball), false);
+  room.time += 60;
+  assert.equal(spells.cast(shooter, fireball), true);
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  decodeClientUpdate,
+  decodeSnapshot,
+  dequantizePlayer,
+  encodeClientUpdate,
+  encodeSnapshot,
+  quantizePlayer
+} from '../src/shared/StateCodec.js';
+
+const PILOT = {
+  x: 1234.5,
+  y: 87.25,
+  z: -980.125,
+  vx: 12.5,
+  vy: -3.25,
+  vz: 40,
+  rotationY: 1.25,
+  bankAngle: -0.3,
+  mana: 310,
+  health: 85
+};
+
+function assertClose(actual, expected, tolerance) {
+  Object.keys(expected).forEach(key => {
+    assert.ok(Math.abs(actual[key] - expected[key]) <= tolerance, `${key}: ${actual[key]} != ${expected[key]}`);
+  });
+}
+
+test('player states survive quantization to the wire precision', () => {
+  assertClose(dequantizePlayer(quantizePlayer(PILOT)), PILOT, 1 / 32);
+});
+
+test('headings wrap around the circle', () => {
+  const turned = dequantizePlayer(quantizePlayer({ ...PILOT, rotationY: Math.PI * 2 + 1 }));
+  assert.ok(Math.abs(turned.rotationY - 1) < 1e-3);
+});
+
+test('client updates round-trip', () => {
+  const update = decodeClientUpdate(encodeClientUpdate({ ...PILOT, seq: 42, ackTick: 17 }));
+  
+  assert.equal(update.seq, 42);
+  assert.equal(update.ackTick, 17);
+  assertClose(update, PILOT, 1 / 32);
+});
+
+test('snapshots round-trip in full and as deltas against a baseline', () => {
+  const first = new Map([
+    [1, quantizePlayer(PILOT)],
+    [2, quantizePlayer({ ...PILOT, x: -50, mana: 0 })]
+  ]);
+  const full = decodeSnapshot(encodeSnapshot({ tick: 10, serverTime: 500, ackSeq: 3, entities: first }, null));
+  assert.equal(full.tick, 10);
+  assert.equal(full.baselineTick, 0);
+  assert.equal(full.serverTime, 500);
+  assert.equal(full.ackSeq, 3);
+  assert.deepEqual(full.entities, first);
+  
+  // Pilot 1 moved, pilot 2 stood still and pilot 3 arrived
+  const second = new Map([
+    [1, quantizePlayer({ ...PILOT, x: PILOT.x + 2, mana: 320 })],
+    [2, first.get(2)],
+    [3, quantizePlayer({ ...PILOT, z: 75 })]
+  ]);
+  const delta = encodeSnapshot({ tick: 11, baselineTick: 10, serverTime: 550, ackSeq: 4, entities: second }, first);
+  const resent = encodeSnapshot({ tick: 11, serverTime: 550, ackSeq: 4, entities: second }, null);
+  assert.ok(delta.byteLength < resent.byteLength);
+  
+  const decoded = decodeSnapshot(delta, tick => (tick === 10 ? full.entities : null));
+  assert.equal(decoded.baselineTick, 10);
+  assert.deepEqual(decoded.entities, second);
+});
+
+test('deltas against a baseline the client no longer has are rejected', () => {
+  const entities = new Map([[1, quantizePlayer(PILOT)]]);
+  const delta = encodeSnapshot({ tick: 12, baselineTick: 11, serverTime: 600, entities }, entities);
+  
+  assert.throws(() => decodeSnapshot(delta, () => null), /Missing baseline snapshot 11/);
+});
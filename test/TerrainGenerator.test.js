@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { TerrainGenerator } from '../src/shared/TerrainGenerator.js';
+
+test('the same seed gives the same land', () => {
+  const a = new TerrainGenerator({ seed: 99 });
+  const b = new TerrainGenerator({ seed: 99 });
+  const other = new TerrainGenerator({ seed: 100 });
+  
+  [[0, 0], [150, -320], [-2500, 4000]].forEach(([x, z]) => {
+    assert.equal(a.getHeight(x, z), b.getHeight(x, z));
+  });
+  assert.notEqual(a.getHeight(150, -320), other.getHeight(150, -320));
+});
+
+test('edits reshape the land within their radius only', () => {
+  const terrain = new TerrainGenerator({ seed: 99 });
+  const base = terrain.getHeight(100, 100);
+  const outside = terrain.getHeight(140, 100);
+  
+  terrain.addEdit({ type: 'raise', x: 100, z: 100, radius: 30, amount: 10 });
+  assert.ok(Math.abs(terrain.getHeight(100, 100) - (base + 10)) < 1e-9);
+  assert.equal(terrain.getHeight(140, 100), outside);
+  
+  terrain.addEdit({ type: 'lower', x: 100, z: 100, radius: 30, amount: 10 });
+  assert.ok(Math.abs(terrain.getHeight(100, 100) - base) < 1e-9);
+  assert.equal(terrain.getBaseHeight(100, 100), base);
+});
+
+test('craters are bowls with a raised rim', () => {
+  const terrain = new TerrainGenerator({ seed: 99 });
+  const center = terrain.getHeight(0, 0);
+  const rim = terrain.getHeight(30, 0);
+  
+  terrain.addEdit({ type: 'crater', x: 0, z: 0, radius: 40, amount: 8 });
+  assert.ok(terrain.getHeight(0, 0) < center - 7);
+  assert.ok(terrain.getHeight(30, 0) > rim);
+});
+
+test('smoothing levels the land towards its height when smoothed', () => {
+  const terrain = new TerrainGenerator({ seed: 99 });
+  const level = terrain.getAverageHeight(500, 500, 40);
+  
+  terrain.addEdit({ type: 'smooth', x: 500, z: 500, radius: 40, level });
+  assert.ok(Math.abs(terrain.getHeight(500, 500) - level) < 1e-9);
+});
+
+test('edits spanning several lookup cells apply in every one of them', () => {
+  const terrain = new TerrainGenerator({ seed: 99 });
+  const points = [[-60, 0], [0, 0], [60, 0], [0, 60], [0, -60]];
+  const before = points.map(([x, z]) => terrain.getHeight(x, z));
+  
+  terrain.addEdit({ type: 'raise', x: 0, z: 0, radius: 100, amount: 5 });
+  points.forEach(([x, z], i) => assert.ok(terrain.getHeight(x, z) > before[i]));
+});
+
+test('a new seed starts without edits', () => {
+  const terrain = new TerrainGenerator({ seed: 99 });
+  terrain.addEdit({ type: 'raise', x: 0, z: 0, radius: 30, amount: 10 });
+  terrain.setSeed(7);
+  
+  assert.equal(terrain.edits.length, 0);
+  assert.equal(terrain.getHeight(0, 0), new TerrainGenerator({ seed: 7 }).getHeight(0, 0));
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { GameServer } from '../server/GameServer.js';
+import { Room } from '../server/Room.js';
+import { CASTLE_TIERS, getCastleTier } from '../src/shared/castles.js';
+import { createRandom } from '../src/shared/random.js';
+
+test('castles grow a tier as their store reaches its mana', () => {
+  assert.equal(getCastleTier(0), 0);
+  CASTLE_TIERS.forEach((tier, index) => {
+    if (index === 0) return;
+    assert.equal(getCastleTier(tier.mana - 1), index - 1);
+    assert.equal(getCastleTier(tier.mana), index);
+  });
+  assert.equal(getCastleTier(1e9), CASTLE_TIERS.length - 1);
+});
+
+// A room with one pilot and a clock stepped by hand, played into its round
+// with the pilot hovering over dry land. Warmup is left to the caller.
+function createRoom({ warmup = false } = {}) {
+  let time = 0;
+  const server = new GameServer({ now: () => time, random: createRandom(3), seed: 1234 });
+  const room = new Room(server, 'TEST', { botFill: 0, match: { warmupDuration: 1000 } });
+  const events = [];
+  const socket = { emit: (type, data) => events.push({ type, data }), on() {}, disconnect() {} };
+  const pilot = room.addPlayer(socket, { name: 'Pilot' });
+  
+  const step = (ticks) => {
+    for (let i = 0; i < ticks; i++) {
+      time += 50;
+      room.tick();
+    }
+  };
+  const hover = () => {
+    for (let x = 0; ; x += 10) {
+      if (room.world.getTerrainHeight(x, 0) > 3 && room.world.getAverageHeight(x, 0, 40) > 3) {
+        Object.assign(pilot, { x, y: room.world.getTerrainHeight(x, 0) + 20, z: 0 });
+        return;
+      }
+    }
+  };
+  
+  // The round start puts everyone back at a spawn point
+  if (!warmup) step(30);
+  hover();
+  return { room, pilot, events, step, hover };
+}
+
+test('castles are founded once the round starts, one per pilot', () => {
+  const { room, pilot, events, step, hover } = createRoom({ warmup: true });
+  
+  room.handlePlayerAction(pilot.id, { action: 'found_castle' });
+  assert.equal(room.castles.get(pilot.id), null);
+  assert.deepEqual(events.at(-1), { type: 'castle_error', data: { reason: 'warmup' } });
+  
+  step(30);
+  hover();
+  room.handlePlayerAction(pilot.id, { action: 'found_castle' });
+  assert.equal(room.castles.get(pilot.id).tier, 0);
+  
+  room.handlePlayerAction(pilot.id, { action: 'found_castle' });
+  assert.deepEqual(events.at(-1), { type: 'castle_error', data: { reason: 'already_founded' } });
+});
+
+test('carried mana flows into the castle and grows it', () => {
+  const { room, pilot, step } = createRoom();
+  room.handlePlayerAction(pilot.id, { action: 'found_castle' });
+  
+  pilot.mana = 120;
+  step(200);
+  const castle = room.castles.get(pilot.id);
+  assert.equal(pilot.mana, 0);
+  assert.equal(castle.mana, 120);
+  assert.equal(castle.tier, 1);
+  assert.equal(castle.health, CASTLE_TIERS[1].maxHealth);
+  
+  const standing = room.match.getStandings().find(entry => entry.id === pilot.id);
+  assert.equal(standing.castle, 120);
+  assert.equal(standing.score, 120);
+});
+
+test('a razed castle gives its attacker a share of its mana', () => {
+  const { room, pilot, events } = createRoom();
+  room.handlePlayerAction(pilot.id, { action: 'found_castle' });
+  const castle = room.castles.get(pilot.id);
+  castle.mana = 80;
+  
+  const raider = room.addPlayer({ emit() {}, on() {}, disconnect() {} }, { name: 'Raider' });
+  room.castles.applySpellHit({ ownerId: raider.id, castId: 1, spell: 0 }, castle, castle);
+  assert.ok(castle.health < castle.maxHealth);
+  assert.equal(room.castles.get(pilot.id), castle);
+  
+  castle.health = 1;
+  room.castles.applySpellHit({ ownerId: raider.id, castId: 2, spell: 0 }, castle, castle);
+  
+  assert.equal(room.castles.get(pilot.id), null);
+  assert.equal(raider.mana, 40);
+  assert.deepEqual(events.find(event => event.type === 'castle_removed').data, {
+    ownerId: pilot.id,
+    razedBy: raider.id,
+    loot: 40
+  });
+});